@@ -7,6 +7,11 @@ import {
 	register,
 	fetchProjects,
 	createProject,
+	carryForwardScreen,
+	uploadScreen,
+	fetchVersionTokens,
+	finalizeRevision,
+	fetchLintConfig,
 } from '../webview/lib/api';
 
 // Mock stores to avoid Svelte runtime dependency
@@ -152,3 +157,157 @@ describe('createProject', () => {
 		);
 	});
 });
+
+describe('carryForwardScreen', () => {
+	const screen = {
+		sketchId: 'art-1',
+		contentHash: 'abc123',
+		name: 'Home',
+		pageName: 'Page 1',
+		displayOrder: 0,
+	};
+
+	beforeEach(() => {
+		mockFetch.mockReset();
+	});
+
+	it('returns true when the server carried the screen forward', async () => {
+		mockFetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({}) });
+		const result = await carryForwardScreen('http://localhost:3000', 'p1', 'v1', screen);
+		expect(result).toBe(true);
+		expect(mockFetch).toHaveBeenCalledWith(
+			'http://localhost:3000/projects/p1/versions/v1/screens/carry-forward',
+			expect.objectContaining({ method: 'POST', body: JSON.stringify(screen) }),
+		);
+	});
+
+	it('returns false when no matching screen exists', async () => {
+		mockFetch.mockResolvedValueOnce({ ok: false, status: 404, json: () => Promise.resolve({}) });
+		const result = await carryForwardScreen('http://localhost:3000', 'p1', 'v1', screen);
+		expect(result).toBe(false);
+	});
+
+	it('throws on server errors', async () => {
+		mockFetch.mockResolvedValueOnce({
+			ok: false,
+			status: 500,
+			json: () => Promise.resolve({ error: 'Boom' }),
+		});
+		await expect(carryForwardScreen('http://localhost:3000', 'p1', 'v1', screen)).rejects.toThrow(
+			'Failed to carry forward "Home": Boom',
+		);
+	});
+});
+
+describe('fetchVersionTokens', () => {
+	beforeEach(() => {
+		mockFetch.mockReset();
+	});
+
+	it('returns the tokens the previous revision stored', async () => {
+		mockFetch.mockResolvedValueOnce({
+			ok: true,
+			status: 200,
+			json: () => Promise.resolve({ tokens: { colors: [{ name: 'Brand', color: '#FF0000' }] } }),
+		});
+		const tokens = await fetchVersionTokens('http://localhost:3000', 'p1', 'v1');
+		expect(tokens).toEqual({
+			colors: [{ name: 'Brand', color: '#FF0000' }],
+			textStyles: [],
+			layerStyles: [],
+		});
+		expect(mockFetch).toHaveBeenCalledWith(
+			'http://localhost:3000/projects/p1/versions/v1/tokens',
+			expect.anything(),
+		);
+	});
+
+	it('returns null for a version without tokens', async () => {
+		mockFetch.mockResolvedValueOnce({ ok: false, status: 404, json: () => Promise.resolve({}) });
+		await expect(fetchVersionTokens('http://localhost:3000', 'p1', 'v1')).resolves.toBeNull();
+	});
+});
+
+describe('fetchLintConfig', () => {
+	it('returns the project lint config, or null without one', async () => {
+		mockFetch.mockReset();
+		const config = { rules: { 'empty-group': 'error' } };
+		mockFetch
+			.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({ config }) })
+			.mockResolvedValueOnce({ ok: false, status: 404, json: () => Promise.resolve({}) });
+		await expect(fetchLintConfig('http://localhost:3000', 'p1')).resolves.toEqual(config);
+		expect(mockFetch).toHaveBeenCalledWith(
+			'http://localhost:3000/projects/p1/lint-config',
+			expect.anything(),
+		);
+		await expect(fetchLintConfig('http://localhost:3000', 'p1')).resolves.toBeNull();
+	});
+});
+
+describe('finalizeRevision', () => {
+	it('sends the token changelog with the revision', async () => {
+		mockFetch.mockReset();
+		mockFetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve({}) });
+		const tokenChangelog = { colors: [], textStyles: [], layerStyles: [] };
+		await finalizeRevision('http://localhost:3000', 'p1', 'v1', 'r1', { tokenChangelog });
+		expect(mockFetch).toHaveBeenCalledWith(
+			'http://localhost:3000/projects/p1/versions/v1/revisions/r1/complete',
+			expect.objectContaining({ method: 'PUT', body: JSON.stringify({ tokenChangelog }) }),
+		);
+	});
+});
+
+describe('uploadScreen', () => {
+	beforeEach(() => {
+		mockFetch.mockReset();
+	});
+
+	it('uploads the first tile with the screen and attaches the others', async () => {
+		mockFetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({}) });
+		await uploadScreen('http://localhost:3000', 'p1', 'v1', {
+			name: 'Landing',
+			sketchId: 'art-1',
+			pageName: 'Marketing',
+			width: 1440,
+			height: 6000,
+			image: {
+				format: 'jpg',
+				mimeType: 'image/jpeg',
+				scale: 1,
+				quality: 80,
+				tiles: [
+					{ index: 0, y: 0, height: 4000, dataUri: `data:image/jpeg;base64,${btoa('a')}` },
+					{ index: 1, y: 4000, height: 2000, dataUri: `data:image/jpeg;base64,${btoa('b')}` },
+				],
+			},
+			layers: [],
+			flows: [],
+			displayOrder: 0,
+			revisionId: 'r1',
+		});
+
+		expect(mockFetch.mock.calls.map(([url]) => url)).toEqual([
+			'http://localhost:3000/projects/p1/versions/v1/screens',
+			'http://localhost:3000/projects/p1/versions/v1/screens/art-1/tiles',
+		]);
+		const screen = mockFetch.mock.calls[0][1].body as FormData;
+		expect(JSON.parse(screen.get('meta') as string).image).toEqual({
+			format: 'jpg',
+			scale: 1,
+			quality: 80,
+			tiles: [
+				{ index: 0, y: 0, height: 4000 },
+				{ index: 1, y: 4000, height: 2000 },
+			],
+		});
+		const tile = mockFetch.mock.calls[1][1].body as FormData;
+		expect((tile.get('image') as File).name).toBe('art-1-2.jpg');
+		expect(JSON.parse(tile.get('meta') as string)).toEqual({
+			sketchId: 'art-1',
+			index: 1,
+			y: 4000,
+			height: 2000,
+			revisionId: 'r1',
+		});
+	});
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { collectExportAssets } from '../webview/lib/assets';
+import type { LayerData } from '../types/index';
+
+function layer(id: string, partial: Partial<LayerData> = {}): LayerData {
+	return {
+		id,
+		name: `Layer ${id}`,
+		type: 'Group',
+		frame: { x: 0, y: 0, width: 10, height: 10 },
+		isVisible: true,
+		isLocked: false,
+		opacity: 1,
+		rotation: 0,
+		style: null,
+		exportFormats: [],
+		sharedStyleId: null,
+		sharedStyleStatus: null,
+		resizing: null,
+		...partial,
+	};
+}
+
+describe('collectExportAssets', () => {
+	it('returns nothing when no layer is exportable', () => {
+		expect(collectExportAssets([layer('a'), layer('b')])).toEqual([]);
+	});
+
+	it('emits one request per configured format', () => {
+		const icon = layer('icon', {
+			exportFormats: [
+				{ fileFormat: 'svg', prefix: 'ic_', suffix: '', size: '1x' },
+				{ fileFormat: 'png', prefix: 'ic_', suffix: '@2x', size: '2x' },
+			],
+		});
+		const result = collectExportAssets([icon]);
+		expect(result).toHaveLength(2);
+		expect(result.map((r) => r.key)).toEqual(['icon:0', 'icon:1']);
+		expect(result[1].format.size).toBe('2x');
+	});
+
+	it('walks nested children', () => {
+		const nested = layer('child', {
+			exportFormats: [{ fileFormat: 'webp', prefix: '', suffix: '', size: '1x' }],
+		});
+		const result = collectExportAssets([layer('group', { children: [nested] })]);
+		expect(result).toEqual([
+			{
+				key: 'child:0',
+				layerId: 'child',
+				layerName: 'Layer child',
+				format: { fileFormat: 'webp', prefix: '', suffix: '', size: '1x' },
+			},
+		]);
+	});
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+	kebabName,
+	toCss,
+	toScss,
+	toTailwindThemeExtend,
+	toTailwindConfig,
+	generateTokenFile,
+} from '../webview/lib/codegen';
+import type { DesignTokens, TextStyleToken } from '../types/index';
+
+function tokens(partial: Partial<DesignTokens> = {}): DesignTokens {
+	return { colors: [], textStyles: [], layerStyles: [], ...partial };
+}
+
+const body: TextStyleToken = {
+	id: 'ts1',
+	name: 'Body/Regular',
+	fontFamily: 'Inter',
+	fontSize: 16,
+	// Sketch's AppKit weight for Regular
+	fontWeight: 5,
+	textColor: '#111111ff',
+	lineHeight: 24,
+	letterSpacing: 0.5,
+	textAlignment: 'left',
+	textTransform: 'none',
+};
+
+const card = {
+	id: 'ls1',
+	name: 'Card/Elevated',
+	fills: [],
+	borders: [],
+	shadows: [{ color: '#00000033', x: 0, y: 2, blur: 8, spread: 0 }],
+	opacity: 1,
+};
+
+describe('kebabName', () => {
+	it('flattens slash-separated names into kebab case', () => {
+		expect(kebabName('Brand / Primary 500')).toBe('brand-primary-500');
+		expect(kebabName('Text/headingLarge')).toBe('text-heading-large');
+	});
+});
+
+describe('toCss', () => {
+	it('emits color and shadow custom properties', () => {
+		const css = toCss(
+			tokens({ colors: [{ name: 'Brand/Primary', color: '#0055ffff' }], layerStyles: [card] }),
+		);
+		expect(css).toContain('--color-brand-primary: #0055ff;');
+		expect(css).toContain('--shadow-card-elevated: 0px 2px 8px 0px #00000033;');
+		expect(css).toContain('.shadow-card-elevated {\n\tbox-shadow: var(--shadow-card-elevated);');
+	});
+
+	it('turns text styles into typography utilities referencing color variables', () => {
+		const css = toCss(
+			tokens({ colors: [{ name: 'Ink', color: '#111111ff' }], textStyles: [body] }),
+		);
+		expect(css).toContain('.text-body-regular {');
+		expect(css).toContain("\tfont-family: 'Inter';");
+		expect(css).toContain('\tfont-size: 16px;');
+		expect(css).toContain('\tfont-weight: 400;');
+		expect(css).toContain('\tline-height: 24px;');
+		expect(css).toContain('\tletter-spacing: 0.5px;');
+		expect(css).toContain('\tcolor: var(--color-ink);');
+		expect(css).not.toContain('text-transform');
+	});
+
+	it('suffixes duplicate names', () => {
+		const css = toCss(
+			tokens({
+				colors: [
+					{ name: 'Blue', color: '#0000ffff' },
+					{ name: 'blue', color: '#0000aaff' },
+				],
+			}),
+		);
+		expect(css).toContain('--color-blue: #0000ff;');
+		expect(css).toContain('--color-blue-2: #0000aa;');
+	});
+});
+
+describe('toScss', () => {
+	it('emits variables and typography mixins', () => {
+		const scss = toScss(
+			tokens({
+				colors: [{ name: 'Ink', color: '#111111ff' }],
+				textStyles: [body],
+				layerStyles: [card],
+			}),
+		);
+		expect(scss).toContain('$color-ink: #111111;');
+		expect(scss).toContain('$shadow-card-elevated: 0px 2px 8px 0px #00000033;');
+		expect(scss).toContain('@mixin text-body-regular {');
+		expect(scss).toContain('\tfont-weight: 400;');
+		expect(scss).toContain('\tcolor: $color-ink;');
+	});
+
+	it('falls back to raw colors when no swatch matches', () => {
+		const scss = toScss(tokens({ textStyles: [body] }));
+		expect(scss).toContain('\tcolor: #111111;');
+	});
+});
+
+describe('toTailwindThemeExtend', () => {
+	it('nests colors and keeps a token that is also a group as DEFAULT', () => {
+		const extend = toTailwindThemeExtend(
+			tokens({
+				colors: [
+					{ name: 'Brand', color: '#ff0000ff' },
+					{ name: 'Brand/Light', color: '#ff8888ff' },
+				],
+			}),
+		);
+		expect(extend.colors).toEqual({ brand: { DEFAULT: '#ff0000', light: '#ff8888' } });
+	});
+
+	it('maps text styles to fontSize / fontFamily and shadows to boxShadow', () => {
+		const extend = toTailwindThemeExtend(tokens({ textStyles: [body], layerStyles: [card] }));
+		expect(extend.fontFamily).toEqual({ inter: ['Inter'] });
+		expect(extend.fontSize['body-regular']).toEqual([
+			'16px',
+			{ lineHeight: '24px', letterSpacing: '0.5px', fontWeight: '400' },
+		]);
+		expect(extend.boxShadow['card-elevated']).toBe('0px 2px 8px 0px #00000033');
+	});
+
+	it('renders a loadable config module', () => {
+		const source = toTailwindConfig(tokens({ colors: [{ name: 'Ink', color: '#111111ff' }] }));
+		const module = { exports: {} as { theme?: { extend: { colors: object } } } };
+		new Function('module', source)(module);
+		expect(module.exports.theme?.extend.colors).toEqual({ ink: '#111111' });
+	});
+});
+
+describe('generateTokenFile', () => {
+	it('names files by format', () => {
+		expect(generateTokenFile(tokens(), 'w3c', 'App').fileName).toBe('App.tokens.json');
+		expect(generateTokenFile(tokens(), 'css', 'App').fileName).toBe('App.tokens.css');
+		expect(generateTokenFile(tokens(), 'scss', 'App').fileName).toBe('_App.tokens.scss');
+		expect(generateTokenFile(tokens(), 'tailwind', 'App').fileName).toBe('App.tailwind.js');
+	});
+});
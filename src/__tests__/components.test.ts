@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+	collectSymbolIds,
+	addComponentUsage,
+	type ComponentUsage,
+} from '../webview/lib/components';
+import type { LayerData } from '../types/index';
+
+function layer(id: string, partial: Partial<LayerData> = {}): LayerData {
+	return {
+		id,
+		name: `Layer ${id}`,
+		type: 'Group',
+		frame: { x: 0, y: 0, width: 10, height: 10 },
+		isVisible: true,
+		isLocked: false,
+		opacity: 1,
+		rotation: 0,
+		style: null,
+		exportFormats: [],
+		sharedStyleId: null,
+		sharedStyleStatus: null,
+		resizing: null,
+		...partial,
+	};
+}
+
+const instance = (id: string, symbolId: string) => layer(id, { type: 'SymbolInstance', symbolId });
+
+describe('collectSymbolIds', () => {
+	it('collects unique symbolIds depth-first', () => {
+		const tree = [
+			instance('a', 'button'),
+			layer('g', { children: [instance('b', 'icon'), instance('c', 'button')] }),
+		];
+		expect(collectSymbolIds(tree)).toEqual(['button', 'icon']);
+	});
+
+	it('returns an empty list when there are no instances', () => {
+		expect(collectSymbolIds([layer('a')])).toEqual([]);
+	});
+});
+
+describe('addComponentUsage', () => {
+	it('records the screens each symbol appears on', () => {
+		const usage: ComponentUsage = new Map();
+		addComponentUsage(usage, 'screen-1', [instance('a', 'button')]);
+		addComponentUsage(usage, 'screen-2', [instance('b', 'button'), instance('c', 'icon')]);
+		expect([...usage.get('button')!]).toEqual(['screen-1', 'screen-2']);
+		expect([...usage.get('icon')!]).toEqual(['screen-2']);
+	});
+
+	it('tracks nested symbols without a screen', () => {
+		const usage: ComponentUsage = new Map();
+		expect(addComponentUsage(usage, null, [instance('a', 'icon')])).toEqual(['icon']);
+		expect([...usage.get('icon')!]).toEqual([]);
+	});
+});
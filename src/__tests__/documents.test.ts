@@ -0,0 +1,154 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../webview/lib/bridge', () => ({
+	pluginCall: vi.fn(),
+	pluginRequest: vi.fn(),
+}));
+
+import {
+	assignPublishIds,
+	buildPublishIdMaps,
+	documentArtboards,
+	mergeDesignTokens,
+	mergeFlowGraphs,
+	remapFlowTargets,
+} from '../webview/lib/documents';
+import type { ArtboardMeta, DesignTokens, DocumentData, FlowData } from '../types/index';
+
+function artboard(id: string, documentId: string): ArtboardMeta {
+	return {
+		id,
+		sourceId: id,
+		documentId,
+		name: `Screen ${id}`,
+		pageName: 'Page 1',
+		width: 375,
+		height: 812,
+		displayOrder: 0,
+		flowCount: 0,
+		isSymbolMaster: false,
+		isFlowHome: false,
+		prototype: { presentationStyle: 'screen', overlay: null, viewport: null, fixedLayerIds: [] },
+		exportOptions: { format: 'png', scale: 2, quality: null, tileHeight: null },
+		exportOverride: null,
+	};
+}
+
+function document(documentId: string, ids: string[]): DocumentData {
+	return {
+		documentId,
+		documentName: documentId,
+		pages: [{ name: 'Page 1', artboards: ids.map((id) => artboard(id, documentId)) }],
+		designTokens: { colors: [], textStyles: [], layerStyles: [] },
+		libraries: [],
+		excludedArtboards: [],
+	};
+}
+
+function flow(target: string): FlowData {
+	return {
+		sourceLayerId: `hotspot-${target}`,
+		sourceLayerName: 'Hotspot',
+		sourceRect: { x: 0, y: 0, width: 10, height: 10 },
+		targetArtboardId: target,
+		targetArtboardName: null,
+		animationType: 'none',
+		isBackAction: target === '__back__',
+		maintainScrollPosition: false,
+		overlay: null,
+		sourceIsHotspot: false,
+		symbolInstanceId: null,
+	};
+}
+
+describe('assignPublishIds', () => {
+	it('keeps the layer IDs of the primary document and namespaces the others', () => {
+		const documents = assignPublishIds([document('A', ['1', '2']), document('B', ['2', '3'])]);
+		expect(documentArtboards(documents).map((a) => [a.id, a.sourceId, a.documentId])).toEqual([
+			['1', '1', 'A'],
+			['2', '2', 'A'],
+			['B:2', '2', 'B'],
+			['B:3', '3', 'B'],
+		]);
+	});
+
+	it('does not depend on which other documents are included', () => {
+		const withC = assignPublishIds([
+			document('A', ['1']),
+			document('B', ['2', '3']),
+			document('C', ['3']),
+		]);
+		const withoutC = assignPublishIds([document('A', ['1']), document('B', ['2', '3'])]);
+		const idsOf = (documents: DocumentData[]) =>
+			documentArtboards(documents)
+				.filter((a) => a.documentId === 'B')
+				.map((a) => a.id);
+		expect(idsOf(withC)).toEqual(['B:2', 'B:3']);
+		expect(idsOf(withoutC)).toEqual(idsOf(withC));
+	});
+
+	it('is stable when applied again', () => {
+		const once = assignPublishIds([document('A', ['1']), document('B', ['1'])]);
+		expect(documentArtboards(assignPublishIds(once)).map((a) => a.id)).toEqual(['1', 'B:1']);
+	});
+});
+
+describe('flow remapping', () => {
+	const documents = assignPublishIds([document('A', ['1', '2']), document('B', ['1', '9'])]);
+	const idMaps = buildPublishIdMaps(documentArtboards(documents));
+
+	it('points links at the publish IDs of their own document', () => {
+		const flows = remapFlowTargets([flow('1'), flow('9'), flow('__back__')], idMaps.get('B'));
+		expect(flows.map((f) => f.targetArtboardId)).toEqual(['B:1', 'B:9', '__back__']);
+		expect(remapFlowTargets([flow('1')], idMaps.get('A'))[0].targetArtboardId).toBe('1');
+	});
+
+	it('merges per-document graphs under publish IDs', () => {
+		const graph = mergeFlowGraphs(
+			[
+				{
+					documentId: 'A',
+					graph: {
+						artboards: [
+							{ id: '1', name: 'A1', pageName: 'P', isFlowHome: true, flows: [flow('2')] },
+						],
+					},
+				},
+				{
+					documentId: 'B',
+					graph: {
+						artboards: [
+							{ id: '1', name: 'B1', pageName: 'P', isFlowHome: false, flows: [flow('9')] },
+						],
+					},
+				},
+			],
+			idMaps,
+		);
+		expect(graph.artboards.map((a) => a.id)).toEqual(['1', 'B:1']);
+		expect(graph.artboards[0].flows[0].targetArtboardId).toBe('2');
+	});
+});
+
+describe('mergeDesignTokens', () => {
+	it('keeps the first token per ID or name', () => {
+		const own: DesignTokens = {
+			colors: [{ id: 'c1', name: 'Primary', color: '#000000ff' }],
+			textStyles: [],
+			layerStyles: [],
+		};
+		const library: DesignTokens = {
+			colors: [
+				{ id: 'lib-c1', name: 'Primary', color: '#111111ff' },
+				{ id: 'lib-c2', name: 'Accent', color: '#ff0000ff' },
+			],
+			textStyles: [],
+			layerStyles: [],
+		};
+		const merged = mergeDesignTokens([own, null, library, own]);
+		expect(merged.colors.map((c) => [c.name, c.color])).toEqual([
+			['Primary', '#000000ff'],
+			['Accent', '#ff0000ff'],
+		]);
+	});
+});
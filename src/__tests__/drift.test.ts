@@ -0,0 +1,156 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../webview/lib/bridge', () => ({
+	pluginCall: vi.fn(),
+	pluginRequest: vi.fn(),
+}));
+vi.mock('../webview/lib/api', () => ({
+	fetchProjectDetail: vi.fn(),
+	listRevisions: vi.fn(),
+}));
+
+import { pluginRequest } from '../webview/lib/bridge';
+import { fetchProjectDetail, listRevisions } from '../webview/lib/api';
+import { checkDocumentDrift, describeDrift, detectDrift, hasDrift } from '../webview/lib/drift';
+import type {
+	CheckinRecord,
+	DocumentDriftState,
+	ProjectDetail,
+	Version,
+	VersionRevision,
+} from '../types/index';
+
+function revision(revisionNumber: number, username = 'dana', versionId = 'v1'): VersionRevision {
+	return {
+		id: `${versionId === 'v1' ? '' : `${versionId}-`}r${revisionNumber}`,
+		versionId,
+		revisionNumber,
+		status: 'complete',
+		note: '',
+		basedOnRevisionId: null,
+		sketchArtifactId: 'a1',
+		diffSummary: null,
+		createdAt: `2026-01-0${revisionNumber}T00:00:00Z`,
+		completedAt: null,
+		uploadedByUser: { id: username, username, name: null },
+		sketchArtifact: {
+			id: `a${revisionNumber}`,
+			fileName: 'Checkout.sketch',
+			sizeBytes: 1024,
+			sha256: `sha${revisionNumber}`,
+			createdAt: '2026-01-01T00:00:00Z',
+		},
+	};
+}
+
+const checkin: CheckinRecord = {
+	projectId: 'p1',
+	versionId: 'v1',
+	revisionId: 'r2',
+	revisionNumber: 2,
+	sha256: 'sha2',
+	contentFingerprint: 'f1',
+	checkedInAt: '2026-01-02T00:00:00Z',
+};
+
+function local(fields: Partial<DocumentDriftState> = {}): DocumentDriftState {
+	return { documentId: 'doc-1', checkin, contentChanged: false, ...fields };
+}
+
+const dana = { userName: 'dana', userEmail: 'dana@example.com' };
+
+function version(id: string, number: number): Version {
+	return { id, number, projectId: 'p1', status: 'uploading', createdAt: '2026-01-01T00:00:00Z' };
+}
+
+describe('detectDrift', () => {
+	it('ignores documents that were never checked in', () => {
+		expect(detectDrift(local({ checkin: null }), [revision(1)], dana)).toBeNull();
+	});
+
+	it('reports newer check-ins by other designers only', () => {
+		const revisions = [revision(1), revision(2), revision(3), revision(4, 'sam')];
+		const drift = detectDrift(local(), revisions, dana);
+		expect(drift?.newerRevisions.map((r) => r.id)).toEqual(['r4']);
+		expect(hasDrift(drift)).toBe(true);
+		expect(describeDrift(drift!)).toEqual([
+			'@sam checked in r4 after this copy was taken from r2.',
+		]);
+
+		expect(hasDrift(detectDrift(local(), [revision(2), revision(3)], dana))).toBe(false);
+	});
+
+	it('reports local changes to the saved file', () => {
+		const drift = detectDrift(local({ contentChanged: true }), [revision(2)], dana)!;
+		expect(drift.newerRevisions).toEqual([]);
+		expect(describeDrift(drift)).toEqual([
+			'This file has changes that were not checked in since r2.',
+		]);
+	});
+
+	it('skips failed revisions and revisions without a Sketch file', () => {
+		const failed = { ...revision(3, 'sam'), status: 'failed' as const };
+		const noFile = { ...revision(4, 'sam'), sketchArtifact: null };
+		expect(detectDrift(local(), [revision(2), failed, noFile], dana)?.newerRevisions).toEqual([]);
+	});
+});
+
+describe('newer versions', () => {
+	const latest = (revisions: VersionRevision[]) => ({
+		version: version('v2', 2),
+		baseVersionNumber: 1,
+		revisions,
+	});
+
+	it('reports the latest check-in by another designer to a newer version', () => {
+		const drift = detectDrift(local(), [revision(2)], dana, latest([revision(1, 'sam', 'v2')]));
+		expect(drift?.newerVersion?.revision.id).toBe('v2-r1');
+		expect(hasDrift(drift)).toBe(true);
+		expect(describeDrift(drift!)).toEqual([
+			'@sam checked in r1 of version 2, newer than version 1 this copy was taken from.',
+		]);
+	});
+
+	it('ignores own check-ins and older versions', () => {
+		expect(
+			detectDrift(local(), [revision(2)], dana, latest([revision(1, 'dana', 'v2')]))?.newerVersion,
+		).toBeNull();
+		const older = { ...latest([revision(1, 'sam', 'v2')]), baseVersionNumber: 3 };
+		expect(detectDrift(local(), [revision(2)], dana, older)?.newerVersion).toBeNull();
+	});
+});
+
+describe('checkDocumentDrift', () => {
+	it('compares the native check-in record with the version revisions', async () => {
+		vi.mocked(pluginRequest).mockResolvedValueOnce(local());
+		vi.mocked(fetchProjectDetail).mockResolvedValueOnce({
+			versions: [version('v1', 1)],
+		} as ProjectDetail);
+		vi.mocked(listRevisions).mockResolvedValueOnce([revision(2), revision(3, 'sam')]);
+		const drift = await checkDocumentDrift('https://flow.test', 'doc-1', dana);
+		expect(pluginRequest).toHaveBeenCalledWith('getDocumentDrift', 'doc-1');
+		expect(listRevisions).toHaveBeenCalledWith('https://flow.test', 'p1', 'v1');
+		expect(drift?.newerRevisions.map((r) => r.id)).toEqual(['r3']);
+		expect(drift?.newerVersion).toBeNull();
+	});
+
+	it("also checks the project's latest version", async () => {
+		vi.mocked(pluginRequest).mockResolvedValueOnce(local());
+		vi.mocked(fetchProjectDetail).mockResolvedValueOnce({
+			versions: [version('v1', 1), version('v2', 2)],
+		} as ProjectDetail);
+		vi.mocked(listRevisions)
+			.mockResolvedValueOnce([revision(2)])
+			.mockResolvedValueOnce([revision(1, 'sam', 'v2')]);
+		const drift = await checkDocumentDrift('https://flow.test', 'doc-1', dana);
+		expect(listRevisions).toHaveBeenLastCalledWith('https://flow.test', 'p1', 'v2');
+		expect(drift?.newerVersion?.versionNumber).toBe(2);
+	});
+
+	it('skips the server for documents without a record', async () => {
+		vi.mocked(listRevisions).mockClear();
+		vi.mocked(pluginRequest).mockResolvedValueOnce(local({ checkin: null }));
+		await expect(checkDocumentDrift('https://flow.test', 'doc-1', dana)).resolves.toBeNull();
+		expect(listRevisions).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../webview/lib/bridge', () => ({
+	pluginCall: vi.fn(),
+	pluginRequest: vi.fn(),
+}));
+
+import {
+	buildExclusionReport,
+	excludedArtboardEntries,
+	excludedLayerEntries,
+	parseRuleList,
+} from '../webview/lib/exclusions';
+import type { DocumentData } from '../types/index';
+
+const document: DocumentData = {
+	documentId: 'doc',
+	documentName: 'Checkout.sketch',
+	pages: [],
+	designTokens: { colors: [], textStyles: [], layerStyles: [] },
+	libraries: [],
+	excludedArtboards: [{ layerId: 'a1', layerName: 'Scratch', reason: 'page', pageName: 'Notes' }],
+};
+
+describe('parseRuleList', () => {
+	it('trims, drops empty and duplicate entries', () => {
+		expect(parseRuleList(' _, #note,, _ ,WIP ')).toEqual(['_', '#note', 'WIP']);
+		expect(parseRuleList('')).toEqual([]);
+	});
+});
+
+describe('exclusion report', () => {
+	const entries = [
+		...excludedArtboardEntries([document]),
+		...excludedLayerEntries('Checkout.sketch', { name: 'Cart', pageName: 'Flows' }, [
+			{ layerId: 'l1', layerName: '#note pricing', reason: 'namePrefix' },
+			{ layerId: 'l2', layerName: 'Customer email', reason: 'flag' },
+		]),
+	];
+
+	it('lists excluded artboards and stripped layers with their location', () => {
+		expect(entries.map((entry) => [entry.artboardName, entry.layerName])).toEqual([
+			[null, 'Scratch'],
+			['Cart', '#note pricing'],
+			['Cart', 'Customer email'],
+		]);
+	});
+
+	it('renders a markdown report', () => {
+		const report = buildExclusionReport(entries, {
+			projectName: 'Shop',
+			revisionNumber: 3,
+			date: new Date('2026-01-02T10:00:00Z'),
+		});
+		expect(report.fileName).toBe('flow-exclusions-2026-01-02.md');
+		expect(report.contents).toContain('# Excluded from Flow – Shop r3');
+		expect(report.contents).toContain('1 artboard and 2 layers were kept out of the handoff.');
+		expect(report.contents).toContain('- Checkout.sketch / Notes / Scratch (Excluded page)');
+		expect(report.contents).toContain(
+			'- Checkout.sketch / Flows / Cart › Customer email (Marked "Exclude from Flow")',
+		);
+	});
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../webview/lib/bridge', () => ({
+	pluginCall: vi.fn(),
+	pluginRequest: vi.fn(),
+}));
+
+import {
+	buildExportOverride,
+	describeExportOptions,
+	screenImageFileName,
+	tileCount,
+} from '../webview/lib/exportOptions';
+
+describe('buildExportOverride', () => {
+	it('keeps only the fields that are set', () => {
+		expect(buildExportOverride({ format: '', scale: '', quality: '', tileHeight: '' })).toBeNull();
+		expect(
+			buildExportOverride({ format: 'jpg', scale: '1', quality: '80', tileHeight: '' }),
+		).toEqual({ format: 'jpg', scale: 1, quality: 80 });
+	});
+
+	it('drops invalid values and clamps quality and tile height', () => {
+		expect(
+			buildExportOverride({ format: 'webp', scale: '9', quality: '150', tileHeight: '100' }),
+		).toEqual({ format: 'webp', quality: 100, tileHeight: 256 });
+		expect(
+			buildExportOverride({ format: 'png', scale: '', quality: '80', tileHeight: '' }),
+		).toEqual({
+			format: 'png',
+		});
+	});
+});
+
+describe('describeExportOptions', () => {
+	it('names format, quality, scale and tiling', () => {
+		expect(
+			describeExportOptions({ format: 'png', scale: 2, quality: null, tileHeight: null }),
+		).toBe('PNG @2x');
+		expect(describeExportOptions({ format: 'jpg', scale: 1, quality: 80, tileHeight: 4000 })).toBe(
+			'JPG 80% @1x · 4000pt tiles',
+		);
+	});
+});
+
+describe('tiles', () => {
+	it('counts the images a tall artboard is split into', () => {
+		expect(tileCount(812, null)).toBe(1);
+		expect(tileCount(4000, 4000)).toBe(1);
+		expect(tileCount(9000, 4000)).toBe(3);
+	});
+
+	it('keeps the plain screen file name for the first tile', () => {
+		expect(screenImageFileName('art-1', 'jpg', 0)).toBe('art-1.jpg');
+		expect(screenImageFileName('art-1', 'jpg', 2)).toBe('art-1-3.jpg');
+	});
+});
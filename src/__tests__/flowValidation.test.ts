@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { validateFlowGraph, findLinkedArtboards } from '../webview/lib/flowValidation';
+import type { FlowData, FlowGraph, FlowGraphArtboard } from '../types/index';
+
+function flow(
+	target: string,
+	rect = { x: 0, y: 0, width: 10, height: 10 },
+	id = `hotspot-${target}`,
+): FlowData {
+	return {
+		sourceLayerId: id,
+		sourceLayerName: id,
+		sourceRect: rect,
+		targetArtboardId: target,
+		targetArtboardName: null,
+		animationType: 'none',
+		isBackAction: target === '__back__',
+		maintainScrollPosition: false,
+		overlay: null,
+		sourceIsHotspot: false,
+		symbolInstanceId: null,
+	};
+}
+
+function artboard(id: string, flows: FlowData[] = [], isFlowHome = false): FlowGraphArtboard {
+	return { id, name: `Screen ${id}`, pageName: 'Page 1', isFlowHome, flows };
+}
+
+const types = (graph: FlowGraph, selected: string[]) =>
+	validateFlowGraph(graph, new Set(selected)).map((issue) => issue.type);
+
+describe('validateFlowGraph', () => {
+	it('reports nothing for documents without a prototype', () => {
+		const graph = { artboards: [artboard('a'), artboard('b')] };
+		expect(validateFlowGraph(graph, new Set(['a', 'b']))).toEqual([]);
+	});
+
+	it('accepts a complete prototype', () => {
+		const graph = {
+			artboards: [artboard('a', [flow('b')], true), artboard('b', [flow('__back__')])],
+		};
+		expect(types(graph, ['a', 'b'])).toEqual([]);
+	});
+
+	it('reports dangling and unselected targets', () => {
+		const graph = {
+			artboards: [
+				artboard('a', [flow('gone'), flow('b', { x: 20, y: 0, width: 10, height: 10 })], true),
+				artboard('b', [flow('__back__')]),
+			],
+		};
+		const issues = validateFlowGraph(graph, new Set(['a']));
+		expect(issues.map((issue) => [issue.type, issue.severity])).toEqual([
+			['danglingTarget', 'error'],
+			['unselectedTarget', 'warning'],
+		]);
+		expect(issues[0].targetArtboardId).toBe('gone');
+	});
+
+	it('reports unreachable and dead-end screens', () => {
+		const graph = {
+			artboards: [artboard('a', [flow('b')], true), artboard('b'), artboard('c', [flow('a')])],
+		};
+		expect(types(graph, ['a', 'b', 'c'])).toEqual(['deadEnd', 'unreachable']);
+	});
+
+	it('reports missing and duplicate start points', () => {
+		const linked = { artboards: [artboard('a', [flow('b')]), artboard('b', [flow('a')])] };
+		expect(types(linked, ['a', 'b'])).toEqual(['missingStart']);
+
+		const twoStarts = {
+			artboards: [artboard('a', [flow('b')], true), artboard('b', [flow('a')], true)],
+		};
+		expect(types(twoStarts, ['a', 'b'])).toEqual(['multipleStarts']);
+	});
+
+	it('reports overlapping hotspots that lead to different screens', () => {
+		const graph = {
+			artboards: [
+				artboard(
+					'a',
+					[
+						flow('b', { x: 0, y: 0, width: 20, height: 20 }),
+						flow('c', { x: 10, y: 10, width: 20, height: 20 }),
+						flow('c', { x: 15, y: 15, width: 5, height: 5 }, 'icon'),
+					],
+					true,
+				),
+				artboard('b', [flow('__back__')]),
+				artboard('c', [flow('__back__')]),
+			],
+		};
+		const issues = validateFlowGraph(graph, new Set(['a', 'b', 'c']));
+		expect(issues.map((issue) => issue.type)).toEqual([
+			'overlappingHotspots',
+			'overlappingHotspots',
+		]);
+		expect(issues[0].layerIds).toEqual(['hotspot-b', 'hotspot-c']);
+	});
+});
+
+describe('findLinkedArtboards', () => {
+	it('follows links transitively and skips missing artboards', () => {
+		const graph = {
+			artboards: [
+				artboard('a', [flow('b'), flow('gone')]),
+				artboard('b', [flow('c'), flow('a')]),
+				artboard('c', [flow('__back__')]),
+				artboard('d'),
+			],
+		};
+		expect(findLinkedArtboards(graph, new Set(['a']))).toEqual(['b', 'c']);
+		expect(findLinkedArtboards(graph, new Set(['d']))).toEqual([]);
+	});
+});
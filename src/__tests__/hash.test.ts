@@ -0,0 +1,76 @@
+import { describe, it, expect, vi } from 'vitest';
+import { computeContentHash, hashSymbolMasters, stableStringify } from '../lib/hash';
+
+type Master = { content: unknown; symbolIds: string[] };
+
+const content = {
+	layers: [{ id: 'i1', type: 'SymbolInstance', symbolId: 'button', overrides: [] }],
+	width: 375,
+	height: 812,
+};
+
+function masters(entries: Record<string, Master>) {
+	return (symbolId: string) => entries[symbolId] || null;
+}
+
+const button = (label: string): Master => ({
+	content: { layers: [{ id: 't1', type: 'Text', text: label }] },
+	symbolIds: ['icon'],
+});
+const icon = (color: string): Master => ({
+	content: { layers: [{ id: 'p1', type: 'ShapePath', fill: color }] },
+	symbolIds: [],
+});
+
+function artboardHash(entries: Record<string, Master>, images = {}) {
+	return computeContentHash(content, 2, {
+		symbols: hashSymbolMasters(['button'], masters(entries)),
+		images,
+	});
+}
+
+describe('stableStringify', () => {
+	it('sorts object keys and drops undefined values', () => {
+		expect(stableStringify({ b: 1, a: [undefined, { d: undefined, c: 2 }] })).toBe(
+			'{"a":[null,{"c":2}],"b":1}',
+		);
+	});
+});
+
+describe('computeContentHash', () => {
+	it('changes when a symbol master used by the artboard is edited', () => {
+		const before = artboardHash({ button: button('Buy'), icon: icon('#000') });
+		expect(artboardHash({ button: button('Buy'), icon: icon('#000') })).toBe(before);
+		expect(artboardHash({ button: button('Buy now'), icon: icon('#000') })).not.toBe(before);
+	});
+
+	it('changes when a nested master or an image changes', () => {
+		const before = artboardHash({ button: button('Buy'), icon: icon('#000') }, { img: 'sha-1' });
+		expect(artboardHash({ button: button('Buy'), icon: icon('#fff') }, { img: 'sha-1' })).not.toBe(
+			before,
+		);
+		expect(artboardHash({ button: button('Buy'), icon: icon('#000') }, { img: 'sha-2' })).not.toBe(
+			before,
+		);
+	});
+
+	it('keeps hashes of artboards without dependencies unchanged', () => {
+		expect(computeContentHash(content, 2, { symbols: {}, images: {} })).toBe(
+			computeContentHash(content, 2),
+		);
+	});
+});
+
+describe('hashSymbolMasters', () => {
+	it('reads every master once and survives missing and recursive masters', () => {
+		const read = vi.fn(
+			masters({
+				a: { content: 'a', symbolIds: ['b', 'missing'] },
+				b: { content: 'b', symbolIds: ['a'] },
+			}),
+		);
+		const hashes = hashSymbolMasters(['a', 'b'], read);
+		expect(Object.keys(hashes)).toEqual(['a', 'b']);
+		expect(read).toHaveBeenCalledTimes(3);
+	});
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../webview/lib/bridge', () => ({
+	pluginCall: vi.fn(),
+	pluginRequest: vi.fn(),
+}));
+
+import { pluginRequest } from '../webview/lib/bridge';
+import {
+	formatFileSize,
+	openRevisionSketchFile,
+	revisionAuthor,
+	rollbackNote,
+	sortRevisions,
+} from '../webview/lib/history';
+import type { VersionRevision } from '../types/index';
+
+function revision(revisionNumber: number, fields: Partial<VersionRevision> = {}): VersionRevision {
+	return {
+		id: `r${revisionNumber}`,
+		versionId: 'v1',
+		revisionNumber,
+		status: 'complete',
+		note: '',
+		basedOnRevisionId: null,
+		sketchArtifactId: 'a1',
+		diffSummary: null,
+		createdAt: '2026-01-01T00:00:00Z',
+		completedAt: null,
+		uploadedByUser: { id: 'u1', username: 'dana', name: null },
+		sketchArtifact: {
+			id: 'a1',
+			fileName: 'Checkout.sketch',
+			sizeBytes: 2_500_000,
+			sha256: 'abc123',
+			createdAt: '2026-01-01T00:00:00Z',
+		},
+		...fields,
+	};
+}
+
+const connection = { serverUrl: 'https://flow.test', authToken: 't', ignoreSslErrors: false };
+
+describe('revision formatting', () => {
+	it('formats file sizes', () => {
+		expect(formatFileSize(512)).toBe('512 B');
+		expect(formatFileSize(2_500_000)).toBe('2.4 MB');
+		expect(formatFileSize(50 * 1024)).toBe('50 KB');
+	});
+
+	it('names the author and the rollback', () => {
+		expect(revisionAuthor(revision(1))).toBe('@dana');
+		expect(
+			revisionAuthor(revision(1, { uploadedByUser: { id: 'u1', username: 'dana', name: 'Dana' } })),
+		).toBe('Dana (@dana)');
+		expect(rollbackNote(revision(3, { note: 'Checkout v2 ' }))).toBe(
+			'Roll back to r3 (“Checkout v2”)',
+		);
+	});
+
+	it('sorts newest first', () => {
+		expect(sortRevisions([revision(1), revision(3), revision(2)]).map((r) => r.id)).toEqual([
+			'r3',
+			'r2',
+			'r1',
+		]);
+	});
+});
+
+describe('openRevisionSketchFile', () => {
+	it('asks the native side to download and verify the artifact', async () => {
+		vi.mocked(pluginRequest).mockResolvedValueOnce({ opened: true, path: '/tmp/Checkout.sketch' });
+		await expect(openRevisionSketchFile(connection, 'p1', revision(2))).resolves.toBe(
+			'/tmp/Checkout.sketch',
+		);
+		expect(pluginRequest).toHaveBeenCalledWith('openRevisionSketchFile', {
+			...connection,
+			projectId: 'p1',
+			versionId: 'v1',
+			revisionId: 'r2',
+			revisionNumber: 2,
+			fileName: 'Checkout.sketch',
+			sha256: 'abc123',
+		});
+	});
+
+	it('surfaces checksum failures', async () => {
+		vi.mocked(pluginRequest).mockResolvedValueOnce({
+			opened: false,
+			path: null,
+			error: 'The downloaded Sketch file is corrupt',
+		});
+		await expect(openRevisionSketchFile(connection, 'p1', revision(2))).rejects.toThrow('corrupt');
+		await expect(
+			openRevisionSketchFile(connection, 'p1', revision(2, { sketchArtifact: null })),
+		).rejects.toThrow('has no Sketch file');
+	});
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../webview/lib/bridge', () => ({
+	pluginCall: vi.fn(),
+	pluginRequest: vi.fn(),
+}));
+import {
+	createPublishJob,
+	isUnfinishedJob,
+	jobPassedPhase,
+	persistJobPhase,
+	restoreJobQueue,
+} from '../webview/lib/jobs';
+import { pluginCall } from '../webview/lib/bridge';
+import type { PublishJobItem } from '../types/index';
+
+function item(id: string, status: PublishJobItem['status'], error?: string): PublishJobItem {
+	return {
+		id,
+		sourceId: id,
+		documentId: 'doc-1',
+		name: `Artboard ${id}`,
+		width: 375,
+		height: 812,
+		pageName: 'Page 1',
+		displayOrder: 0,
+		flowCount: 0,
+		isSymbolMaster: false,
+		isFlowHome: false,
+		prototype: { presentationStyle: 'screen', overlay: null, viewport: null, fixedLayerIds: [] },
+		exportOptions: { format: 'png', scale: 2, quality: null, tileHeight: null },
+		exportOverride: null,
+		status,
+		error,
+	};
+}
+
+describe('createPublishJob', () => {
+	it('keys the job by revision and copies the queue', () => {
+		const queue = [item('a', 'queued')];
+		const job = createPublishJob({
+			projectId: 'p1',
+			projectName: 'App',
+			versionId: 'v1',
+			revisionId: 'r1',
+			queue,
+			designTokens: null,
+		});
+		expect(job.id).toBe('r1');
+		expect(job.versionId).toBe('v1');
+		expect(job.queue).toEqual(queue);
+		expect(job.queue[0]).not.toBe(queue[0]);
+		expect(job.createdAt).toBeGreaterThan(0);
+	});
+});
+
+describe('restoreJobQueue', () => {
+	it('keeps finished items and requeues everything else', () => {
+		const restored = restoreJobQueue([
+			item('a', 'done'),
+			item('b', 'uploading'),
+			item('c', 'failed', 'Network error'),
+		]);
+		expect(restored.map((i) => i.status)).toEqual(['done', 'queued', 'queued']);
+		expect(restored[2].error).toBeUndefined();
+	});
+});
+
+describe('isUnfinishedJob', () => {
+	it('keeps a job until its revision is finalized', () => {
+		const job = createPublishJob({
+			projectId: 'p1',
+			projectName: null,
+			versionId: 'v1',
+			revisionId: 'r1',
+			queue: [item('a', 'done')],
+			designTokens: null,
+		});
+		expect(isUnfinishedJob(null)).toBe(false);
+		expect(isUnfinishedJob(job)).toBe(true);
+		expect(isUnfinishedJob({ ...job, phase: 'review' })).toBe(true);
+		expect(isUnfinishedJob({ ...job, phase: undefined })).toBe(true);
+		expect(isUnfinishedJob({ ...job, phase: 'done' })).toBe(false);
+	});
+});
+
+describe('jobPassedPhase', () => {
+	it('skips only the steps a replayed job completed', () => {
+		const job = createPublishJob({
+			projectId: 'p1',
+			projectName: null,
+			versionId: 'v1',
+			revisionId: 'r1',
+			queue: [],
+			designTokens: null,
+		});
+		expect(jobPassedPhase(null, 'components')).toBe(false);
+		expect(jobPassedPhase(job, 'components')).toBe(false);
+		expect(jobPassedPhase({ ...job, phase: 'review' }, 'components')).toBe(true);
+		expect(jobPassedPhase({ ...job, phase: 'review' }, 'review')).toBe(false);
+	});
+});
+
+describe('persistJobPhase', () => {
+	it('keeps the token changelog with the job for replays', () => {
+		const tokenChanges = { colors: [], textStyles: [], layerStyles: [] };
+		persistJobPhase('r1', 'review', { tokenChanges });
+		expect(pluginCall).toHaveBeenCalledWith('updateJobPhase', {
+			jobId: 'r1',
+			phase: 'review',
+			fields: { tokenChanges },
+		});
+	});
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+	booleanOperationName,
+	cssFontWeight,
+	pointToPx,
+	resizingConstraints,
+	sameRunStyle,
+	smartLayout,
+	stackLayout,
+	textBehaviourName,
+} from '../lib/layerValues';
+
+describe('text values', () => {
+	it('converts AppKit font weights to CSS weights', () => {
+		expect(cssFontWeight(5)).toBe(400);
+		expect(cssFontWeight(6)).toBe(500);
+		expect(cssFontWeight(9)).toBe(700);
+		expect(cssFontWeight(15)).toBe(900);
+		expect(cssFontWeight(-1)).toBe(100);
+		expect(cssFontWeight(null)).toBeNull();
+	});
+
+	it('names the native text behaviour, falling back to the fixed-width flag', () => {
+		expect(textBehaviourName(0, true)).toBe('autoWidth');
+		expect(textBehaviourName(2, false)).toBe('fixed');
+		expect(textBehaviourName(null, true)).toBe('autoHeight');
+		expect(textBehaviourName(7, false)).toBe('autoWidth');
+	});
+
+	it('compares the run attributes that are published', () => {
+		const run = { fontName: 'Inter-Regular', fontSize: 16, fontWeight: 400, text: 'Hello' };
+		expect(sameRunStyle(run, { ...run, text: ' world' })).toBe(true);
+		expect(sameRunStyle(run, { ...run, fontWeight: 700 })).toBe(false);
+	});
+});
+
+describe('layout values', () => {
+	it('maps Stack Layout enums', () => {
+		const padding = { top: 8, right: 16, bottom: 8, left: 16 };
+		expect(
+			stackLayout({ direction: 1, gap: 12, padding, justifyContent: 3, alignItems: 3, wrap: true }),
+		).toEqual({
+			type: 'stack',
+			direction: 'vertical',
+			gap: 12,
+			padding,
+			justifyContent: 'spaceBetween',
+			alignItems: 'stretch',
+			wrap: true,
+		});
+		expect(
+			stackLayout({ direction: 9, gap: 0, padding, justifyContent: 9, alignItems: 9, wrap: false }),
+		).toMatchObject({ direction: 'horizontal', justifyContent: 'start', alignItems: 'start' });
+	});
+
+	it('maps Smart Layout enums', () => {
+		expect(smartLayout(1, 2)).toEqual({ type: 'smart', direction: 'vertical', anchor: 'end' });
+		expect(smartLayout(5, 5)).toEqual({ type: 'smart', direction: 'horizontal', anchor: 'start' });
+	});
+
+	it('decodes the resizing mask, where a cleared bit is an active constraint', () => {
+		expect(resizingConstraints(63)).toEqual({
+			pinLeft: false,
+			pinRight: false,
+			pinTop: false,
+			pinBottom: false,
+			fixedWidth: false,
+			fixedHeight: false,
+		});
+		// Pinned left and top with a fixed width: 63 - 4 - 32 - 2
+		expect(resizingConstraints(25)).toEqual({
+			pinLeft: true,
+			pinRight: false,
+			pinTop: true,
+			pinBottom: false,
+			fixedWidth: true,
+			fixedHeight: false,
+		});
+		expect(resizingConstraints(null)).toBeNull();
+		expect(resizingConstraints(NaN)).toBeNull();
+	});
+});
+
+describe('booleanOperationName', () => {
+	it('falls back to none for layers without a boolean operation', () => {
+		expect(booleanOperationName('subtract')).toBe('subtract');
+		expect(booleanOperationName(undefined)).toBe('none');
+		expect(booleanOperationName(null)).toBe('none');
+	});
+});
+
+describe('pointToPx', () => {
+	it('scales normalized points to the layer frame', () => {
+		expect(pointToPx({ x: 0.5, y: 1 }, 100, 40)).toEqual({ x: 50, y: 40 });
+		expect(pointToPx({ x: 1 / 3, y: 0 }, 100, 40)).toEqual({ x: 33.33, y: 0 });
+	});
+
+	it('rejects missing and malformed points', () => {
+		expect(pointToPx(null, 100, 40)).toBeNull();
+		expect(pointToPx(undefined, 100, 40)).toBeNull();
+		expect(pointToPx({ x: NaN, y: 0 } as any, 100, 40)).toBeNull();
+	});
+});
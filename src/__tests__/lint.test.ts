@@ -0,0 +1,184 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../webview/lib/bridge', () => ({
+	pluginCall: vi.fn(),
+	pluginRequest: vi.fn(),
+	requestArtboardData: vi.fn(),
+}));
+vi.mock('../webview/lib/api', () => ({
+	fetchLintConfig: vi.fn(),
+}));
+
+import { requestArtboardData } from '../webview/lib/bridge';
+import { fetchLintConfig } from '../webview/lib/api';
+import {
+	DEFAULT_LINT_CONFIG,
+	blockingLintResults,
+	countLintResults,
+	hasBlockingRules,
+	lintArtboards,
+	lintLayers,
+	loadLintConfig,
+	normalizeLintConfig,
+} from '../webview/lib/lint';
+import type { ArtboardMeta, DesignTokens, LayerData, LintConfig } from '../types/index';
+
+function layer(fields: Partial<LayerData> = {}): LayerData {
+	return {
+		id: 'l1',
+		name: 'Card',
+		type: 'ShapePath',
+		frame: { x: 16, y: 24, width: 100, height: 40 },
+		isVisible: true,
+		isLocked: false,
+		opacity: 1,
+		rotation: 0,
+		style: null,
+		exportFormats: [],
+		sharedStyleId: null,
+		sharedStyleStatus: null,
+		resizing: null,
+		...fields,
+	};
+}
+
+function fill(color: string, swatchId: string | null = null) {
+	return {
+		style: {
+			fills: [{ color, fillType: 'Color', gradient: null, swatchId }],
+			borders: [],
+			shadows: [],
+			innerShadows: [],
+			blur: null,
+			borderOptions: null,
+			opacity: 1,
+			blendingMode: 'Normal',
+		},
+	} as Partial<LayerData>;
+}
+
+const artboard = { id: 'a1', documentId: 'doc-1' };
+const tokens: DesignTokens = {
+	colors: [{ id: 's1', name: 'Brand', color: '#FF0000' }],
+	textStyles: [],
+	layerStyles: [],
+};
+
+function config(rules: Partial<LintConfig['rules']> = {}, fields: Partial<LintConfig> = {}) {
+	return normalizeLintConfig({ ...fields, rules: { ...DEFAULT_LINT_CONFIG.rules, ...rules } });
+}
+
+const ruleIds = (layers: LayerData[], c = config()) =>
+	lintLayers(layers, artboard, tokens, c).map((r) => r.ruleId);
+
+describe('normalizeLintConfig', () => {
+	it('merges the server config over the defaults', () => {
+		const normalized = normalizeLintConfig({
+			rules: { 'empty-group': 'error', 'text-style': 'loud' as any } as LintConfig['rules'],
+			gridSize: 4,
+		});
+		expect(normalized.rules['empty-group']).toBe('error');
+		expect(normalized.rules['text-style']).toBe('warning');
+		expect(normalized.gridSize).toBe(4);
+		expect(hasBlockingRules(normalized)).toBe(true);
+		expect(normalizeLintConfig(null)).toEqual(DEFAULT_LINT_CONFIG);
+		expect(hasBlockingRules(DEFAULT_LINT_CONFIG)).toBe(false);
+	});
+});
+
+describe('lintLayers', () => {
+	it('flags colors that are not design tokens', () => {
+		expect(ruleIds([layer(fill('#00FF00'))])).toEqual(['color-token']);
+		expect(ruleIds([layer(fill('#ff0000ff'))])).toEqual([]);
+		expect(ruleIds([layer(fill('#00FF00', 'swatch-1'))])).toEqual([]);
+	});
+
+	it('flags text without a shared style and fonts outside the approved list', () => {
+		const text = layer({
+			type: 'Text',
+			name: 'Welcome back',
+			textStyle: { fontFamily: 'Comic Sans', textColor: null, textColorSwatchId: null } as any,
+		});
+		expect(
+			ruleIds([text], config({ 'approved-fonts': 'error' }, { approvedFonts: ['Inter'] })),
+		).toEqual(['text-style', 'approved-fonts']);
+		expect(ruleIds([{ ...text, sharedStyleId: 'ts-1', sharedStyleStatus: 'synced' }])).toEqual([]);
+	});
+
+	it('flags fractional frames, off-grid positions, default names and empty groups', () => {
+		const layers = [
+			layer({ id: 'frac', frame: { x: 10.5, y: 24, width: 100, height: 40 } }),
+			layer({ id: 'grid', frame: { x: 13, y: 24, width: 100, height: 40 } }),
+			layer({ id: 'name', name: 'Rectangle Copy 12' }),
+			layer({ id: 'group', name: 'Header', type: 'Group', children: [] }),
+			layer({ id: 'hidden', name: 'Oval', isVisible: false }),
+		];
+		const results = lintLayers(layers, artboard, tokens, config({ 'off-grid-spacing': 'warning' }));
+		expect(results.map((r) => [r.layerId, r.ruleId])).toEqual([
+			['frac', 'fractional-frame'],
+			['grid', 'off-grid-spacing'],
+			['name', 'default-layer-name'],
+			['group', 'empty-group'],
+		]);
+		expect(results[0]).toMatchObject({
+			artboardId: 'a1',
+			documentId: 'doc-1',
+			severity: 'warning',
+			message: 'Fractional x 10.5',
+		});
+		expect(countLintResults(results)).toEqual({ error: 0, warning: 3, info: 1 });
+	});
+
+	it('checks the grid for layers with only a fractional size', () => {
+		const layers = [
+			layer({ id: 'size', frame: { x: 13, y: 24, width: 100.5, height: 40 } }),
+			layer({ id: 'both', frame: { x: 13.5, y: 24, width: 100, height: 40 } }),
+		];
+		const results = lintLayers(layers, artboard, tokens, config({ 'off-grid-spacing': 'warning' }));
+		expect(results.map((r) => [r.layerId, r.ruleId])).toEqual([
+			['size', 'fractional-frame'],
+			['size', 'off-grid-spacing'],
+			['both', 'fractional-frame'],
+		]);
+	});
+
+	it('walks child layers and skips disabled rules', () => {
+		const group = layer({ type: 'Group', name: 'Form', children: [layer({ name: 'Line 3' })] });
+		expect(ruleIds([group])).toEqual(['default-layer-name']);
+		expect(ruleIds([group], config({ 'default-layer-name': 'off' }))).toEqual([]);
+	});
+});
+
+describe('blocking results', () => {
+	it('only errors on selected artboards block publishing', () => {
+		const results = lintLayers(
+			[layer({ type: 'Group', children: [] })],
+			artboard,
+			tokens,
+			config({ 'empty-group': 'error' }),
+		);
+		expect(blockingLintResults(results, new Set(['a1']))).toHaveLength(1);
+		expect(blockingLintResults(results, new Set(['a2']))).toHaveLength(0);
+	});
+});
+
+describe('lintArtboards', () => {
+	it('lints each artboard with the project config', async () => {
+		vi.mocked(fetchLintConfig).mockResolvedValueOnce({
+			rules: { 'empty-group': 'error' } as LintConfig['rules'],
+		});
+		vi.mocked(requestArtboardData).mockResolvedValueOnce({
+			layers: [layer({ type: 'Group', children: [] })],
+		});
+		const loaded = await loadLintConfig('https://flow.test', 'p1');
+		expect(fetchLintConfig).toHaveBeenCalledWith('https://flow.test', 'p1');
+
+		const meta = { id: 'a1', sourceId: 'a1', documentId: 'doc-1' } as ArtboardMeta;
+		const results = await lintArtboards([meta], tokens, loaded);
+		expect(requestArtboardData).toHaveBeenCalledWith('a1', undefined, null, {
+			sourceId: 'a1',
+			documentId: 'doc-1',
+		});
+		expect(results.map((r) => [r.ruleId, r.severity])).toEqual([['empty-group', 'error']]);
+	});
+});
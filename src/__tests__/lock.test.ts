@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../webview/lib/bridge', () => ({
+	pluginCall: vi.fn(),
+	pluginRequest: vi.fn(),
+}));
+vi.mock('../webview/lib/api', () => ({
+	checkoutHandoffLock: vi.fn(),
+	fetchHandoffLock: vi.fn(),
+	releaseHandoffLock: vi.fn(),
+}));
+
+import { get } from 'svelte/store';
+import { pluginCall } from '../webview/lib/bridge';
+import { checkoutHandoffLock, fetchHandoffLock } from '../webview/lib/api';
+import {
+	LOCK_RENEW_INTERVAL_MS,
+	beginLockWork,
+	forgetHandoffLock,
+	formatLockCountdown,
+	holdHandoffLock,
+	lockManager,
+	tickLockManager,
+} from '../webview/stores/lock';
+import { toasts } from '../webview/stores/toast';
+import type { HandoffLock } from '../types/index';
+
+function lock(fields: Partial<HandoffLock> = {}): HandoffLock {
+	return {
+		id: 'lock-1',
+		projectId: 'p1',
+		holderUserId: 'u1',
+		holder: { id: 'u1', username: 'dana', name: null },
+		acquiredAt: new Date(0).toISOString(),
+		expiresAt: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+		versionId: 'v1',
+		revisionId: null,
+		overrideReason: null,
+		...fields,
+	};
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('formatLockCountdown', () => {
+	it('formats minutes and hours', () => {
+		expect(formatLockCountdown(65_000)).toBe('1:05');
+		expect(formatLockCountdown(3_725_000)).toBe('1:02:05');
+		expect(formatLockCountdown(-1)).toBe('0:00');
+	});
+});
+
+describe('lock manager', () => {
+	beforeEach(() => {
+		forgetHandoffLock();
+		lockManager.set({ ownLock: null, activeWork: 0, now: 0 });
+		toasts.set([]);
+		vi.mocked(pluginCall).mockClear();
+		vi.mocked(checkoutHandoffLock).mockReset();
+		vi.mocked(fetchHandoffLock).mockReset();
+	});
+
+	it('tells the native side which project lock to release on close', () => {
+		holdHandoffLock(lock());
+		expect(pluginCall).toHaveBeenCalledWith('trackHandoffLock', 'p1');
+		forgetHandoffLock();
+		expect(pluginCall).toHaveBeenCalledWith('trackHandoffLock', '');
+	});
+
+	it('renews the lock only while work is in progress', async () => {
+		const held = lock();
+		vi.mocked(checkoutHandoffLock).mockResolvedValue(lock({ expiresAt: '2100-01-01T00:00:00Z' }));
+		vi.mocked(fetchHandoffLock).mockResolvedValue(held);
+		holdHandoffLock(held);
+
+		tickLockManager(Date.now() + LOCK_RENEW_INTERVAL_MS);
+		expect(checkoutHandoffLock).not.toHaveBeenCalled();
+
+		const endWork = beginLockWork();
+		tickLockManager(Date.now() + LOCK_RENEW_INTERVAL_MS);
+		await flush();
+		expect(checkoutHandoffLock).toHaveBeenCalledWith(expect.any(String), 'p1', {
+			versionId: 'v1',
+			revisionId: undefined,
+		});
+		expect(get(lockManager).ownLock?.expiresAt).toBe('2100-01-01T00:00:00Z');
+		endWork();
+		expect(get(lockManager).activeWork).toBe(0);
+	});
+
+	it('notifies when another designer overrides the lock', async () => {
+		holdHandoffLock(lock());
+		vi.mocked(fetchHandoffLock).mockResolvedValue(
+			lock({
+				id: 'lock-2',
+				holderUserId: 'u2',
+				holder: { id: 'u2', username: 'sam', name: null },
+				overrideReason: 'hotfix',
+			}),
+		);
+
+		tickLockManager(Date.now() + 5 * 60 * 1000);
+		await flush();
+		expect(get(lockManager).ownLock).toBeNull();
+		expect(get(toasts)[0].message).toBe('@sam took over the handoff lock: hotfix');
+	});
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../webview/lib/bridge', () => ({
+	pluginCall: vi.fn(),
+	pluginRequest: vi.fn(),
+}));
+
+import {
+	createPreset,
+	matchesArtboardPattern,
+	renderNoteTemplate,
+	selectPresetArtboards,
+} from '../webview/lib/presets';
+import type { ArtboardMeta, PublishPreset } from '../types/index';
+
+function artboard(id: string, name: string, pageName: string, documentId = 'doc'): ArtboardMeta {
+	return {
+		id,
+		sourceId: id,
+		documentId,
+		name,
+		pageName,
+		width: 375,
+		height: 812,
+		displayOrder: 0,
+		flowCount: 0,
+		isSymbolMaster: false,
+		isFlowHome: false,
+		prototype: { presentationStyle: 'screen', overlay: null, viewport: null, fixedLayerIds: [] },
+		exportOptions: { format: 'png', scale: 2, quality: null, tileHeight: null },
+		exportOverride: null,
+	};
+}
+
+const artboards = [
+	artboard('1', 'Cart', 'Checkout'),
+	artboard('2', 'Payment Modal', 'Checkout'),
+	artboard('3', 'Login Modal', 'Auth'),
+	artboard('4', 'Cart', 'Checkout', 'other-doc'),
+];
+
+function preset(fields: Partial<PublishPreset>): PublishPreset {
+	return createPreset({
+		name: 'Squad A',
+		projectId: 'p1',
+		projectName: 'Checkout',
+		artboardIds: [],
+		artboardPattern: '',
+		exportScale: 2,
+		includeTokens: true,
+		noteTemplate: '',
+		...fields,
+	});
+}
+
+describe('matchesArtboardPattern', () => {
+	it('matches names with wildcards, case-insensitively', () => {
+		expect(matchesArtboardPattern('*modal', artboards[1])).toBe(true);
+		expect(matchesArtboardPattern('cart', artboards[0])).toBe(true);
+		expect(matchesArtboardPattern('Car', artboards[0])).toBe(false);
+	});
+
+	it('matches page and name when the pattern has a slash', () => {
+		expect(matchesArtboardPattern('Checkout/*', artboards[1])).toBe(true);
+		expect(matchesArtboardPattern('Checkout/*', artboards[2])).toBe(false);
+		expect(matchesArtboardPattern('Auth/Login (v2)', artboard('x', 'Login (v2)', 'Auth'))).toBe(
+			true,
+		);
+	});
+});
+
+describe('selectPresetArtboards', () => {
+	it('selects by pattern list within the preset document', () => {
+		const selected = selectPresetArtboards(
+			preset({ artboardPattern: 'Checkout/Cart, *Login*', artboardIds: ['2'] }),
+			artboards,
+			'doc',
+		);
+		expect(selected).toEqual(['1', '3']);
+	});
+
+	it('falls back to the saved layer IDs', () => {
+		expect(selectPresetArtboards(preset({ artboardIds: ['2', 'gone'] }), artboards, 'doc')).toEqual(
+			['2'],
+		);
+	});
+});
+
+describe('renderNoteTemplate', () => {
+	it('fills in the known placeholders only', () => {
+		expect(
+			renderNoteTemplate('{preset}: {count} screens ({date}) {other}', {
+				preset: 'Squad A',
+				count: 3,
+				date: 'today',
+			}),
+		).toBe('Squad A: 3 screens (today) {other}');
+	});
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+	canDropScreen,
+	describeLayerCounts,
+	groupScreenChanges,
+	resolveImageUrl,
+	summarizeReview,
+} from '../webview/lib/review';
+import type { RevisionCompareResult, ScreenDeltaSummary } from '../types/index';
+
+function screen(sketchId: string, change: ScreenDeltaSummary['change']): ScreenDeltaSummary {
+	return {
+		sketchId,
+		name: sketchId,
+		pageName: 'Page',
+		change,
+		baseImageUrl: change === 'added' ? null : `/screens/${sketchId}-base/image`,
+		headImageUrl: change === 'removed' ? null : `/screens/${sketchId}/image`,
+		baseFrame: null,
+		headFrame: null,
+		layerCounts: { added: 0, removed: 0, modified: 0 },
+		layerDeltas: [],
+	};
+}
+
+const diff: RevisionCompareResult = {
+	baseRevisionId: 'r1',
+	headRevisionId: 'r2',
+	totals: {
+		screensAdded: 1,
+		screensRemoved: 1,
+		screensModified: 2,
+		screensUnchanged: 1,
+		layersAdded: 0,
+		layersRemoved: 0,
+		layersModified: 0,
+	},
+	screens: [
+		screen('new', 'added'),
+		screen('cart', 'modified'),
+		screen('login', 'modified'),
+		screen('old', 'removed'),
+		screen('home', 'unchanged'),
+	],
+};
+
+describe('groupScreenChanges', () => {
+	it('groups changed screens and leaves unchanged ones out', () => {
+		const groups = groupScreenChanges(diff);
+		expect(groups.added.map((s) => s.sketchId)).toEqual(['new']);
+		expect(groups.modified.map((s) => s.sketchId)).toEqual(['cart', 'login']);
+		expect(groups.removed.map((s) => s.sketchId)).toEqual(['old']);
+	});
+});
+
+describe('summarizeReview', () => {
+	it('counts dropped added screens out and dropped modified screens as unchanged', () => {
+		expect(summarizeReview(diff, new Set())).toEqual({
+			added: 1,
+			modified: 2,
+			removed: 1,
+			unchanged: 1,
+		});
+		expect(summarizeReview(diff, new Set(['new', 'cart', 'old']))).toEqual({
+			added: 0,
+			modified: 1,
+			removed: 1,
+			unchanged: 2,
+		});
+	});
+
+	it('only allows dropping screens the revision uploaded', () => {
+		expect(diff.screens.filter(canDropScreen).map((s) => s.sketchId)).toEqual([
+			'new',
+			'cart',
+			'login',
+		]);
+	});
+});
+
+describe('describeLayerCounts', () => {
+	it('lists the non-zero counts', () => {
+		expect(describeLayerCounts({ added: 3, removed: 0, modified: 2 })).toBe(
+			'3 added · 2 changed layers',
+		);
+		expect(describeLayerCounts({ added: 0, removed: 1, modified: 0 })).toBe('1 removed layer');
+		expect(describeLayerCounts({ added: 0, removed: 0, modified: 0 })).toBe('No layer changes');
+	});
+});
+
+describe('resolveImageUrl', () => {
+	it('resolves proxy paths against the server URL', () => {
+		expect(resolveImageUrl('https://flow.test/', '/screens/1/image')).toBe(
+			'https://flow.test/screens/1/image',
+		);
+		expect(resolveImageUrl('https://flow.test', 'https://cdn.test/1.png')).toBe(
+			'https://cdn.test/1.png',
+		);
+		expect(resolveImageUrl('https://flow.test', null)).toBeNull();
+	});
+});
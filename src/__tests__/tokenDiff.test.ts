@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+	countTokenChanges,
+	describeTokenChange,
+	diffDesignTokens,
+	formatTokenValue,
+} from '../webview/lib/tokenDiff';
+import type { DesignTokens, TextStyleToken } from '../types/index';
+
+function textStyle(fields: Partial<TextStyleToken> = {}): TextStyleToken {
+	return {
+		id: 'ts-1',
+		name: 'Body',
+		fontFamily: 'Inter',
+		fontSize: 16,
+		fontWeight: 400,
+		textColor: '#111111',
+		lineHeight: 24,
+		letterSpacing: null,
+		textAlignment: 'left',
+		textTransform: 'none',
+		...fields,
+	};
+}
+
+const previous: DesignTokens = {
+	colors: [
+		{ id: 'c-1', name: 'Brand', color: '#FF0000' },
+		{ id: 'c-2', name: 'Muted', color: '#999999' },
+		{ name: 'Legacy', color: '#000000' },
+	],
+	textStyles: [textStyle()],
+	layerStyles: [
+		{
+			id: 'ls-1',
+			name: 'Card',
+			fills: [{ color: '#FFFFFF', fillType: 'Color' }],
+			borders: [],
+			shadows: [{ color: '#00000040', x: 0, y: 2, blur: 4, spread: 0 }],
+			opacity: 1,
+		},
+	],
+};
+
+describe('diffDesignTokens', () => {
+	it('reports no changes for identical tokens', () => {
+		expect(countTokenChanges(diffDesignTokens(previous, previous))).toBe(0);
+	});
+
+	it('lists added, removed and changed colors with before/after values', () => {
+		const changelog = diffDesignTokens(previous, {
+			...previous,
+			colors: [
+				{ id: 'c-1', name: 'Brand', color: '#E00000' },
+				{ name: 'Legacy', color: '#000000' },
+				{ id: 'c-3', name: 'Accent', color: '#00AAFF' },
+			],
+		});
+		expect(changelog.colors).toEqual([
+			{
+				change: 'changed',
+				id: 'c-1',
+				name: 'Brand',
+				fields: ['color'],
+				before: { name: 'Brand', color: '#FF0000' },
+				after: { name: 'Brand', color: '#E00000' },
+			},
+			{
+				change: 'added',
+				id: 'c-3',
+				name: 'Accent',
+				fields: [],
+				before: null,
+				after: { name: 'Accent', color: '#00AAFF' },
+			},
+			{
+				change: 'removed',
+				id: 'c-2',
+				name: 'Muted',
+				fields: [],
+				before: { name: 'Muted', color: '#999999' },
+				after: null,
+			},
+		]);
+		expect(changelog.textStyles).toEqual([]);
+	});
+
+	it('matches renamed styles by ID and re-created styles by name', () => {
+		const changelog = diffDesignTokens(previous, {
+			...previous,
+			textStyles: [textStyle({ name: 'Body / Regular', fontSize: 15 })],
+			layerStyles: [{ ...previous.layerStyles[0], id: 'ls-9', shadows: [] }],
+		});
+		expect(changelog.textStyles[0].fields).toEqual(['name', 'fontSize']);
+		expect(changelog.layerStyles).toHaveLength(1);
+		expect(changelog.layerStyles[0]).toMatchObject({ change: 'changed', fields: ['shadows'] });
+		expect(describeTokenChange(changelog.layerStyles[0])).toEqual([
+			{ field: 'shadows', before: '0 2 4 0 #00000040', after: 'none' },
+		]);
+	});
+});
+
+describe('formatTokenValue', () => {
+	it('formats token properties for the review', () => {
+		expect(formatTokenValue(null)).toBe('–');
+		expect(formatTokenValue(16)).toBe('16');
+		expect(formatTokenValue([{ color: '#FFFFFF', fillType: 'Color' }])).toBe('#FFFFFF');
+		expect(formatTokenValue([{ color: '#000000', thickness: 1, position: 'Inside' }])).toBe(
+			'1px #000000 Inside',
+		);
+	});
+});
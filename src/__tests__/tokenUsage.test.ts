@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { findRawValueUsages, countRawValueLayers } from '../webview/lib/tokenUsage';
+import type { DesignTokens, LayerData, TextStyleData } from '../types/index';
+
+const tokens: DesignTokens = {
+	colors: [{ id: 'sw1', name: 'Brand/Primary', color: '#0055ffff' }],
+	textStyles: [
+		{
+			id: 'ts1',
+			name: 'Body/Regular',
+			fontFamily: 'Inter',
+			fontSize: 16,
+			fontWeight: 400,
+			textColor: '#000000ff',
+			lineHeight: 24,
+			letterSpacing: 0,
+			textAlignment: 'left',
+			textTransform: 'none',
+		},
+	],
+	layerStyles: [],
+};
+
+function layer(partial: Partial<LayerData> = {}): LayerData {
+	return {
+		id: 'l1',
+		name: 'Layer',
+		type: 'ShapePath',
+		frame: { x: 0, y: 0, width: 10, height: 10 },
+		isVisible: true,
+		isLocked: false,
+		opacity: 1,
+		rotation: 0,
+		style: null,
+		exportFormats: [],
+		sharedStyleId: null,
+		sharedStyleStatus: null,
+		resizing: null,
+		...partial,
+	};
+}
+
+function fillStyle(color: string, swatchId: string | null) {
+	return {
+		fills: [{ color, fillType: 'Color', gradient: null, swatchId }],
+		borders: [],
+		shadows: [],
+		innerShadows: [],
+		blur: null,
+		borderOptions: null,
+		opacity: 1,
+		blendingMode: 'Normal',
+	};
+}
+
+const bodyText: TextStyleData = {
+	fontFamily: 'Inter',
+	fontSize: 16,
+	fontWeight: 400,
+	fontStyle: null,
+	textColor: '#123456ff',
+	textColorSwatchId: null,
+	lineHeight: 24,
+	letterSpacing: 0,
+	textAlignment: 'left',
+	textTransform: 'none',
+	textDecoration: 'none',
+	paragraphSpacing: 0,
+	textBehaviour: 'autoWidth',
+	verticalAlignment: 'top',
+};
+
+describe('findRawValueUsages', () => {
+	it('flags raw colors that match a swatch', () => {
+		const usages = findRawValueUsages([layer({ style: fillStyle('#0055FFFF', null) })], tokens);
+		expect(usages).toEqual([
+			{ layerId: 'l1', layerName: 'Layer', kind: 'color', tokenName: 'Brand/Primary' },
+		]);
+	});
+
+	it('ignores colors that reference a swatch or match no token', () => {
+		expect(findRawValueUsages([layer({ style: fillStyle('#0055ffff', 'sw1') })], tokens)).toEqual(
+			[],
+		);
+		expect(findRawValueUsages([layer({ style: fillStyle('#ff0000ff', null) })], tokens)).toEqual(
+			[],
+		);
+	});
+
+	it('flags unlinked text matching a shared text style', () => {
+		const usages = findRawValueUsages([layer({ type: 'Text', textStyle: bodyText })], tokens);
+		expect(usages).toEqual([
+			{ layerId: 'l1', layerName: 'Layer', kind: 'textStyle', tokenName: 'Body/Regular' },
+		]);
+	});
+
+	it('skips layers linked to a shared style unless detached', () => {
+		const linked = layer({
+			type: 'Text',
+			textStyle: bodyText,
+			sharedStyleId: 'ts1',
+			sharedStyleStatus: 'synced',
+		});
+		expect(findRawValueUsages([linked], tokens)).toEqual([]);
+		expect(findRawValueUsages([{ ...linked, sharedStyleStatus: 'detached' }], tokens)).toHaveLength(
+			1,
+		);
+	});
+});
+
+describe('countRawValueLayers', () => {
+	it('counts distinct layers across the tree', () => {
+		const child = layer({
+			id: 'l2',
+			type: 'Text',
+			textStyle: { ...bodyText, textColor: '#0055ffff' },
+		});
+		const parent = layer({ type: 'Group', style: fillStyle('#0055ffff', null), children: [child] });
+		expect(findRawValueUsages([parent], tokens)).toHaveLength(3);
+		expect(countRawValueLayers([parent], tokens)).toBe(2);
+	});
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import {
+	toW3CTokens,
+	tokenPath,
+	normalizeColor,
+	cssFontWeight,
+	EXTENSION_KEY,
+} from '../webview/lib/tokens';
+import type { DesignTokens } from '../types/index';
+
+function tokens(partial: Partial<DesignTokens> = {}): DesignTokens {
+	return { colors: [], textStyles: [], layerStyles: [], ...partial };
+}
+
+describe('tokenPath', () => {
+	it('splits slash-separated names and trims segments', () => {
+		expect(tokenPath('Brand / Primary/500')).toEqual(['Brand', 'Primary', '500']);
+	});
+
+	it('replaces characters reserved by the format', () => {
+		expect(tokenPath('Spacing/1.5')).toEqual(['Spacing', '1_5']);
+		expect(tokenPath('$secret/{x}')).toEqual(['secret', 'x']);
+	});
+
+	it('falls back to a placeholder for empty names', () => {
+		expect(tokenPath(' / ')).toEqual(['Unnamed']);
+	});
+});
+
+describe('normalizeColor', () => {
+	it('drops an opaque alpha channel', () => {
+		expect(normalizeColor('#FF0000FF')).toBe('#ff0000');
+	});
+
+	it('keeps translucent colors', () => {
+		expect(normalizeColor('#00000080')).toBe('#00000080');
+	});
+});
+
+describe('cssFontWeight', () => {
+	it("converts Sketch's AppKit weights and keeps CSS weights", () => {
+		expect(cssFontWeight(5)).toBe(400);
+		expect(cssFontWeight(9)).toBe(700);
+		expect(cssFontWeight(0)).toBe(100);
+		expect(cssFontWeight(600)).toBe(600);
+		expect(cssFontWeight(null)).toBeNull();
+	});
+});
+
+describe('toW3CTokens', () => {
+	it('groups colors from slash-separated names', () => {
+		const result = toW3CTokens(
+			tokens({ colors: [{ name: 'Brand/Primary/500', color: '#0055ffff' }] }),
+		);
+		expect(result).toEqual({
+			color: { Brand: { Primary: { '500': { $type: 'color', $value: '#0055ff' } } } },
+		});
+	});
+
+	it('keeps a token that is also a group under $root', () => {
+		const result = toW3CTokens(
+			tokens({
+				colors: [
+					{ name: 'Brand', color: '#111111ff' },
+					{ name: 'Brand/Light', color: '#eeeeeeff' },
+				],
+			}),
+		);
+		expect(result.color).toEqual({
+			Brand: {
+				$root: { $type: 'color', $value: '#111111' },
+				Light: { $type: 'color', $value: '#eeeeee' },
+			},
+		});
+	});
+
+	it('suffixes duplicate names', () => {
+		const result = toW3CTokens(
+			tokens({
+				colors: [
+					{ name: 'Blue', color: '#0000ffff' },
+					{ name: 'Blue', color: '#0000aaff' },
+				],
+			}),
+		);
+		expect(Object.keys(result.color)).toEqual(['Blue', 'Blue-2']);
+	});
+
+	it('serializes text styles as typography with a color alias', () => {
+		const result = toW3CTokens(
+			tokens({
+				colors: [{ name: 'Text/Body', color: '#222222ff' }],
+				textStyles: [
+					{
+						id: 'ts1',
+						name: 'Body/Regular',
+						fontFamily: 'Inter',
+						fontSize: 16,
+						// Sketch's AppKit weight for Regular
+						fontWeight: 5,
+						textColor: '#222222ff',
+						lineHeight: 24,
+						letterSpacing: null,
+						textAlignment: 'left',
+						textTransform: 'none',
+					},
+				],
+			}),
+		);
+		const token = (result.typography as any).Body.Regular;
+		expect(token.$type).toBe('typography');
+		expect(token.$value).toEqual({
+			fontFamily: 'Inter',
+			fontSize: '16px',
+			fontWeight: 400,
+			letterSpacing: '0px',
+			lineHeight: 1.5,
+		});
+		expect(token.$extensions[EXTENSION_KEY].textColor).toBe('{color.Text.Body}');
+	});
+
+	it('serializes layer style fills, borders and shadows', () => {
+		const result = toW3CTokens(
+			tokens({
+				colors: [{ name: 'Surface', color: '#ffffffff' }],
+				layerStyles: [
+					{
+						id: 'ls1',
+						name: 'Card/Elevated',
+						fills: [{ color: '#ffffffff', fillType: 'Color' }],
+						borders: [{ color: '#e5e5e5ff', thickness: 1, position: 'Inside' }],
+						shadows: [{ color: '#00000033', x: 0, y: 2, blur: 8, spread: 0 }],
+						opacity: 1,
+					},
+				],
+			}),
+		);
+		const card = (result.layer as any).Card.Elevated;
+		expect(card.fill).toEqual({ $type: 'color', $value: '{color.Surface}' });
+		expect(card.border.$value).toEqual({ color: '#e5e5e5', width: '1px', style: 'solid' });
+		expect(card.shadow).toEqual({
+			$type: 'shadow',
+			$value: { color: '#00000033', offsetX: '0px', offsetY: '2px', blur: '8px', spread: '0px' },
+		});
+		expect(card.opacity).toBeUndefined();
+	});
+
+	it('omits empty groups', () => {
+		expect(toW3CTokens(tokens())).toEqual({});
+	});
+});
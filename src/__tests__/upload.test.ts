@@ -0,0 +1,123 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+	base64ByteLength,
+	base64ToBytes,
+	bytesToBase64,
+	isRetryableUploadError,
+	uploadChunks,
+	uploadError,
+} from '../webview/lib/upload';
+
+const noWait = () => Promise.resolve();
+
+describe('base64 helpers', () => {
+	it('computes the decoded size with and without padding', () => {
+		expect(base64ByteLength(btoa('abc'))).toBe(3);
+		expect(base64ByteLength(btoa('abcd'))).toBe(4);
+		expect(base64ByteLength(`data:image/png;base64,${btoa('abcde')}`)).toBe(5);
+	});
+
+	it('round-trips bytes', () => {
+		const bytes = new Uint8Array([0, 1, 2, 250, 255]);
+		expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+	});
+});
+
+describe('isRetryableUploadError', () => {
+	it('retries network, conflict and server errors but not client errors', () => {
+		expect(isRetryableUploadError(new Error('offline'))).toBe(true);
+		expect(isRetryableUploadError(uploadError('conflict', 409))).toBe(true);
+		expect(isRetryableUploadError(uploadError('bad gateway', 502))).toBe(true);
+		expect(isRetryableUploadError(uploadError('forbidden', 403))).toBe(false);
+		expect(isRetryableUploadError(uploadError('expired', 401))).toBe(false);
+	});
+});
+
+describe('uploadChunks', () => {
+	it('sends every chunk in order and reports progress', async () => {
+		const sent: [number, number][] = [];
+		const progress: number[] = [];
+		await uploadChunks({
+			totalBytes: 25,
+			chunkSize: 10,
+			sendChunk: async (offset, end) => {
+				sent.push([offset, end]);
+				return end;
+			},
+			fetchOffset: async () => 0,
+			onProgress: (sentBytes) => progress.push(sentBytes),
+			wait: noWait,
+		});
+		expect(sent).toEqual([
+			[0, 10],
+			[10, 20],
+			[20, 25],
+		]);
+		expect(progress).toEqual([0, 10, 20, 25]);
+	});
+
+	it('resumes from the offset the server already holds', async () => {
+		const sendChunk = vi.fn(async (_offset: number, end: number) => end);
+		await uploadChunks({
+			totalBytes: 30,
+			chunkSize: 10,
+			startOffset: 20,
+			sendChunk,
+			fetchOffset: async () => 0,
+			wait: noWait,
+		});
+		expect(sendChunk).toHaveBeenCalledTimes(1);
+		expect(sendChunk).toHaveBeenCalledWith(20, 30);
+	});
+
+	it('retries a failed chunk from the offset the server reports', async () => {
+		const sent: number[] = [];
+		let failed = false;
+		await uploadChunks({
+			totalBytes: 30,
+			chunkSize: 10,
+			sendChunk: async (offset, end) => {
+				sent.push(offset);
+				if (offset === 10 && !failed) {
+					failed = true;
+					throw new Error('connection reset');
+				}
+				return end;
+			},
+			fetchOffset: async () => 10,
+			wait: noWait,
+		});
+		expect(sent).toEqual([0, 10, 10, 20]);
+	});
+
+	it('gives up after the maximum attempts or on a non-retryable error', async () => {
+		const failing = vi.fn(async () => {
+			throw new Error('offline');
+		});
+		await expect(
+			uploadChunks({
+				totalBytes: 10,
+				chunkSize: 10,
+				sendChunk: failing,
+				fetchOffset: async () => 0,
+				maxAttempts: 3,
+				wait: noWait,
+			}),
+		).rejects.toThrow('offline');
+		expect(failing).toHaveBeenCalledTimes(3);
+
+		const forbidden = vi.fn(async () => {
+			throw uploadError('forbidden', 403);
+		});
+		await expect(
+			uploadChunks({
+				totalBytes: 10,
+				chunkSize: 10,
+				sendChunk: forbidden,
+				fetchOffset: async () => 0,
+				wait: noWait,
+			}),
+		).rejects.toThrow('forbidden');
+		expect(forbidden).toHaveBeenCalledTimes(1);
+	});
+});
@@ -0,0 +1,521 @@
+/**
+ * Flow Plugin – Native API client
+ *
+ * Synchronous Flow server calls for commands that run without the WebView
+ * (e.g. quick publish). Mirrors the WebView's `lib/api.ts`; the server URL,
+ * auth token and SSL option come from the saved plugin settings.
+ *
+ * @typedef {import('../types/index').ExportedAsset} ExportedAsset
+ * @typedef {import('../types/index').ScreenImage} ScreenImage
+ * @typedef {{ serverUrl?: string, authToken?: string, ignoreSslErrors?: boolean }} Connection
+ */
+import sketch from 'sketch';
+import { performNativeApiRequest, writeDataToFile } from './http';
+import { getServerUrl, getAuthToken, getIgnoreSslErrors } from './settings';
+import { fileSha256, recordCheckin } from './drift';
+import { countExcludedContent, excludedContentMessage } from './exclusions';
+
+/**
+ * Send a request to the Flow server and parse the JSON response.
+ * Non-2xx responses throw (with `status` set on the error) unless listed in `allowStatus`.
+ * `connection` overrides the saved server URL / token / SSL option (used by WebView-initiated uploads).
+ * @param {string} method
+ * @param {string} path - path below the server URL, e.g. `/projects`
+ * @param {{ body?: any, bodyPath?: string, multipart?: any, outputPath?: string, timeoutMs?: number, errorMessage?: string, allowStatus?: number[], connection?: Connection }} [options] -
+ *   `outputPath` writes the response body to that file instead (downloads)
+ * @returns {{ ok: boolean, status: number, data: any }}
+ */
+function apiRequest(method, path, options = {}) {
+	const connection = options.connection || {};
+	const headers = { Authorization: `Bearer ${connection.authToken || getAuthToken()}` };
+	if (options.bodyPath) headers['Content-Type'] = 'application/octet-stream';
+	else if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+
+	const result = performNativeApiRequest({
+		url: `${connection.serverUrl || getServerUrl()}${path}`,
+		method,
+		headers,
+		body: options.body !== undefined ? JSON.stringify(options.body) : '',
+		bodyPath: options.bodyPath || null,
+		multipart: options.multipart || null,
+		outputPath: options.outputPath || null,
+		insecure: !!connection.ignoreSslErrors || getIgnoreSslErrors(),
+		timeoutMs: options.timeoutMs || 120000,
+	});
+
+	let data = {};
+	try {
+		data = JSON.parse(result.bodyText || '{}');
+	} catch (_) {
+		data = {};
+	}
+
+	if (!result.ok && !(options.allowStatus || []).includes(result.status)) {
+		const error = new Error(
+			result.status === 401
+				? 'Your Flow session has expired. Open "Publish to Flow" to sign in again.'
+				: data.error || `${options.errorMessage || 'Request failed'} (${result.status})`,
+		);
+		error.status = result.status;
+		throw error;
+	}
+	return { ok: result.ok, status: result.status, data };
+}
+
+// ─── Projects / Versions ─────────────────────────────────────────────
+
+export function fetchProjectDetail(projectId) {
+	return apiRequest('GET', `/projects/${projectId}`, {
+		errorMessage: 'Failed to load project details',
+	}).data.project;
+}
+
+/** The project's design lint config as stored, null when none is set */
+export function fetchLintConfig(projectId) {
+	const res = apiRequest('GET', `/projects/${projectId}/lint-config`, {
+		allowStatus: [404],
+		errorMessage: 'Failed to load lint config',
+	});
+	return res.status === 404 ? null : res.data.config || null;
+}
+
+export function createVersion(projectId) {
+	return apiRequest('POST', `/projects/${projectId}/versions`, {
+		errorMessage: 'Failed to create version',
+	}).data.version;
+}
+
+export function checkoutHandoffLock(projectId, payload = {}) {
+	return apiRequest('POST', `/projects/${projectId}/handoff/checkout`, {
+		body: payload,
+		errorMessage: 'Failed to checkout lock',
+	}).data.lock;
+}
+
+export function releaseHandoffLock(projectId) {
+	apiRequest('POST', `/projects/${projectId}/handoff/release`, {
+		body: {},
+		errorMessage: 'Failed to release lock',
+	});
+}
+
+export function createRevision(projectId, versionId, payload) {
+	return apiRequest('POST', `/projects/${projectId}/versions/${versionId}/revisions`, {
+		body: payload,
+		errorMessage: 'Failed to create revision',
+	}).data.revision;
+}
+
+export function finalizeRevision(projectId, versionId, revisionId) {
+	apiRequest(
+		'PUT',
+		`/projects/${projectId}/versions/${versionId}/revisions/${revisionId}/complete`,
+		{
+			errorMessage: 'Failed to finalize revision',
+		},
+	);
+}
+
+// ─── Screens / Assets / Tokens ───────────────────────────────────────
+
+/**
+ * Upload a screen image with its metadata (same payload as the WebView's uploadScreen).
+ * A screen split into tiles is uploaded with its first tile; the others are attached after.
+ * @param {string} projectId
+ * @param {string} versionId
+ * @param {{ sketchId: string, name: string, image: ScreenImage, revisionId?: string } & Record<string, any>} screen
+ */
+export function uploadScreen(projectId, versionId, screen) {
+	const { image, ...meta } = screen;
+	const [first, ...moreTiles] = image.tiles;
+	apiRequest('POST', `/projects/${projectId}/versions/${versionId}/screens`, {
+		multipart: {
+			files: [screenTileFile(screen.sketchId, image, first)],
+			fields: {
+				meta: JSON.stringify({
+					...meta,
+					image: {
+						format: image.format,
+						scale: image.scale,
+						quality: image.quality,
+						tiles: image.tiles.map(({ index, y, height }) => ({ index, y, height })),
+					},
+				}),
+			},
+		},
+		errorMessage: `Failed to upload "${screen.name}"`,
+	});
+
+	for (const tile of moreTiles) {
+		apiRequest(
+			'POST',
+			`/projects/${projectId}/versions/${versionId}/screens/${screen.sketchId}/tiles`,
+			{
+				multipart: {
+					files: [screenTileFile(screen.sketchId, image, tile)],
+					fields: {
+						meta: JSON.stringify({
+							sketchId: screen.sketchId,
+							index: tile.index,
+							y: tile.y,
+							height: tile.height,
+							revisionId: screen.revisionId,
+						}),
+					},
+				},
+				errorMessage: `Failed to upload "${screen.name}" (tile ${tile.index + 1})`,
+			},
+		);
+	}
+}
+
+/** Multipart file of one screen image tile – the first tile keeps the plain screen name */
+function screenTileFile(sketchId, image, tile) {
+	return {
+		name: 'image',
+		filename:
+			tile.index === 0
+				? `${sketchId}.${image.format}`
+				: `${sketchId}-${tile.index + 1}.${image.format}`,
+		contentType: image.mimeType,
+		base64: tile.dataUri,
+	};
+}
+
+/**
+ * @param {string} projectId
+ * @param {string} versionId
+ * @param {string} sketchId
+ * @param {ExportedAsset} asset
+ * @param {string} [revisionId]
+ */
+export function uploadScreenAsset(projectId, versionId, sketchId, asset, revisionId) {
+	apiRequest('POST', `/projects/${projectId}/versions/${versionId}/screens/${sketchId}/assets`, {
+		multipart: {
+			files: [
+				{
+					name: 'file',
+					filename: asset.fileName,
+					contentType: asset.mimeType,
+					base64: asset.dataUri,
+				},
+			],
+			fields: {
+				meta: JSON.stringify({
+					layerId: asset.layerId,
+					layerName: asset.layerName,
+					fileName: asset.fileName,
+					fileFormat: asset.fileFormat,
+					scale: asset.scale,
+					revisionId,
+				}),
+			},
+		},
+		errorMessage: `Failed to upload "${asset.fileName}"`,
+	});
+}
+
+/**
+ * Reuse an unchanged screen by content hash.
+ * @returns {boolean} false when the server has no matching screen to carry forward
+ */
+export function carryForwardScreen(projectId, versionId, screen) {
+	return apiRequest('POST', `/projects/${projectId}/versions/${versionId}/screens/carry-forward`, {
+		body: screen,
+		errorMessage: `Failed to carry forward "${screen.name}"`,
+		allowStatus: [404, 409],
+	}).ok;
+}
+
+export function uploadTokens(projectId, versionId, tokens) {
+	try {
+		apiRequest('POST', `/projects/${projectId}/versions/${versionId}/tokens`, { body: tokens });
+	} catch (err) {
+		if (err.status === 401) throw err;
+		console.warn('[Flow] Token upload failed, continuing…', err.message);
+	}
+}
+
+// ─── Sketch file ─────────────────────────────────────────────────────
+
+/**
+ * File system path of a document's `path`, which may be a file:// URL or percent-encoded.
+ * @param {string} rawPath
+ * @returns {string | null}
+ */
+export function resolveSketchPath(rawPath) {
+	const candidates = [];
+	const seen = new Set();
+	const push = (value) => {
+		if (!value) return;
+		const normalized = String(value);
+		if (!normalized || seen.has(normalized)) return;
+		seen.add(normalized);
+		candidates.push(normalized);
+	};
+
+	push(rawPath);
+
+	// If Sketch gives us file:// URL, convert to file system path.
+	try {
+		const url = NSURL.URLWithString(String(rawPath));
+		if (url && url.path) {
+			push(String(url.path()));
+		}
+	} catch (_) {}
+
+	// Try JS decode for percent-encoded paths.
+	try {
+		push(decodeURIComponent(String(rawPath)));
+	} catch (_) {}
+
+	// Try NSString decode for percent-encoded paths.
+	try {
+		const ns = NSString.stringWithString(String(rawPath));
+		const decoded = ns.stringByRemovingPercentEncoding();
+		if (decoded) push(String(decoded));
+	} catch (_) {}
+
+	const fileManager = NSFileManager.defaultManager();
+	for (const path of candidates) {
+		try {
+			if (fileManager.fileExistsAtPath(path)) {
+				return path;
+			}
+		} catch (_) {}
+	}
+
+	return null;
+}
+
+function readSketchFileData(path) {
+	// NSDataReadingMappedIfSafe – large libraries are paged in chunk by chunk, not loaded whole
+	let data = NSData.dataWithContentsOfFile_options_error(path, 1, null);
+	if (data) return data;
+	try {
+		const fileUrl = NSURL.fileURLWithPath(path);
+		data = NSData.dataWithContentsOfURL(fileUrl);
+	} catch (_) {}
+	return data || null;
+}
+
+/**
+ * Upload the current .sketch document to a revision.
+ * Uses the chunked protocol, falling back to a single request on servers without it.
+ * On success the document is stamped with the revision (see `lib/drift`).
+ * Refused while the document contains excluded content (see `lib/exclusions`).
+ * @param {{ serverUrl: string, authToken: string, projectId: string, versionId: string, revisionId: string, revisionNumber?: number, ignoreSslErrors?: boolean }} payload
+ * @param {(sentBytes: number, totalBytes: number) => void} [onProgress]
+ * @returns {Promise<any>} the stored artifact, or null
+ */
+export async function uploadCurrentSketchFile(payload, onProgress) {
+	const { serverUrl, authToken, projectId, versionId, revisionId, ignoreSslErrors } = payload;
+	const doc = sketch.Document.getSelectedDocument();
+	if (!doc) throw new Error('No document is open.');
+	if (!doc.path) throw new Error('Save the Sketch document before check-in.');
+	const excluded = excludedContentMessage(countExcludedContent(doc));
+	if (excluded) throw new Error(excluded);
+
+	const rawPath = String(doc.path);
+	const filePath = resolveSketchPath(rawPath);
+	if (!filePath) {
+		throw new Error(
+			`Could not locate Sketch file on disk. Save the file locally and try again. Path: ${rawPath}`,
+		);
+	}
+	const fileName = String(filePath.split('/').pop() || `revision-${revisionId}.sketch`);
+	const fileData = readSketchFileData(filePath);
+	if (!fileData) {
+		throw new Error(`Failed to read Sketch file from disk at: ${filePath}`);
+	}
+
+	const connection = { serverUrl, authToken, ignoreSslErrors };
+	let artifact = null;
+	const uploaded = await uploadInChunks({
+		projectId,
+		versionId,
+		target: 'sketch-file',
+		fileName,
+		contentType: 'application/octet-stream',
+		data: fileData,
+		meta: { revisionId },
+		connection,
+		onProgress,
+	});
+	if (uploaded) {
+		artifact = uploaded.artifact || null;
+	} else {
+		const result = apiRequest(
+			'PUT',
+			`/projects/${projectId}/versions/${versionId}/revisions/${revisionId}/sketch-file`,
+			{
+				multipart: {
+					files: [
+						{
+							name: 'file',
+							path: filePath,
+							filename: fileName,
+							contentType: 'application/octet-stream',
+						},
+					],
+				},
+				connection,
+				timeoutMs: 10 * 60 * 1000,
+				errorMessage: 'Sketch upload failed',
+			},
+		);
+		artifact = result.data.artifact || null;
+	}
+
+	recordCheckin(doc, filePath, { ...payload, sha256: artifact && artifact.sha256 });
+	return artifact;
+}
+
+// ─── Revision history ────────────────────────────────────────────────
+
+const DOWNLOADS_FOLDER = 'Downloads/Flow';
+
+/**
+ * Download the .sketch file of a revision into ~/Downloads/Flow and verify its
+ * sha256 against the artifact record. A verified copy from an earlier download is reused.
+ * @param {{ serverUrl: string, authToken: string, ignoreSslErrors?: boolean, projectId: string, versionId: string, revisionId: string, revisionNumber: number, fileName: string, sha256: string }} payload
+ * @returns {string} path of the verified file
+ */
+export function downloadRevisionSketchFile(payload) {
+	const { serverUrl, authToken, ignoreSslErrors, projectId, versionId, revisionId } = payload;
+	const folder = `${String(NSHomeDirectory())}/${DOWNLOADS_FOLDER}`;
+	const fileManager = NSFileManager.defaultManager();
+	fileManager.createDirectoryAtPath_withIntermediateDirectories_attributes_error(
+		folder,
+		true,
+		null,
+		null,
+	);
+
+	const baseName = String(payload.fileName || 'revision.sketch')
+		.replace(/[/:]/g, '-')
+		.replace(/\.sketch$/i, '');
+	const path = `${folder}/${baseName} (r${payload.revisionNumber}).sketch`;
+	const expected = String(payload.sha256 || '').toLowerCase();
+	if (expected && fileManager.fileExistsAtPath(path) && fileSha256(path) === expected) {
+		return path;
+	}
+
+	const tempPath = `${path}.download`;
+	try {
+		apiRequest(
+			'GET',
+			`/projects/${projectId}/versions/${versionId}/revisions/${revisionId}/sketch-file`,
+			{
+				outputPath: tempPath,
+				connection: { serverUrl, authToken, ignoreSslErrors },
+				timeoutMs: 10 * 60 * 1000,
+				errorMessage: 'Sketch file download failed',
+			},
+		);
+		const actual = fileSha256(tempPath);
+		if (expected && actual !== expected) {
+			throw new Error(
+				`The downloaded Sketch file is corrupt (sha256 ${actual.slice(0, 12)}…, expected ${expected.slice(0, 12)}…). Try again.`,
+			);
+		}
+		if (fileManager.fileExistsAtPath(path)) fileManager.removeItemAtPath_error(path, null);
+		fileManager.moveItemAtPath_toPath_error(tempPath, path, null);
+		return path;
+	} finally {
+		if (fileManager.fileExistsAtPath(tempPath)) fileManager.removeItemAtPath_error(tempPath, null);
+	}
+}
+
+// ─── Chunked uploads ─────────────────────────────────────────────────
+// Same protocol as the WebView's `lib/upload.ts`: start a session, PUT the bytes
+// from each offset, then complete. A failed chunk is retried with backoff after
+// asking the server how many bytes it actually stored.
+
+export const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_CHUNK_ATTEMPTS = 4;
+const CHUNK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Network errors, timeouts, rate limits, stale offsets and server errors are worth retrying */
+function isRetryableUploadError(err) {
+	const status = err && err.status;
+	if (status === undefined) return true;
+	return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Upload NSData through the chunked protocol and attach it to its target.
+ * @param {{ projectId: string, versionId: string, target: string, fileName: string, contentType: string, data: any, meta?: Record<string, any>, connection?: Connection, onProgress?: (sentBytes: number, totalBytes: number) => void }} options
+ * @returns {Promise<any|null>} the server's `complete` response, or null when it has no chunked upload support
+ */
+export async function uploadInChunks(options) {
+	const { projectId, versionId, data, connection, onProgress } = options;
+	const meta = options.meta || {};
+	const base = `/projects/${projectId}/versions/${versionId}/uploads`;
+	const totalBytes = Number(data.length());
+	const errorMessage = `Failed to upload ${options.fileName}`;
+
+	const init = apiRequest('POST', base, {
+		body: {
+			target: options.target,
+			fileName: options.fileName,
+			contentType: options.contentType,
+			size: totalBytes,
+			revisionId: meta.revisionId,
+		},
+		connection,
+		errorMessage,
+		allowStatus: [404],
+	});
+	if (!init.ok) return null;
+
+	const session = init.data.upload;
+	const uploadPath = `${base}/${session.id}`;
+	const chunkSize = Math.max(1, Number(session.chunkSize) || UPLOAD_CHUNK_SIZE);
+	let offset = Math.min(Number(session.receivedBytes) || 0, totalBytes);
+	let attempt = 0;
+	if (onProgress) onProgress(offset, totalBytes);
+
+	while (offset < totalBytes) {
+		const end = Math.min(offset + chunkSize, totalBytes);
+		let chunkPath = null;
+		try {
+			chunkPath = writeDataToFile(
+				data.subdataWithRange(NSMakeRange(offset, end - offset)),
+				'.part',
+			);
+			const result = apiRequest('PUT', `${uploadPath}?offset=${offset}`, {
+				bodyPath: chunkPath,
+				connection,
+				timeoutMs: CHUNK_TIMEOUT_MS,
+				errorMessage,
+			});
+			const received = Number(result.data.receivedBytes);
+			offset = Number.isFinite(received) && received > offset ? received : end;
+			attempt = 0;
+			if (onProgress) onProgress(offset, totalBytes);
+		} catch (err) {
+			attempt++;
+			if (attempt >= MAX_CHUNK_ATTEMPTS || !isRetryableUploadError(err)) throw err;
+			console.warn(`[Flow] Chunk at ${offset} failed (attempt ${attempt}), retrying…`, err.message);
+			await wait(Math.min(1000 * 2 ** (attempt - 1), 15000));
+			try {
+				const status = apiRequest('GET', uploadPath, { connection, errorMessage });
+				offset = Number(status.data.upload && status.data.upload.receivedBytes) || 0;
+			} catch (_) {}
+		} finally {
+			if (chunkPath) NSFileManager.defaultManager().removeItemAtPath_error(chunkPath, null);
+		}
+		// Let progress messages reach the UI between chunks
+		await wait(0);
+	}
+
+	return apiRequest('POST', `${uploadPath}/complete`, {
+		body: { meta },
+		connection,
+		timeoutMs: CHUNK_TIMEOUT_MS,
+		errorMessage,
+	}).data;
+}
@@ -0,0 +1,124 @@
+/**
+ * Flow Plugin – Document drift
+ *
+ * A check-in stamps the document with the revision it became (settings
+ * `getCheckinRecord`). When the document is opened again the WebView compares
+ * that record with the server's revisions and with the file on disk.
+ *
+ * Local changes are detected with a fingerprint of the .sketch archive's
+ * entries rather than the file's sha256: the plugin itself writes document user
+ * info (content hashes, this record) after a check-in, which changes
+ * document.json but none of the design content. document.json also holds the
+ * swatches and shared text/layer styles, so it is fingerprinted by its content
+ * with the plugin's user info left out.
+ *
+ * @typedef {import('../types/index').CheckinRecord} CheckinRecord
+ * @typedef {import('../types/index').DocumentDriftState} DocumentDriftState
+ */
+import { hashString, stableStringify } from './hash';
+import { getCheckinRecord, setCheckinRecord } from './settings';
+
+/** Archive entries Sketch rewrites without a design change */
+const METADATA_ENTRIES = /^(meta\.json|user\.json|previews\/)/;
+
+/** Key of the plugin's document settings in document.json's `userInfo` (the manifest identifier) */
+const PLUGIN_IDENTIFIER = 'sa.hir.flow';
+
+function runTool(launchPath, args) {
+	const task = NSTask.alloc().init();
+	task.setLaunchPath(launchPath);
+	task.setArguments(args);
+	const pipe = NSPipe.pipe();
+	task.setStandardOutput(pipe);
+	task.setStandardError(NSPipe.pipe());
+	task.launch();
+	const data = pipe.fileHandleForReading().readDataToEndOfFile();
+	task.waitUntilExit();
+	return {
+		code: Number(task.terminationStatus()),
+		stdout: String(NSString.alloc().initWithData_encoding(data, NSUTF8StringEncoding) || ''),
+	};
+}
+
+/** SHA-256 of a file as lowercase hex */
+export function fileSha256(path) {
+	return runTool('/usr/bin/shasum', ['-a', '256', path]).stdout.split(/\s+/)[0].toLowerCase();
+}
+
+/**
+ * document.json without what changes on its own: the plugin's user info and
+ * the page Sketch was showing when the file was saved.
+ * @param {string} path
+ * @returns {string} empty when the entry cannot be read
+ */
+function documentJsonFingerprint(path) {
+	const result = runTool('/usr/bin/unzip', ['-p', path, 'document.json']);
+	if (result.code !== 0) return '';
+	try {
+		const json = JSON.parse(result.stdout);
+		if (json.userInfo) delete json.userInfo[PLUGIN_IDENTIFIER];
+		delete json.currentPageIndex;
+		return hashString(stableStringify(json));
+	} catch (_) {
+		return '';
+	}
+}
+
+/**
+ * Fingerprint of a .sketch file's design content: the CRC-32 of every archive
+ * entry except document-level metadata, plus document.json's swatches and
+ * shared styles.
+ * @param {string} path
+ * @returns {string} empty when the archive cannot be read
+ */
+export function sketchFileFingerprint(path) {
+	const result = runTool('/usr/bin/unzip', ['-v', path]);
+	if (result.code !== 0) return '';
+	const entries = [];
+	// "  Length  Method  Size  Cmpr  Date  Time  CRC-32  Name"
+	result.stdout.split('\n').forEach((line) => {
+		const match = line.match(/^\s*\d+\s+\S+\s+\d+\s+\S+\s+\S+\s+\S+\s+([0-9a-f]{8})\s+(.+)$/);
+		if (!match || METADATA_ENTRIES.test(match[2])) return;
+		const checksum = match[2] === 'document.json' ? documentJsonFingerprint(path) : match[1];
+		entries.push(`${match[2]}:${checksum}`);
+	});
+	return entries.length > 0 ? hashString(entries.sort().join('\n')) : '';
+}
+
+/**
+ * Stamp the document with the revision its file was just checked in as.
+ * @param {any} document - Sketch document
+ * @param {string} filePath - the uploaded file
+ * @param {{ projectId: string, versionId: string, revisionId: string, revisionNumber?: number | null, sha256?: string | null }} checkin
+ */
+export function recordCheckin(document, filePath, checkin) {
+	setCheckinRecord(document, {
+		projectId: checkin.projectId,
+		versionId: checkin.versionId,
+		revisionId: checkin.revisionId,
+		revisionNumber: checkin.revisionNumber != null ? Number(checkin.revisionNumber) : null,
+		sha256: checkin.sha256 || fileSha256(filePath),
+		contentFingerprint: sketchFileFingerprint(filePath),
+		checkedInAt: new Date().toISOString(),
+	});
+}
+
+/**
+ * The document's check-in record and whether its saved file changed since.
+ * @param {any} document - Sketch document
+ * @param {string | null} filePath - the document's file on disk
+ * @returns {DocumentDriftState}
+ */
+export function readDocumentDrift(document, filePath) {
+	const checkin = getCheckinRecord(document);
+	let contentChanged = false;
+	if (checkin && filePath) {
+		if (checkin.contentFingerprint) {
+			const fingerprint = sketchFileFingerprint(filePath);
+			contentChanged = !!fingerprint && fingerprint !== checkin.contentFingerprint;
+		} else {
+			contentChanged = fileSha256(filePath) !== checkin.sha256;
+		}
+	}
+	return { documentId: document ? String(document.id) : '', checkin, contentChanged };
+}
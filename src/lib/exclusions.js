@@ -0,0 +1,106 @@
+/**
+ * Flow Plugin – Publish exclusions
+ *
+ * Layers that must never reach the handoff – designer notes, placeholder PII,
+ * WIP annotations. A layer is excluded when it is marked "Exclude from Flow"
+ * or its name starts with one of the document's excluded prefixes; every
+ * artboard on an excluded page is left out as well. Extraction drops excluded
+ * layers from layer trees, flows and overrides, and the image export hides
+ * them while rendering. The .sketch file of a check-in cannot be stripped, so
+ * it is not uploaded while the document still contains excluded content.
+ *
+ * @typedef {import('../types/index').ExclusionReason} ExclusionReason
+ */
+import sketch from 'sketch';
+import { getExclusionRules, isLayerExcluded, setLayerExcluded } from './settings';
+
+/**
+ * @typedef {object} ExclusionMatcher
+ * @property {(layer: any) => ExclusionReason | null} layerReason - why a layer is excluded, if it is
+ * @property {(page: any) => boolean} isPageExcluded
+ */
+
+/**
+ * Matcher for the exclusion rules of a document (only the layer flag applies without one).
+ * @param {any} document - Sketch document
+ * @returns {ExclusionMatcher}
+ */
+export function createExclusionMatcher(document) {
+	const rules = getExclusionRules(document);
+	const prefixes = rules.namePrefixes.map((prefix) => prefix.toLowerCase());
+	const pageNames = rules.pageNames.map((name) => name.toLowerCase());
+
+	return {
+		layerReason(layer) {
+			if (isLayerExcluded(layer)) return 'flag';
+			if (prefixes.length === 0) return null;
+			const name = String(layer.name || '').toLowerCase();
+			for (let i = 0, len = prefixes.length; i < len; i++) {
+				if (name.indexOf(prefixes[i]) === 0) return 'namePrefix';
+			}
+			return null;
+		},
+		isPageExcluded(page) {
+			return pageNames.length > 0 && pageNames.includes(String(page.name || '').toLowerCase());
+		},
+	};
+}
+
+/**
+ * Excluded pages and layers still in the document. A check-in uploads the
+ * .sketch file as it is, so it would hand them to the client.
+ * @param {any} document - Sketch document
+ * @returns {{ pages: number, layers: number }}
+ */
+export function countExcludedContent(document) {
+	const matcher = createExclusionMatcher(document);
+	const counts = { pages: 0, layers: 0 };
+	const walk = (layers) => {
+		(layers || []).forEach((layer) => {
+			// Children of an excluded layer go with it
+			if (matcher.layerReason(layer)) counts.layers++;
+			else walk(layer.layers);
+		});
+	};
+	(document ? document.pages : []).forEach((page) => {
+		if (matcher.isPageExcluded(page)) counts.pages++;
+		else walk(page.layers);
+	});
+	return counts;
+}
+
+/**
+ * Why the document's .sketch file cannot be checked in, or null when it can.
+ * @param {{ pages: number, layers: number }} counts - from `countExcludedContent`
+ * @returns {string|null}
+ */
+export function excludedContentMessage(counts) {
+	const parts = [];
+	if (counts.pages > 0) parts.push(`${counts.pages} excluded page${counts.pages !== 1 ? 's' : ''}`);
+	if (counts.layers > 0) {
+		parts.push(`${counts.layers} excluded layer${counts.layers !== 1 ? 's' : ''}`);
+	}
+	if (parts.length === 0) return null;
+	return `The Sketch file still contains ${parts.join(' and ')} and is not uploaded – move them to another file to check it in.`;
+}
+
+/**
+ * "Exclude from Flow" command: flags the selected layers, or clears the flag
+ * when every selected layer already has it.
+ */
+export function toggleSelectedLayersExcluded() {
+	const document = sketch.Document.getSelectedDocument();
+	const layers = document ? document.selectedLayers.layers : [];
+	if (layers.length === 0) {
+		sketch.UI.message('Flow: select the layers to keep out of the handoff first.');
+		return;
+	}
+
+	const exclude = !layers.every((layer) => isLayerExcluded(layer));
+	layers.forEach((layer) => setLayerExcluded(layer, exclude));
+
+	const count = `${layers.length} layer${layers.length !== 1 ? 's' : ''}`;
+	sketch.UI.message(
+		exclude ? `Flow: ${count} will not be published.` : `Flow: ${count} will be published again.`,
+	);
+}
@@ -15,6 +15,11 @@
  * - Default symbol overrides omitted to reduce payload size
  * - Image export uses persistent temp dir (avoids mkdir/rmdir per artboard)
  * - Export uses 'use-id-for-name' for predictable filenames
+ * - Layer assets exported one format at a time, on demand from the WebView
+ * - Symbol masters (local + library) extracted once per symbolId for the component catalog
+ * - Artboard maps kept per open document; library documents loaded once per library
+ * - Tall artboards can be exported in tiles (temporary slices) instead of one huge image
+ * - Excluded layers (see ./exclusions) are skipped in every walk, like hidden ones
  * - for-loops replace .map()/.forEach() in hot paths
  *
  * @typedef {import('../types/index').DocumentData} DocumentData
@@ -22,24 +27,78 @@
  * @typedef {import('../types/index').ArtboardMeta} ArtboardMeta
  * @typedef {import('../types/index').LayerData} LayerData
  * @typedef {import('../types/index').FlowData} FlowData
+ * @typedef {import('../types/index').FlowGraph} FlowGraph
+ * @typedef {import('../types/index').FlowOverlayData} FlowOverlayData
+ * @typedef {import('../types/index').ArtboardPrototypeData} ArtboardPrototypeData
  * @typedef {import('../types/index').DesignTokens} DesignTokens
+ * @typedef {import('../types/index').ExportFormat} ExportFormat
+ * @typedef {import('../types/index').ExportedAsset} ExportedAsset
+ * @typedef {import('../types/index').ComponentData} ComponentData
+ * @typedef {import('../types/index').OpenDocument} OpenDocument
+ * @typedef {import('../types/index').ComponentLibrary} ComponentLibrary
+ * @typedef {import('../types/index').LibraryContents} LibraryContents
+ * @typedef {import('../types/index').ScreenExportOptions} ScreenExportOptions
+ * @typedef {import('../types/index').ScreenExportOverride} ScreenExportOverride
+ * @typedef {import('../types/index').ExportOverrideScope} ExportOverrideScope
+ * @typedef {import('../types/index').ScreenImage} ScreenImage
+ * @typedef {import('../types/index').ExcludedLayer} ExcludedLayer
+ * @typedef {import('../types/index').ExcludedArtboard} ExcludedArtboard
  */
 import sketch from 'sketch';
+import { computeContentHash, hashSymbolMasters, hashString, stableStringify } from './hash';
+import { createExclusionMatcher } from './exclusions';
+import {
+	booleanOperationName,
+	cssFontWeight,
+	pointToPx,
+	resizingConstraints,
+	round2,
+	sameRunStyle,
+	smartLayout,
+	stackLayout,
+	textBehaviourName,
+} from './layerValues';
+import {
+	getArtboardExportOverride,
+	getPageExportOverrides,
+	setArtboardExportOverride,
+	setPageExportOverride,
+} from './settings';
 
 // ─── Artboard Lookup Cache ───────────────────────────────────────────
-// Built once per extractDocument() call. O(1) artboard lookups instead of O(n).
+// Built once per document. O(1) artboard lookups instead of O(n).
+// One map per open document so publishing several documents never rebuilds them.
+/** @type {Map<string, Map<string, any>>} */
+let _artboardMaps = new Map();
+// Map of the document being extracted – flow targets resolve against it
 /** @type {Map<string, any>} */
 let _artboardMap = new Map();
-/** @type {string|null} */
-let _cachedDocId = null;
+// Flow counts per symbol master, reset on every extractDocument()
+/** @type {Map<string, number>} */
+let _symbolFlowCounts = new Map();
+// Library documents loaded from disk, by library id (loading one is expensive)
+/** @type {Map<string, any>} */
+let _libraryDocuments = new Map();
+// Exclusion rules of the document being extracted, set by every public entry point
+/** @type {import('./exclusions').ExclusionMatcher} */
+let _exclusions = createExclusionMatcher(null);
+
+/** @param {any} document */
+function documentKey(document) {
+	return String(document.id || document.path || '');
+}
 
 /**
- * Build or refresh the artboard lookup map for the current document.
+ * Build or reuse the artboard lookup map for a document and make it current.
  * @param {any} document - Sketch document
  */
 function buildArtboardMap(document) {
-	const docId = document.id || document.path || '';
-	if (_cachedDocId === docId && _artboardMap.size > 0) return;
+	const docId = documentKey(document);
+	const cached = _artboardMaps.get(docId);
+	if (cached && cached.size > 0) {
+		_artboardMap = cached;
+		return;
+	}
 
 	_artboardMap = new Map();
 	for (const page of document.pages) {
@@ -49,15 +108,52 @@ function buildArtboardMap(document) {
 			}
 		}
 	}
-	_cachedDocId = docId;
+	_artboardMaps.set(docId, _artboardMap);
 }
 
 /**
  * Invalidate the artboard map cache (call when document may have changed).
+ * @param {string} [documentId] - only this document (all documents when omitted)
  */
-export function invalidateCache() {
+export function invalidateCache(documentId) {
+	if (documentId) {
+		_artboardMaps.delete(String(documentId));
+	} else {
+		_artboardMaps = new Map();
+		_libraryDocuments = new Map();
+	}
 	_artboardMap = new Map();
-	_cachedDocId = null;
+	_symbolFlowCounts = new Map();
+}
+
+/**
+ * An open document by id, or the selected document when no id is given.
+ * @param {string} [documentId]
+ * @returns {any} Sketch document
+ */
+export function getDocument(documentId) {
+	if (!documentId) {
+		const selected = sketch.Document.getSelectedDocument();
+		if (!selected) throw new Error('No document open');
+		return selected;
+	}
+	const documents = safeGet(() => sketch.getDocuments(), []);
+	for (let i = 0, len = documents.length; i < len; i++) {
+		if (documentKey(documents[i]) === String(documentId)) return documents[i];
+	}
+	throw new Error('The document is no longer open');
+}
+
+/** @param {any} document */
+function documentName(document) {
+	return document.path
+		? decodeURIComponent(
+				String(document.path)
+					.trim()
+					.replace('/', '_')
+					.replace(/\.sketch$/, ''),
+			)
+		: 'Untitled';
 }
 
 // ─── Public API ──────────────────────────────────────────────────────
@@ -65,91 +161,700 @@ export function invalidateCache() {
 /**
  * Extract lightweight document metadata for the WebView preview.
  * Does NOT include layer trees or full flow data to avoid OOM on large docs.
+ * @param {string} [documentId] - an open document (the selected one when omitted)
+ * @param {number|string} [scale=2] - global export scale, for the artboards' export options
  * @returns {DocumentData}
  */
-export function extractDocument() {
-	const document = sketch.Document.getSelectedDocument();
+export function extractDocument(documentId, scale = 2) {
+	const document = documentId ? getDocument(documentId) : sketch.Document.getSelectedDocument();
 	if (!document) {
 		throw new Error('No document is open. Please open a Sketch file first.');
 	}
 
 	// Build the artboard lookup map for O(1) access later
 	buildArtboardMap(document);
-
-	const pages = document.pages.map((page) => ({
-		name: page.name,
-		artboards: page.layers
-			.filter((l) => l.type === 'Artboard' || l.type === 'SymbolMaster')
-			.map((artboard, idx) => extractArtboardMeta(artboard, page.name, idx)),
-	}));
+	_exclusions = createExclusionMatcher(document);
+	_symbolFlowCounts = new Map();
+
+	const docId = documentKey(document);
+	const pageOverrides = getPageExportOverrides(document);
+	/** @type {ExcludedArtboard[]} */
+	const excludedArtboards = [];
+	const pages = [];
+	for (const page of document.pages) {
+		const pageExcluded = _exclusions.isPageExcluded(page);
+		const artboards = [];
+		for (const layer of page.layers) {
+			if (layer.type !== 'Artboard' && layer.type !== 'SymbolMaster') continue;
+			const reason = pageExcluded ? 'page' : _exclusions.layerReason(layer);
+			if (reason) {
+				excludedArtboards.push({
+					layerId: String(layer.id),
+					layerName: String(layer.name),
+					reason,
+					pageName: String(page.name),
+				});
+				continue;
+			}
+			artboards.push(
+				extractArtboardMeta(layer, page.name, artboards.length, docId, {
+					pageOverride: pageOverrides[page.id] || null,
+					scale,
+				}),
+			);
+		}
+		if (!pageExcluded) pages.push({ name: page.name, artboards });
+	}
 
 	const designTokens = extractDesignTokens(document);
 
 	return {
-		documentName: document.path
-			? decodeURIComponent(
-					String(document.path)
-						.trim()
-						.replace('/', '_')
-						.replace(/\.sketch$/, ''),
-				)
-			: 'Untitled',
+		documentId: docId,
+		documentName: documentName(document),
 		pages,
 		designTokens,
+		libraries: findLinkedLibraries(document).map(libraryInfo),
+		excludedArtboards,
 	};
 }
 
+/**
+ * Every open document, the selected one first. Names only – no extraction.
+ * @returns {OpenDocument[]}
+ */
+export function listOpenDocuments() {
+	const selected = sketch.Document.getSelectedDocument();
+	const selectedId = selected ? documentKey(selected) : null;
+	const documents = safeGet(() => sketch.getDocuments(), []);
+	const result = [];
+	for (let i = 0, len = documents.length; i < len; i++) {
+		const docId = documentKey(documents[i]);
+		result.push({
+			documentId: docId,
+			documentName: documentName(documents[i]),
+			isSelected: docId === selectedId,
+		});
+	}
+	return result.sort((a, b) => Number(b.isSelected) - Number(a.isSelected));
+}
+
+/**
+ * Extract the prototype flow graph of the whole document: every artboard with its
+ * hotspots, but no layer trees. Used to validate prototypes before publishing.
+ * @param {string} [documentId] - an open document (the selected one when omitted)
+ * @returns {FlowGraph}
+ */
+export function extractFlowGraph(documentId) {
+	const document = getDocument(documentId);
+
+	buildArtboardMap(document);
+	_exclusions = createExclusionMatcher(document);
+	const artboards = [];
+	for (const page of document.pages) {
+		if (_exclusions.isPageExcluded(page)) continue;
+		for (const layer of page.layers) {
+			if (layer.type !== 'Artboard' && layer.type !== 'SymbolMaster') continue;
+			if (_exclusions.layerReason(layer)) continue;
+			artboards.push({
+				id: layer.id,
+				name: layer.name,
+				pageName: page.name,
+				isFlowHome: layer.flowStartPoint === true,
+				flows: extractFlows(layer),
+			});
+		}
+	}
+	return { artboards };
+}
+
 /**
  * Extract the full layer tree + prototype flows for a single artboard.
  * Called lazily per-artboard during the publish flow to avoid OOM.
+ * The returned contentHash covers the extracted data and the screen export
+ * options, so an unchanged hash means the published screen would be identical.
  * @param {string} artboardId
+ * @param {number|string} [scale=2] - global export scale (page / artboard overrides win)
+ * @param {string} [documentId] - an open document (the selected one when omitted)
  * @returns {ArtboardData}
  */
-export function extractArtboardData(artboardId) {
-	const document = sketch.Document.getSelectedDocument();
-	if (!document) throw new Error('No document open');
+export function extractArtboardData(artboardId, scale = 2, documentId) {
+	const document = getDocument(documentId);
 
 	// Use the cached map for O(1) lookup
 	buildArtboardMap(document);
+	_exclusions = createExclusionMatcher(document);
 	const artboard = _artboardMap.get(artboardId) || findLayerById(document, artboardId);
 	if (!artboard) throw new Error(`Artboard ${artboardId} not found`);
+	assertPublishable(artboard);
 
+	/** @type {ExcludedLayer[]} */
+	const excludedLayers = [];
 	const flows = extractFlows(artboard);
+	const layers = extractLayerTree(artboard, excludedLayers);
+	const layout = extractLayout(artboard);
+	const prototype = extractPrototypeSettings(artboard, scanPrototypeLayers(artboard).fixedLayerIds);
+	const dependencies = collectRenderDependencies(artboard);
+	const contentHash = computeContentHash(
+		{
+			layers,
+			flows,
+			layout,
+			prototype,
+			width: artboard.frame.width,
+			height: artboard.frame.height,
+			background: safeGet(
+				() => (artboard.background.enabled ? artboard.background.color : null),
+				null,
+			),
+		},
+		resolveExportOptions(artboard, pageExportOverride(document, artboard), scale).options,
+		{
+			symbols: hashSymbolMasters(dependencies.symbolIds, (symbolId) =>
+				readSymbolMaster(document, symbolId),
+			),
+			images: dependencies.images,
+		},
+	);
 
 	return {
 		artboardId,
-		layers: extractLayerTree(artboard),
+		layers,
 		flows,
 		flowCount: flows.length, // Return count alongside data to avoid extra traversal
+		layout,
+		prototype,
+		contentHash,
+		excludedLayers,
 	};
 }
 
+// Persistent temp directory for exports – avoids mkdir/rmdir churn per artboard
+const _exportBaseDir = String(NSTemporaryDirectory()) + 'Flow-exports/';
+
+/** MIME types for the file formats Sketch can export */
+const EXPORT_MIME_TYPES = {
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	webp: 'image/webp',
+	tiff: 'image/tiff',
+	svg: 'image/svg+xml',
+	pdf: 'application/pdf',
+	eps: 'application/postscript',
+};
+
+/** Vector formats ignore the export scale */
+const VECTOR_FORMATS = ['svg', 'pdf', 'eps'];
+
 /**
- * Export a single artboard to PNG and return its base64 data.
+ * Export a single artboard as its screen image, in the format, scale and
+ * tiling its export options ask for.
  * Called per-artboard during upload so we don't hold everything in memory.
  * @param {string} artboardId
- * @param {number|string} [scale=2]
- * @returns {string} data URI with base64 PNG
+ * @param {number|string} [scale=2] - global export scale (page / artboard overrides win)
+ * @param {string} [documentId] - an open document (the selected one when omitted)
+ * @returns {ScreenImage}
  */
-// Persistent temp directory for exports – avoids mkdir/rmdir churn per artboard
-const _exportBaseDir = String(NSTemporaryDirectory()) + 'Flow-exports/';
-
-export function exportArtboardImage(artboardId, scale = 2) {
-	const document = sketch.Document.getSelectedDocument();
-	if (!document) throw new Error('No document open');
+export function exportArtboardImage(artboardId, scale = 2, documentId) {
+	const document = getDocument(documentId);
 
 	buildArtboardMap(document);
+	_exclusions = createExclusionMatcher(document);
 	const artboard = _artboardMap.get(artboardId) || findLayerById(document, artboardId);
 	if (!artboard) throw new Error(`Artboard ${artboardId} not found`);
+	assertPublishable(artboard);
+
+	const { options } = resolveExportOptions(artboard, pageExportOverride(document, artboard), scale);
 
-	// Warn about oversized artboards (> 4096 in any dimension)
-	const maxDim = Math.max(artboard.frame.width, artboard.frame.height);
+	// Warn about oversized artboards (> 4096 in any dimension) that are not split
+	const maxDim = Math.max(
+		artboard.frame.width,
+		options.tileHeight
+			? Math.min(artboard.frame.height, options.tileHeight)
+			: artboard.frame.height,
+	);
 	if (maxDim > 4096) {
 		console.warn(
 			`[Flow] Large artboard "${artboard.name}" (${artboard.frame.width}×${artboard.frame.height}). Export may be slow.`,
 		);
 	}
 
+	const tiles = withExcludedLayersHidden(document, artboard, () =>
+		exportScreenTiles(document, artboard, options),
+	);
+	const mimeType = EXPORT_MIME_TYPES[options.format];
+	return {
+		format: options.format,
+		mimeType,
+		scale: options.scale,
+		quality: options.quality,
+		tiles: tiles.map((tile) => ({
+			index: tile.index,
+			y: tile.y,
+			height: tile.height,
+			dataUri: `data:${mimeType};base64,${tile.base64}`,
+		})),
+	};
+}
+
+/**
+ * Export one configured export format of a layer inside an artboard.
+ * The file name follows Sketch's prefix + layer name + suffix convention.
+ * @param {string} artboardId
+ * @param {string} layerId
+ * @param {ExportFormat} format
+ * @param {string} [documentId] - an open document (the selected one when omitted)
+ * @returns {ExportedAsset}
+ */
+export function exportLayerAsset(artboardId, layerId, format, documentId) {
+	const document = getDocument(documentId);
+
+	buildArtboardMap(document);
+	const artboard = _artboardMap.get(artboardId) || findLayerById(document, artboardId);
+	if (!artboard) throw new Error(`Artboard ${artboardId} not found`);
+
+	const layer = artboard.id === layerId ? artboard : findInLayers(artboard.layers, layerId);
+	if (!layer) throw new Error(`Layer ${layerId} not found in artboard "${artboard.name}"`);
+	_exclusions = createExclusionMatcher(document);
+	assertPublishable(layer);
+
+	const fileFormat = String(format.fileFormat || 'png').toLowerCase();
+	const scale = VECTOR_FORMATS.includes(fileFormat) ? 1 : parseExportSize(format.size, layer.frame);
+	const base64 = withExcludedLayersHidden(document, layer, () =>
+		exportLayerToBase64(layer, fileFormat, scale),
+	);
+	const mimeType = EXPORT_MIME_TYPES[fileFormat] || 'application/octet-stream';
+	// Layer names may contain "/" (Sketch's grouping) and ":" – not valid in a file name
+	const baseName = `${format.prefix || ''}${layer.name}${format.suffix || ''}`.replace(
+		/[/:]/g,
+		'-',
+	);
+
+	return {
+		layerId: String(layer.id),
+		layerName: String(layer.name),
+		fileName: `${baseName}.${fileFormat}`,
+		fileFormat,
+		scale,
+		mimeType,
+		dataUri: `data:${mimeType};base64,${base64}`,
+	};
+}
+
+/**
+ * Extract a symbol master for the component catalog: layer tree, editable
+ * override points, library origin and a preview image.
+ * Library symbols resolve through the document's imported (foreign) masters,
+ * then through the other open documents and the linked library documents.
+ * @param {string} symbolId - the instance's symbolId (not the master layer id)
+ * @param {number|string} [scale=2] - preview export scale
+ * @param {string} [documentId] - document to look in first (the selected one when omitted)
+ * @returns {ComponentData}
+ */
+export function extractComponent(symbolId, scale = 2, documentId) {
+	const document = getDocument(documentId);
+
+	const found = resolveSymbolMaster(document, symbolId);
+	if (!found) throw new Error(`Symbol ${symbolId} not found`);
+
+	const { master, library } = found;
+	_exclusions = createExclusionMatcher(document);
+	let previewBase64 = null;
+	try {
+		previewBase64 =
+			'data:image/png;base64,' +
+			withExcludedLayersHidden(document, master, () => exportLayerToBase64(master, 'png', scale));
+	} catch (e) {
+		// Some library masters cannot be rendered outside their library – publish without preview
+	}
+
+	return {
+		symbolId: String(symbolId),
+		masterId: String(master.id),
+		name: String(master.name),
+		width: master.frame.width,
+		height: master.frame.height,
+		layers: extractLayerTree(master),
+		layout: extractLayout(master),
+		overridePoints: extractOverridePoints(master),
+		library: library ? libraryInfo(library) : null,
+		previewBase64,
+	};
+}
+
+/**
+ * Find a local or library (foreign) symbol master by symbolId.
+ * @param {any} document
+ * @param {string} symbolId
+ */
+function findSymbolMaster(document, symbolId) {
+	const symbols = safeGet(() => document.getSymbols(), []);
+	for (let i = 0, len = symbols.length; i < len; i++) {
+		if (symbols[i].symbolId === symbolId) return symbols[i];
+	}
+	return null;
+}
+
+/**
+ * Look for a symbol master in the document, the other open documents and
+ * finally the document's linked libraries.
+ * @returns {{ master: any, library: any } | null}
+ */
+function resolveSymbolMaster(document, symbolId) {
+	const local = findSymbolMaster(document, symbolId);
+	if (local) return { master: local, library: safeGet(() => local.getLibrary(), null) };
+
+	const documents = safeGet(() => sketch.getDocuments(), []);
+	for (let i = 0, len = documents.length; i < len; i++) {
+		if (documentKey(documents[i]) === documentKey(document)) continue;
+		const master = findSymbolMaster(documents[i], symbolId);
+		if (master) return { master, library: safeGet(() => master.getLibrary(), null) };
+	}
+
+	const libraries = findLinkedLibraries(document);
+	for (let i = 0, len = libraries.length; i < len; i++) {
+		const libraryDocument = getLibraryDocument(libraries[i]);
+		const master = libraryDocument ? findSymbolMaster(libraryDocument, symbolId) : null;
+		if (master) return { master, library: libraries[i] };
+	}
+	return null;
+}
+
+/**
+ * What a layer tree renders without its extracted data showing it: the symbol
+ * masters its instances (and symbol swap overrides) point at, and the bitmap
+ * data of images, image overrides and pattern fills. Feeds the content hash.
+ * @returns {{ symbolIds: string[], images: Record<string, string|null> }}
+ */
+function collectRenderDependencies(parent) {
+	const symbolIds = new Set();
+	const images = {};
+
+	function walk(layers) {
+		for (let i = 0, len = layers.length; i < len; i++) {
+			const layer = layers[i];
+			if (layer.hidden || _exclusions.layerReason(layer)) continue;
+			const fills = safeGet(() => layer.style.fills, []);
+			for (let j = 0; j < fills.length; j++) {
+				if (fills[j].enabled && fills[j].fillType === 'Pattern') {
+					images[`${layer.id}:fill-${j}`] = imageDataHash(
+						safeGet(() => fills[j].pattern.image, null),
+					);
+				}
+			}
+			if (layer.type === 'Image') {
+				images[layer.id] = imageDataHash(layer.image);
+			} else if (layer.type === 'SymbolInstance') {
+				symbolIds.add(String(layer.symbolId));
+				const overrides = safeGet(() => layer.overrides, []);
+				for (let j = 0; j < overrides.length; j++) {
+					const o = overrides[j];
+					if (o.isDefault) continue;
+					if (o.property === 'symbolID' && o.value) symbolIds.add(String(o.value));
+					if (o.property === 'image') images[`${layer.id}:${o.path}`] = imageDataHash(o.value);
+				}
+			}
+			if (layer.layers && layer.layers.length > 0) walk(layer.layers);
+		}
+	}
+	walk(safeGet(() => parent.layers, []));
+	return { symbolIds: [...symbolIds], images };
+}
+
+/**
+ * Identity of a bitmap: Sketch's own SHA-1 of the image data (the name it is
+ * stored under in the .sketch file), or a hash of the data itself.
+ * @returns {string|null}
+ */
+function imageDataHash(image) {
+	if (!image) return null;
+	const sha1 = safeGet(() => image.sketchObject.sha1(), null);
+	if (sha1) return String(sha1.base64EncodedStringWithOptions(0));
+	const data = safeGet(() => image.nsdata, null);
+	return data ? hashString(String(data.base64EncodedStringWithOptions(0))) : null;
+}
+
+/**
+ * A symbol master's contribution to the content hash of the artboards using it
+ * (local, from another open document or from a library).
+ * @returns {{ content: any, symbolIds: string[] }|null}
+ */
+function readSymbolMaster(document, symbolId) {
+	const found = resolveSymbolMaster(document, symbolId);
+	if (!found) return null;
+	const { master } = found;
+	const dependencies = collectRenderDependencies(master);
+	return {
+		content: {
+			layers: extractLayerTree(master),
+			layout: extractLayout(master),
+			width: master.frame.width,
+			height: master.frame.height,
+			images: dependencies.images,
+		},
+		symbolIds: dependencies.symbolIds,
+	};
+}
+
+/** Editable override points of a symbol master (what an instance may change) */
+function extractOverridePoints(master) {
+	const result = [];
+	const overrides = safeGet(() => master.overrides, []);
+	for (let i = 0, len = overrides.length; i < len; i++) {
+		const o = overrides[i];
+		if (o.editable === false) continue;
+		result.push({
+			id: o.id,
+			path: o.path,
+			property: o.property,
+			affectedLayerId: safeGet(() => o.affectedLayer.id, null),
+			affectedLayerName: safeGet(() => o.affectedLayer.name, null),
+			defaultValue: safeGet(() => o.value, null),
+		});
+	}
+	return result;
+}
+
+/**
+ * Convert an export size ('2x', '100w', '64h', '0.5') into a scale factor.
+ * Width/height sizes are resolved against the layer frame.
+ * @param {string} size
+ * @param {{width: number, height: number}} frame
+ * @returns {number}
+ */
+function parseExportSize(size, frame) {
+	const raw = String(size || '1x')
+		.trim()
+		.toLowerCase();
+	const value = parseFloat(raw);
+	if (!Number.isFinite(value) || value <= 0) return 1;
+	if (raw.endsWith('w') && frame.width > 0) return value / frame.width;
+	if (raw.endsWith('h') && frame.height > 0) return value / frame.height;
+	return value;
+}
+
+// ─── Publish Exclusions ──────────────────────────────────────────────
+
+/**
+ * Refuse to extract or export a layer that is excluded itself, sits in an
+ * excluded group or artboard, or is on an excluded page.
+ * @param {any} layer
+ */
+function assertPublishable(layer) {
+	for (let current = layer; current; current = safeGet(() => current.parent, null)) {
+		if (current.type === 'Page') {
+			if (_exclusions.isPageExcluded(current)) {
+				throw new Error(`"${layer.name}" is on a page that is excluded from publishing`);
+			}
+			return;
+		}
+		if (_exclusions.layerReason(current)) {
+			throw new Error(`"${layer.name}" is excluded from publishing`);
+		}
+	}
+}
+
+/**
+ * Hide the excluded layers under `root` – including those inside the symbol
+ * masters it places – while `fn` renders it, then show them again. The layers
+ * are toggled without undo steps or leaving the document edited.
+ * @template T
+ * @param {any} document
+ * @param {any} root
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function withExcludedLayersHidden(document, root, fn) {
+	const hidden = [];
+	const visitedMasters = new Set();
+	function walk(layer, depth) {
+		if (layer.hidden) return;
+		if (layer !== root && _exclusions.layerReason(layer)) {
+			layer.hidden = true;
+			hidden.push(layer);
+			return;
+		}
+		if (layer.type === 'SymbolInstance') {
+			const master = safeGet(() => layer.master, null);
+			if (!master || depth >= MAX_SYMBOL_DEPTH || visitedMasters.has(master.id)) return;
+			visitedMasters.add(master.id);
+			for (let i = 0, len = (master.layers || []).length; i < len; i++) {
+				walk(master.layers[i], depth + 1);
+			}
+		} else if (layer.layers) {
+			for (let i = 0, len = layer.layers.length; i < len; i++) {
+				walk(layer.layers[i], depth);
+			}
+		}
+	}
+	return withoutDocumentChanges(document, () => {
+		walk(root, 0);
+		try {
+			return fn();
+		} finally {
+			for (let i = 0; i < hidden.length; i++) {
+				hidden[i].hidden = false;
+			}
+		}
+	});
+}
+
+// ─── Screen Export Options ──────────────────────────────────────────
+
+/**
+ * Effective screen export options of an artboard: the global scale, overridden
+ * by its page's options, overridden by the artboard's own.
+ * @param {any} artboard
+ * @param {ScreenExportOverride | null} pageOverride
+ * @param {number|string} scale - global export scale
+ * @returns {{ options: ScreenExportOptions, source: ExportOverrideScope | null }}
+ */
+function resolveExportOptions(artboard, pageOverride, scale) {
+	const artboardOverride = getArtboardExportOverride(artboard);
+	const options = {
+		format: 'png',
+		scale: Number(scale) || 1,
+		quality: null,
+		tileHeight: null,
+		...(pageOverride || {}),
+		...(artboardOverride || {}),
+	};
+	// PNG is lossless – a quality inherited from a JPG page would only change the hash
+	if (options.format === 'png') options.quality = null;
+	return { options, source: artboardOverride ? 'artboard' : pageOverride ? 'page' : null };
+}
+
+/**
+ * The export options an artboard's screen would be exported with, as a string
+ * key – publish jobs only reuse cached payloads made with the same options.
+ * @param {string} artboardId
+ * @param {number|string} [scale=2] - global export scale
+ * @param {string} [documentId] - an open document (the selected one when omitted)
+ * @returns {string|null} null when the artboard is gone
+ */
+export function getArtboardExportKey(artboardId, scale = 2, documentId) {
+	const document = getDocument(documentId);
+	buildArtboardMap(document);
+	const artboard = _artboardMap.get(artboardId) || findLayerById(document, artboardId);
+	if (!artboard) return null;
+	return stableStringify(
+		resolveExportOptions(artboard, pageExportOverride(document, artboard), scale).options,
+	);
+}
+
+/**
+ * Override of the page a top-level artboard sits on.
+ * @param {any} document
+ * @param {any} artboard
+ * @returns {ScreenExportOverride | null}
+ */
+function pageExportOverride(document, artboard) {
+	const pageId = safeGet(() => artboard.parent.id, null);
+	return pageId ? getPageExportOverrides(document)[pageId] || null : null;
+}
+
+/**
+ * Store (or clear, with a null override) the export options of artboards or
+ * of the pages they sit on.
+ * @param {string} documentId
+ * @param {string[]} artboardIds - layer IDs
+ * @param {ExportOverrideScope} scope
+ * @param {ScreenExportOverride | null} override
+ */
+export function setExportOverride(documentId, artboardIds, scope, override) {
+	const document = getDocument(documentId);
+
+	buildArtboardMap(document);
+	const pageIds = new Set();
+	for (const artboardId of artboardIds || []) {
+		const artboard = _artboardMap.get(artboardId) || findLayerById(document, artboardId);
+		if (!artboard) continue;
+		if (scope === 'page') {
+			const pageId = safeGet(() => artboard.parent.id, null);
+			if (pageId) pageIds.add(pageId);
+		} else {
+			setArtboardExportOverride(artboard, override);
+		}
+	}
+	pageIds.forEach((pageId) => setPageExportOverride(document, pageId, override));
+}
+
+/**
+ * Run `fn`, which changes the document only for as long as it runs, without
+ * recording undo steps and without leaving the document marked as edited.
+ * @template T
+ * @param {any} document
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function withoutDocumentChanges(document, fn) {
+	const native = safeGet(() => document.sketchObject, null);
+	const undoManager = safeGet(() => native.undoManager(), null);
+	const wasEdited = safeGet(() => !!native.isDocumentEdited(), true);
+	if (undoManager) undoManager.disableUndoRegistration();
+	try {
+		return fn();
+	} finally {
+		if (undoManager) undoManager.enableUndoRegistration();
+		if (!wasEdited) safeGet(() => native.updateChangeCount(NSChangeCleared), null);
+	}
+}
+
+/**
+ * Export an artboard whole, or – when it is taller than its tile height – one
+ * temporary slice per tile. The slices are removed again right after export,
+ * without undo steps or edits left in the document.
+ * @param {any} document
+ * @param {any} artboard
+ * @param {ScreenExportOptions} options
+ * @returns {{ index: number, y: number, height: number, base64: string }[]}
+ */
+function exportScreenTiles(document, artboard, options) {
+	const { width, height } = artboard.frame;
+	if (!options.tileHeight || height <= options.tileHeight) {
+		return [
+			{
+				index: 0,
+				y: 0,
+				height,
+				base64: exportLayerToBase64(artboard, options.format, options.scale, options.quality),
+			},
+		];
+	}
+
+	return withoutDocumentChanges(document, () => {
+		const tiles = [];
+		for (let y = 0, index = 0; y < height; y += options.tileHeight, index++) {
+			const tileHeight = Math.min(options.tileHeight, height - y);
+			const slice = new sketch.Slice({
+				name: `Flow tile ${index + 1}`,
+				parent: artboard,
+				frame: { x: 0, y, width, height: tileHeight },
+			});
+			try {
+				tiles.push({
+					index,
+					y,
+					height: tileHeight,
+					base64: exportLayerToBase64(slice, options.format, options.scale, options.quality),
+				});
+			} finally {
+				slice.remove();
+			}
+		}
+		return tiles;
+	});
+}
+
+/**
+ * Export a layer into the temp dir and return the output file as base64.
+ * @param {any} layer
+ * @param {string} fileFormat
+ * @param {number|string} scale
+ * @param {number|null} [quality] - 1–100 for lossy formats
+ * @returns {string} raw base64 (no data URI prefix)
+ */
+function exportLayerToBase64(layer, fileFormat, scale, quality = null) {
 	const fileManager = NSFileManager.defaultManager();
 
 	// Reuse a single temp dir, cleaning it before each export
@@ -163,13 +868,14 @@ export function exportArtboardImage(artboardId, scale = 2) {
 		null,
 	);
 
-	sketch.export(artboard, {
-		formats: 'png',
+	sketch.export(layer, {
+		formats: fileFormat,
 		scales: String(scale),
 		output: _exportBaseDir,
 		'save-for-web': true,
 		overwriting: true,
-		'use-id-for-name': true, // Predictable filename = artboardId.png
+		'use-id-for-name': true, // Predictable filename = layerId.<format>
+		...(quality ? { compression: quality / 100 } : {}),
 	});
 
 	const files = fileManager.contentsOfDirectoryAtPath_error(_exportBaseDir, null);
@@ -209,9 +915,10 @@ export function exportArtboardImage(artboardId, scale = 2) {
 		}
 	}
 
+	const extension = '.' + fileFormat;
 	const targetFile =
-		actualFiles.find((f) => f.toLowerCase().endsWith('.png')) ||
-		actualFiles.find((f) => /\.(png|jpg|jpeg|tiff|webp|bmp)$/i.test(f)) ||
+		actualFiles.find((f) => f.toLowerCase().endsWith(extension)) ||
+		actualFiles.find((f) => /\.(png|jpg|jpeg|tiff|webp|bmp|svg|pdf|eps)$/i.test(f)) ||
 		actualFiles.find((f) => {
 			const base = f.includes('/') ? f.split('/').pop() : f;
 			return !base.startsWith('.');
@@ -235,7 +942,7 @@ export function exportArtboardImage(artboardId, scale = 2) {
 		fileManager.removeItemAtPath_error(_exportBaseDir, null);
 	} catch (_) {}
 
-	return 'data:image/png;base64,' + base64;
+	return base64;
 }
 
 // ─── Artboard Metadata ──────────────────────────────────────────────
@@ -245,25 +952,42 @@ export function exportArtboardImage(artboardId, scale = 2) {
  * @param {any} artboard
  * @param {string} pageName
  * @param {number} index
+ * @param {string} documentId
+ * @param {{ pageOverride: ScreenExportOverride | null, scale: number|string }} exportContext
  * @returns {ArtboardMeta}
  */
-function extractArtboardMeta(artboard, pageName, index) {
+function extractArtboardMeta(artboard, pageName, index, documentId, exportContext) {
+	const { flowCount, fixedLayerIds } = scanPrototypeLayers(artboard);
+	const { options, source } = resolveExportOptions(
+		artboard,
+		exportContext.pageOverride,
+		exportContext.scale,
+	);
 	return {
 		id: artboard.id,
+		sourceId: artboard.id,
+		documentId,
 		name: artboard.name,
 		pageName,
 		width: Math.round(artboard.frame.width),
 		height: Math.round(artboard.frame.height),
 		displayOrder: index,
-		flowCount: countFlows(artboard),
+		flowCount,
 		isSymbolMaster: artboard.type === 'SymbolMaster',
 		isFlowHome: artboard.flowStartPoint === true,
+		prototype: extractPrototypeSettings(artboard, fixedLayerIds),
+		exportOptions: options,
+		exportOverride: source,
 	};
 }
 
 // ─── Layer Tree Extraction ───────────────────────────────────────────
 
-function extractLayerTree(parent) {
+/**
+ * @param {any} parent
+ * @param {ExcludedLayer[]} [excluded] - collects the layers left out by the exclusion rules
+ */
+function extractLayerTree(parent, excluded) {
 	if (!parent.layers || parent.layers.length === 0) return [];
 
 	const result = [];
@@ -271,12 +995,23 @@ function extractLayerTree(parent) {
 		const layer = parent.layers[i];
 		// Skip hidden layers – they are irrelevant for developer handoff
 		if (layer.hidden) continue;
-		result.push(extractLayer(layer));
+		const reason = _exclusions.layerReason(layer);
+		if (reason) {
+			if (excluded) {
+				excluded.push({ layerId: String(layer.id), layerName: String(layer.name), reason });
+			}
+			continue;
+		}
+		result.push(extractLayer(layer, excluded));
 	}
 	return result;
 }
 
-function extractLayer(layer) {
+/**
+ * @param {any} layer
+ * @param {ExcludedLayer[]} [excluded]
+ */
+function extractLayer(layer, excluded) {
 	const frame = layer.frame;
 	const layerType = layer.type;
 	const style = layer.style;
@@ -297,11 +1032,23 @@ function extractLayer(layer) {
 		rotation: layer.transform ? layer.transform.rotation : 0,
 		style: style ? extractStyle(layer) : null,
 		exportFormats: extractExportFormats(layer),
+		sharedStyleId: safeGet(() => layer.sharedStyleId, null),
+		sharedStyleStatus: getSharedStyleStatus(layer),
+		resizing: extractResizingConstraints(layer),
 	};
 
+	if (layerType === 'Group' || layerType === 'SymbolMaster' || layerType === 'Artboard') {
+		data.layout = extractLayout(layer);
+	}
+
+	if (layerType === 'ShapePath' || layerType === 'Shape') {
+		data.path = extractPath(layer);
+	}
+
 	if (layerType === 'Text') {
 		data.text = layer.text;
 		data.textStyle = extractTextStyle(layer);
+		data.textRuns = extractTextRuns(layer);
 	} else if (layerType === 'SymbolInstance') {
 		data.symbolId = layer.symbolId;
 		data.overrides = extractOverrides(layer);
@@ -318,14 +1065,156 @@ function extractLayer(layer) {
 	}
 
 	if (layer.layers && layer.layers.length > 0) {
-		data.children = extractLayerTree(layer);
+		data.children = extractLayerTree(layer, excluded);
 	}
 
 	return data;
 }
 
+// ─── Layout Extraction ───────────────────────────────────────────────
+
+/**
+ * Stack Layout (MSFlexGroupLayout) or Smart Layout (MSInferredGroupLayout) of a
+ * group, artboard or symbol master. Freeform groups have no layout.
+ * @returns {import('../types/index').LayoutData|null}
+ */
+function extractLayout(layer) {
+	const native = safeGet(() => layer.sketchObject, null);
+	const groupLayout = native ? safeGet(() => native.groupLayout(), null) : null;
+	if (!groupLayout) return null;
+	const className = safeGet(() => String(groupLayout.className()), '');
+
+	if (className.indexOf('FlexGroupLayout') !== -1) {
+		return stackLayout({
+			direction: safeGet(() => Number(groupLayout.flexDirection()), 0),
+			gap: safeGet(() => Number(groupLayout.allGuttersGap()), 0),
+			padding: {
+				top: safeGet(() => Number(native.topPadding()), 0),
+				right: safeGet(() => Number(native.rightPadding()), 0),
+				bottom: safeGet(() => Number(native.bottomPadding()), 0),
+				left: safeGet(() => Number(native.leftPadding()), 0),
+			},
+			justifyContent: safeGet(() => Number(groupLayout.justifyContent()), 0),
+			alignItems: safeGet(() => Number(groupLayout.alignItems()), 0),
+			wrap: safeGet(() => Boolean(groupLayout.wrappingEnabled()), false),
+		});
+	}
+
+	if (className.indexOf('InferredGroupLayout') !== -1) {
+		return smartLayout(
+			safeGet(() => Number(groupLayout.axis()), 0),
+			safeGet(() => Number(groupLayout.layoutAnchor()), 0),
+		);
+	}
+
+	return null;
+}
+
+/**
+ * Pin / fixed-size resizing constraints relative to the parent.
+ * @returns {import('../types/index').ResizingConstraints|null}
+ */
+function extractResizingConstraints(layer) {
+	return resizingConstraints(safeGet(() => Number(layer.sketchObject.resizingConstraint()), null));
+}
+
+// ─── Vector Geometry ─────────────────────────────────────────────────
+
+/**
+ * Vector geometry of a ShapePath, or the boolean operation of a combined Shape.
+ * Points are converted from Sketch's normalized (0–1) coordinates to pixels in
+ * the layer's own frame, matching the coordinate space of `svgPath`.
+ * A combined Shape's geometry is described by its ShapePath children, each
+ * carrying the boolean operation it applies to the paths below it; its
+ * `svgPath` is the combined outline.
+ * @returns {import('../types/index').PathData|null}
+ */
+function extractPath(layer) {
+	const booleanOperation = safeGet(() => booleanOperationName(layer.booleanOperation), 'none');
+	if (layer.type === 'Shape') {
+		return {
+			shapeType: 'Combined',
+			closed: true,
+			points: [],
+			cornerRadii: [],
+			svgPath: combinedSvgPath(layer),
+			booleanOperation,
+		};
+	}
+
+	const width = layer.frame.width;
+	const height = layer.frame.height;
+	const toPx = (getPoint) => safeGet(() => pointToPx(getPoint(), width, height), null);
+	const sourcePoints = safeGet(() => layer.points, []);
+	const points = [];
+	for (let i = 0, len = sourcePoints.length; i < len; i++) {
+		const p = sourcePoints[i];
+		const point = toPx(() => p.point);
+		// A malformed point is dropped; the rest of the path (and svgPath) still publish
+		if (!point) continue;
+		points.push({
+			pointType: safeGet(() => String(p.pointType), 'Straight'),
+			point,
+			curveFrom: toPx(() => p.curveFrom) || point,
+			curveTo: toPx(() => p.curveTo) || point,
+			cornerRadius: safeGet(() => round2(p.cornerRadius), 0),
+		});
+	}
+
+	return {
+		shapeType: safeGet(() => String(layer.shapeType), 'Custom'),
+		closed: safeGet(() => Boolean(layer.closed), true),
+		points,
+		cornerRadii: points.map((p) => p.cornerRadius),
+		// Sketch renders corner radii and curve handles into the SVG path for us
+		svgPath: safeGet(() => String(layer.getSVGPath()), null),
+		booleanOperation,
+	};
+}
+
+/**
+ * Outline of a combined Shape with its boolean operations applied. The JS API
+ * only offers `getSVGPath()` on ShapePaths; this is the same conversion on the
+ * native shape group, so both share a coordinate space.
+ * @returns {string|null}
+ */
+function combinedSvgPath(layer) {
+	return safeGet(() => {
+		const path = layer.sketchObject.pathInFrameWithTransforms();
+		if (!path) return null;
+		return String(path.svgPathAttribute()).replace(/^d="|"$/g, '') || null;
+	}, null);
+}
+
 // ─── Style Extraction ────────────────────────────────────────────────
 
+/**
+ * Relationship between a layer and its shared (text/layer) style.
+ * `detached` means the layer references a shared style that no longer resolves
+ * (deleted, or from a library that is no longer available).
+ *
+ * @returns {'synced'|'outOfSync'|'detached'|null} null when no shared style is applied
+ */
+function getSharedStyleStatus(layer) {
+	const sharedStyleId = safeGet(() => layer.sharedStyleId, null);
+	if (!sharedStyleId) return null;
+	const sharedStyle = safeGet(() => layer.sharedStyle, null);
+	if (!sharedStyle) return 'detached';
+	const outOfSync = safeGet(() => layer.style.isOutOfSyncWithSharedStyle(sharedStyle), false);
+	return outOfSync ? 'outOfSync' : 'synced';
+}
+
+/**
+ * Swatch ID referenced by a native MSColor, or null for a raw color value.
+ * Swatch IDs match `swatch.id` in the document's swatches.
+ */
+function getSwatchId(nativeColor) {
+	return safeGet(() => {
+		const swatchId = nativeColor.swatchID();
+		return swatchId ? String(swatchId) : null;
+	}, null);
+}
+
 function extractStyle(layer) {
 	const style = layer.style;
 	if (!style) return null;
@@ -378,7 +1267,12 @@ function extractFills(fills) {
 	for (let i = 0, len = fills.length; i < len; i++) {
 		const f = fills[i];
 		if (!f.enabled) continue;
-		const fill = { color: f.color, fillType: f.fillType, gradient: null };
+		const fill = {
+			color: f.color,
+			fillType: f.fillType,
+			gradient: null,
+			swatchId: getSwatchId(safeGet(() => f.sketchObject.color(), null)),
+		};
 		if (f.gradient) {
 			const stops = f.gradient.stops;
 			const mappedStops = new Array(stops.length);
@@ -408,6 +1302,7 @@ function extractBorders(borders) {
 			thickness: b.thickness,
 			position: b.position,
 			fillType: b.fillType,
+			swatchId: getSwatchId(safeGet(() => b.sketchObject.color(), null)),
 		});
 	}
 	return result;
@@ -437,18 +1332,139 @@ function extractTextStyle(textLayer) {
 	return {
 		fontFamily: safeGet(() => style.fontFamily, null),
 		fontSize: safeGet(() => style.fontSize, null),
-		fontWeight: safeGet(() => style.fontWeight, null),
+		fontWeight: cssFontWeight(safeGet(() => style.fontWeight, null)),
 		fontStyle: safeGet(() => style.fontStyle, null),
 		textColor: safeGet(() => style.textColor, null),
+		textColorSwatchId: getSwatchId(safeGet(() => textLayer.sketchObject.textColor(), null)),
 		lineHeight: safeGet(() => style.lineHeight, null),
 		letterSpacing: safeGet(() => style.kerning, null),
 		textAlignment: safeGet(() => style.alignment, null),
 		textTransform: safeGet(() => style.textTransform, 'none'),
 		textDecoration: safeGet(() => style.textDecoration, 'none'),
 		paragraphSpacing: safeGet(() => style.paragraphSpacing, 0),
+		textBehaviour: getTextBehaviour(textLayer),
+		verticalAlignment: safeGet(() => style.verticalAlignment, 'top'),
+	};
+}
+
+function getTextBehaviour(textLayer) {
+	return textBehaviourName(
+		safeGet(() => Number(textLayer.sketchObject.textBehaviour()), null),
+		safeGet(() => textLayer.fixedWidth, false),
+	);
+}
+
+// ─── Text Runs ───────────────────────────────────────────────────────
+
+/** NSFontTraitMask italic bit */
+const NS_ITALIC_FONT_MASK = 1;
+
+/**
+ * Split a text layer into attributed-string runs: character ranges that share
+ * the same font, color, kerning, decoration and line height. Adjacent native
+ * runs that differ only in attributes we don't extract are merged.
+ * @returns {import('../types/index').TextRunData[]}
+ */
+function extractTextRuns(textLayer) {
+	const runs = [];
+	try {
+		const attributed = textLayer.sketchObject.attributedStringValue();
+		const text = String(attributed.string());
+		const length = Number(attributed.length());
+		let index = 0;
+
+		while (index < length) {
+			const rangeRef = MOPointer.alloc().init();
+			const attrs = attributed.attributesAtIndex_effectiveRange(index, rangeRef);
+			const range = rangeRef.value();
+			const start = Number(range.location);
+			const end = start + Number(range.length);
+			if (end <= index) break; // defensive: never loop on an empty range
+
+			const run = extractRunAttributes(attrs);
+			const previous = runs[runs.length - 1];
+			if (previous && sameRunStyle(previous, run)) {
+				previous.length += end - start;
+				previous.text = text.slice(previous.start, end);
+			} else {
+				run.start = start;
+				run.length = end - start;
+				run.text = text.slice(start, end);
+				runs.push(run);
+			}
+			index = end;
+		}
+	} catch (e) {
+		/* attributed string unavailable – layer-level textStyle still applies */
+	}
+	return runs;
+}
+
+function extractRunAttributes(attrs) {
+	const font = safeGet(() => attrs.objectForKey('NSFont'), null);
+	const paragraph = safeGet(() => attrs.objectForKey('NSParagraphStyle'), null);
+	const underline = safeGet(() => Number(attrs.objectForKey('NSUnderline')), 0);
+	const strikethrough = safeGet(() => Number(attrs.objectForKey('NSStrikethrough')), 0);
+	const transform = safeGet(
+		() => Number(attrs.objectForKey('MSAttributedStringTextTransformAttribute')),
+		0,
+	);
+	const fontManager = NSFontManager.sharedFontManager();
+	const appKitWeight = font ? safeGet(() => Number(fontManager.weightOfFont(font)), 5) : 5;
+	const traits = font ? safeGet(() => Number(fontManager.traitsOfFont(font)), 0) : 0;
+	const maxLineHeight = paragraph ? safeGet(() => Number(paragraph.maximumLineHeight()), 0) : 0;
+
+	return {
+		start: 0,
+		length: 0,
+		text: '',
+		fontFamily: font ? safeGet(() => String(font.familyName()), null) : null,
+		fontName: font ? safeGet(() => String(font.fontName()), null) : null,
+		fontSize: font ? safeGet(() => Number(font.pointSize()), null) : null,
+		fontWeight: cssFontWeight(appKitWeight),
+		fontStyle: traits & NS_ITALIC_FONT_MASK ? 'italic' : 'normal',
+		textColor: nativeColorToHex(
+			safeGet(
+				() =>
+					attrs.objectForKey('MSAttributedStringColorAttribute') || attrs.objectForKey('NSColor'),
+				null,
+			),
+		),
+		letterSpacing: safeGet(() => Number(attrs.objectForKey('NSKern')), 0),
+		lineHeight: maxLineHeight > 0 ? maxLineHeight : null,
+		textDecoration: underline ? 'underline' : strikethrough ? 'strikethrough' : 'none',
+		textTransform: transform === 1 ? 'uppercase' : transform === 2 ? 'lowercase' : 'none',
 	};
 }
 
+/**
+ * Convert an MSColor / MSImmutableColor / NSColor to `#rrggbbaa` (the format the JS API uses).
+ * @returns {string|null}
+ */
+function nativeColorToHex(color) {
+	if (!color) return null;
+	return safeGet(() => {
+		let r, g, b, a;
+		if (color.red) {
+			r = color.red();
+			g = color.green();
+			b = color.blue();
+			a = color.alpha();
+		} else {
+			const rgb = color.colorUsingColorSpace(NSColorSpace.sRGBColorSpace());
+			r = rgb.redComponent();
+			g = rgb.greenComponent();
+			b = rgb.blueComponent();
+			a = rgb.alphaComponent();
+		}
+		const hex = (v) =>
+			Math.round(Math.min(Math.max(Number(v), 0), 1) * 255)
+				.toString(16)
+				.padStart(2, '0');
+		return `#${hex(r)}${hex(g)}${hex(b)}${hex(a)}`;
+	}, null);
+}
+
 function extractExportFormats(layer) {
 	try {
 		if (layer.exportFormats && layer.exportFormats.length > 0) {
@@ -474,6 +1490,8 @@ function extractOverrides(symbolInstance) {
 				const o = overrides[i];
 				// Skip default overrides – they carry no useful delta for developers
 				if (o.isDefault) continue;
+				// Overrides of excluded layers inside the master would leak their values
+				if (safeGet(() => !!_exclusions.layerReason(o.affectedLayer), false)) continue;
 				result.push({
 					id: o.id,
 					path: o.path,
@@ -494,52 +1512,144 @@ function extractOverrides(symbolInstance) {
 
 function extractFlows(artboard) {
 	const flows = [];
-	walkFlows(artboard, flows);
+	walkFlows(artboard, flows, null);
 	return flows;
 }
 
-function walkFlows(layer, flows) {
-	// Skip hidden layers – they contribute no visible flows
-	if (layer.hidden) return;
+/** Symbols nested deeper than this are not searched for flows */
+const MAX_SYMBOL_DEPTH = 10;
+
+/**
+ * @typedef {object} SymbolFlowContext - set while walking a symbol master on behalf of an instance
+ * @property {string} instanceId - outermost instance placed on the host artboard
+ * @property {{ x: number, y: number, sx: number, sy: number }} transform - master → host artboard coordinates
+ * @property {Map<string, string>} destinations - flowDestination overrides keyed by layer path inside the master
+ * @property {number} depth
+ */
+
+/**
+ * Collect the flows of a layer subtree. Symbol instances are resolved through
+ * their master, so links on layers (and hotspots) inside symbols show up on the
+ * host artboard with the instance's override-changed targets.
+ * @param {any} layer
+ * @param {FlowData[]} flows
+ * @param {SymbolFlowContext|null} context
+ */
+function walkFlows(layer, flows, context) {
+	// Skip hidden and excluded layers – they contribute no visible flows
+	if (layer.hidden || _exclusions.layerReason(layer)) return;
 
 	if (layer.flow) {
 		const flow = layer.flow;
-		const target = flow.target;
-		const isBack = !target || target === sketch.Flow.BackTarget;
-
-		let targetId = null;
-		let targetName = null;
-
-		if (!isBack) {
-			if (target && target.id) {
-				targetId = String(target.id);
-				targetName = target.name ? String(target.name) : null;
-			} else if (flow.targetId) {
-				targetId = String(flow.targetId);
-			}
-		}
+		const destination = context ? context.destinations.get(String(layer.id)) : undefined;
+		const resolved = resolveFlowTarget(flow, destination);
 
-		if (targetId || isBack) {
-			const absoluteFrame = getAbsoluteFrame(layer);
+		if (resolved.targetId || resolved.isBack) {
+			const { target, targetId, isBack } = resolved;
 			flows.push({
 				sourceLayerId: String(layer.id),
 				sourceLayerName: String(layer.name),
-				sourceRect: absoluteFrame,
+				sourceRect: mapToHost(getAbsoluteFrame(layer), context),
 				targetArtboardId: isBack ? '__back__' : targetId,
-				targetArtboardName: targetName,
+				targetArtboardName: target && target.name ? String(target.name) : null,
 				animationType: String(flow.animationType || 'none'),
 				isBackAction: isBack,
+				maintainScrollPosition: safeGet(
+					() => !!layer.sketchObject.flow().maintainScrollPosition(),
+					false,
+				),
+				overlay: isBack ? null : extractFlowOverlay(layer, target),
+				sourceIsHotspot: layer.type === 'HotSpot',
+				symbolInstanceId: context ? context.instanceId : null,
 			});
 		}
 	}
 
-	if (layer.layers) {
+	if (layer.type === 'SymbolInstance') {
+		walkSymbolFlows(layer, flows, context);
+	} else if (layer.layers) {
 		for (let i = 0, len = layer.layers.length; i < len; i++) {
-			walkFlows(layer.layers[i], flows);
+			walkFlows(layer.layers[i], flows, context);
 		}
 	}
 }
 
+/**
+ * Walk an instance's master with the instance's position, size and overrides.
+ * @param {any} instance
+ * @param {FlowData[]} flows
+ * @param {SymbolFlowContext|null} context - context of the layer tree the instance sits in
+ */
+function walkSymbolFlows(instance, flows, context) {
+	const depth = context ? context.depth + 1 : 1;
+	const master = safeGet(() => instance.master, null);
+	if (!master || !master.layers || depth > MAX_SYMBOL_DEPTH) return;
+
+	const rect = mapToHost(getAbsoluteFrame(instance), context);
+	const instanceId = String(instance.id);
+
+	// The instance's own overrides, then the enclosing instance's overrides for
+	// layers inside this one (outer overrides win)
+	const destinations = new Map();
+	const overrides = safeGet(() => instance.overrides, []) || [];
+	for (const override of overrides) {
+		if (override.property !== 'flowDestination' || override.isDefault) continue;
+		destinations.set(String(override.path), override.value);
+	}
+	if (context) {
+		const prefix = `${instanceId}/`;
+		context.destinations.forEach((value, path) => {
+			if (path.indexOf(prefix) === 0) destinations.set(path.slice(prefix.length), value);
+		});
+	}
+
+	const child = {
+		instanceId: context ? context.instanceId : instanceId,
+		transform: {
+			x: rect.x,
+			y: rect.y,
+			sx: master.frame.width ? rect.width / master.frame.width : 1,
+			sy: master.frame.height ? rect.height / master.frame.height : 1,
+		},
+		destinations,
+		depth,
+	};
+	for (let i = 0, len = master.layers.length; i < len; i++) {
+		walkFlows(master.layers[i], flows, child);
+	}
+}
+
+/**
+ * Target of a flow, honouring a flowDestination override (artboard ID or back).
+ * @returns {{ target: any, targetId: string|null, isBack: boolean }}
+ */
+function resolveFlowTarget(flow, destination) {
+	if (destination !== undefined && destination !== null && destination !== '') {
+		const isBack = destination === sketch.Flow.BackTarget || String(destination) === 'back';
+		const targetId = isBack ? null : String(destination);
+		return { target: isBack ? null : _artboardMap.get(targetId) || null, targetId, isBack };
+	}
+
+	const target = flow.target;
+	const isBack = !target || target === sketch.Flow.BackTarget;
+	if (isBack) return { target: null, targetId: null, isBack };
+	if (target && target.id) return { target, targetId: String(target.id), isBack };
+	const targetId = flow.targetId ? String(flow.targetId) : null;
+	return { target: targetId ? _artboardMap.get(targetId) || null : null, targetId, isBack };
+}
+
+/** Map a rect from symbol master coordinates into the host artboard */
+function mapToHost(rect, context) {
+	if (!context) return rect;
+	const { x, y, sx, sy } = context.transform;
+	return {
+		x: Math.round((x + rect.x * sx) * 100) / 100,
+		y: Math.round((y + rect.y * sy) * 100) / 100,
+		width: Math.round(rect.width * sx * 100) / 100,
+		height: Math.round(rect.height * sy * 100) / 100,
+	};
+}
+
 function getAbsoluteFrame(layer) {
 	let x = layer.frame.x;
 	let y = layer.frame.y;
@@ -559,22 +1669,157 @@ function getAbsoluteFrame(layer) {
 	};
 }
 
-function countFlows(artboard) {
+/**
+ * One walk over an artboard for the lightweight metadata: hotspot count and
+ * layers fixed to the viewport while scrolling.
+ * @returns {{ flowCount: number, fixedLayerIds: string[] }}
+ */
+function scanPrototypeLayers(artboard) {
+	let flowCount = 0;
+	const fixedLayerIds = [];
+	function walk(layer) {
+		// Skip hidden and excluded layers – they don't contribute visible flows
+		if (layer.hidden || _exclusions.layerReason(layer)) return;
+		if (layer.flow) flowCount++;
+		if (layer !== artboard && safeGet(() => !!layer.sketchObject.isFixedToViewport(), false)) {
+			fixedLayerIds.push(String(layer.id));
+		}
+		if (layer.type === 'SymbolInstance') {
+			flowCount += countSymbolFlows(
+				safeGet(() => layer.master, null),
+				1,
+			);
+		} else if (layer.layers) {
+			for (let i = 0, len = layer.layers.length; i < len; i++) {
+				walk(layer.layers[i]);
+			}
+		}
+	}
+	walk(artboard);
+	return { flowCount, fixedLayerIds };
+}
+
+/**
+ * Flows inside a symbol master (including nested symbols), cached per master.
+ * @param {any} master
+ * @param {number} depth
+ */
+function countSymbolFlows(master, depth) {
+	if (!master || depth > MAX_SYMBOL_DEPTH) return 0;
+	const cached = _symbolFlowCounts.get(master.id);
+	if (cached !== undefined) return cached;
+
 	let count = 0;
 	function walk(layer) {
-		// Skip hidden layers – they don't contribute visible flows
-		if (layer.hidden) return;
+		if (layer.hidden || _exclusions.layerReason(layer)) return;
 		if (layer.flow) count++;
-		if (layer.layers) {
+		if (layer.type === 'SymbolInstance') {
+			count += countSymbolFlows(
+				safeGet(() => layer.master, null),
+				depth + 1,
+			);
+		} else if (layer.layers) {
 			for (let i = 0, len = layer.layers.length; i < len; i++) {
 				walk(layer.layers[i]);
 			}
 		}
 	}
-	walk(artboard);
+	for (let i = 0, len = (master.layers || []).length; i < len; i++) {
+		walk(master.layers[i]);
+	}
+	_symbolFlowCounts.set(master.id, count);
 	return count;
 }
 
+// ─── Prototype Presentation ──────────────────────────────────────────
+
+const OVERLAY_CENTER = { x: 0.5, y: 0.5 };
+
+function nativePoint(getPoint, fallback) {
+	return safeGet(() => {
+		const point = getPoint();
+		return {
+			x: Math.round(Number(point.x) * 100) / 100,
+			y: Math.round(Number(point.y) * 100) / 100,
+		};
+	}, fallback);
+}
+
+/** Position part of Sketch's overlay settings (anchors are normalized 0–1, offset in px) */
+function extractOverlayPosition(settings) {
+	return {
+		overlayAnchor: nativePoint(() => settings.overlayAnchor(), OVERLAY_CENTER),
+		sourceAnchor: nativePoint(() => settings.sourceAnchor(), OVERLAY_CENTER),
+		offset: nativePoint(() => settings.offset(), { x: 0, y: 0 }),
+		relativeTo: safeGet(() => Number(settings.overlayType()), 0) === 1 ? 'layer' : 'screen',
+	};
+}
+
+/**
+ * Overlay presentation of an artboard, or null when it is shown as a full screen.
+ * @returns {FlowOverlayData|null}
+ */
+function extractArtboardOverlay(artboard) {
+	const native = safeGet(() => artboard.sketchObject, null);
+	// MSArtboardPresentationStyle: 0 = screen, 1 = overlay
+	if (!native || safeGet(() => Number(native.presentationStyle()), 0) !== 1) return null;
+
+	const settings = safeGet(() => native.overlaySettings(), null);
+	return {
+		...(settings
+			? extractOverlayPosition(settings)
+			: {
+					overlayAnchor: OVERLAY_CENTER,
+					sourceAnchor: OVERLAY_CENTER,
+					offset: { x: 0, y: 0 },
+					relativeTo: 'screen',
+				}),
+		closeOnBackgroundClick: safeGet(
+			() => Number(native.overlayBackgroundInteraction()) === 1,
+			false,
+		),
+		backgroundColor: safeGet(
+			() => (artboard.background.enabled ? String(artboard.background.color) : null),
+			null,
+		),
+	};
+}
+
+/** A link's overlay: the target's overlay settings with the link's own position override */
+function extractFlowOverlay(layer, targetArtboard) {
+	const overlay = targetArtboard ? extractArtboardOverlay(targetArtboard) : null;
+	if (!overlay) return null;
+	const override = safeGet(() => layer.sketchObject.flow().overlaySettings(), null);
+	return override ? { ...overlay, ...extractOverlayPosition(override) } : overlay;
+}
+
+/** Prototype viewport (device preset) the artboard is previewed in */
+function extractViewport(artboard) {
+	const viewport = safeGet(() => artboard.sketchObject.prototypeViewport(), null);
+	const size = viewport ? safeGet(() => viewport.size(), null) : null;
+	if (!size) return null;
+	return {
+		name: safeGet(() => String(viewport.name()), '') || null,
+		width: Math.round(Number(size.width)),
+		height: Math.round(Number(size.height)),
+	};
+}
+
+/**
+ * @param {any} artboard
+ * @param {string[]} fixedLayerIds
+ * @returns {ArtboardPrototypeData}
+ */
+function extractPrototypeSettings(artboard, fixedLayerIds) {
+	const overlay = extractArtboardOverlay(artboard);
+	return {
+		presentationStyle: overlay ? 'overlay' : 'screen',
+		overlay,
+		viewport: extractViewport(artboard),
+		fixedLayerIds,
+	};
+}
+
 // ─── Design Token Extraction ─────────────────────────────────────────
 
 function extractDesignTokens(document) {
@@ -587,6 +1832,7 @@ function extractDesignTokens(document) {
 	try {
 		if (document.swatches && document.swatches.length > 0) {
 			tokens.colors = document.swatches.map((swatch) => ({
+				id: swatch.id,
 				name: swatch.name,
 				color: swatch.color,
 			}));
@@ -617,7 +1863,7 @@ function extractDesignTokens(document) {
 					name: shared.name,
 					fontFamily: safeGet(() => s.fontFamily, null),
 					fontSize: safeGet(() => s.fontSize, null),
-					fontWeight: safeGet(() => s.fontWeight, null),
+					fontWeight: cssFontWeight(safeGet(() => s.fontWeight, null)),
 					textColor: safeGet(() => s.textColor, null),
 					lineHeight: safeGet(() => s.lineHeight, null),
 					letterSpacing: safeGet(() => s.kerning, null),
@@ -676,6 +1922,77 @@ function extractDesignTokens(document) {
 	return tokens;
 }
 
+// ─── Linked Libraries ────────────────────────────────────────────────
+
+/**
+ * Libraries the document uses symbols, shared styles or swatches from.
+ * @param {any} document
+ * @returns {any[]} Sketch libraries, unique by id
+ */
+function findLinkedLibraries(document) {
+	const byId = new Map();
+	const collect = (items) => {
+		for (let i = 0, len = items.length; i < len; i++) {
+			const library = safeGet(() => items[i].getLibrary(), null);
+			if (library && !byId.has(String(library.id))) byId.set(String(library.id), library);
+		}
+	};
+	collect(safeGet(() => document.getSymbols(), []));
+	collect(safeGet(() => document.sharedLayerStyles, []));
+	collect(safeGet(() => document.sharedTextStyles, []));
+	collect(safeGet(() => document.swatches, []));
+	return [...byId.values()];
+}
+
+/** @returns {ComponentLibrary} */
+function libraryInfo(library) {
+	return {
+		id: String(library.id),
+		name: String(library.name),
+		libraryType: safeGet(() => String(library.libraryType), null),
+	};
+}
+
+/** The library's own document, loaded once (null when it can't be read, e.g. not downloaded) */
+function getLibraryDocument(library) {
+	const id = String(library.id);
+	if (!_libraryDocuments.has(id)) {
+		_libraryDocuments.set(
+			id,
+			safeGet(() => (library.valid === false ? null : library.getDocument()), null),
+		);
+	}
+	return _libraryDocuments.get(id);
+}
+
+/**
+ * Design tokens and symbol masters of every library linked to a document,
+ * for publishing them alongside the document's own tokens and components.
+ * @param {string} [documentId] - an open document (the selected one when omitted)
+ * @returns {LibraryContents[]}
+ */
+export function extractLibraryContents(documentId) {
+	const document = getDocument(documentId);
+	const result = [];
+	const libraries = findLinkedLibraries(document);
+	for (let i = 0, len = libraries.length; i < len; i++) {
+		const libraryDocument = getLibraryDocument(libraries[i]);
+		if (!libraryDocument) continue;
+		const symbols = safeGet(() => libraryDocument.getSymbols(), []);
+		const symbolIds = [];
+		for (let j = 0, count = symbols.length; j < count; j++) {
+			if (!safeGet(() => symbols[j].getLibrary(), null))
+				symbolIds.push(String(symbols[j].symbolId));
+		}
+		result.push({
+			library: libraryInfo(libraries[i]),
+			designTokens: extractDesignTokens(libraryDocument),
+			symbolIds,
+		});
+	}
+	return result;
+}
+
 // ─── Helpers ─────────────────────────────────────────────────────────
 
 function findLayerById(document, id) {
@@ -0,0 +1,129 @@
+/**
+ * Flow Plugin – Content hashing
+ *
+ * Stable, dependency-free hashing of extracted artboard data. Used to detect
+ * artboards that have not changed since the last publish so they can be
+ * carried forward instead of being exported and uploaded again.
+ */
+
+/**
+ * JSON.stringify with object keys sorted, so equal data always produces the
+ * same string regardless of property insertion order. `undefined` values are
+ * dropped, matching JSON semantics.
+ * @param {any} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+	if (value === null || typeof value !== 'object') {
+		const json = JSON.stringify(value);
+		return json === undefined ? 'null' : json;
+	}
+	if (Array.isArray(value)) {
+		const items = new Array(value.length);
+		for (let i = 0; i < value.length; i++) {
+			items[i] = stableStringify(value[i]);
+		}
+		return '[' + items.join(',') + ']';
+	}
+	const keys = Object.keys(value).sort();
+	const parts = [];
+	for (let i = 0; i < keys.length; i++) {
+		const v = value[keys[i]];
+		if (v === undefined || typeof v === 'function') continue;
+		parts.push(JSON.stringify(keys[i]) + ':' + stableStringify(v));
+	}
+	return '{' + parts.join(',') + '}';
+}
+
+/**
+ * cyrb53 – fast 53-bit string hash with good distribution.
+ * @param {string} str
+ * @param {number} seed
+ * @returns {string} 14-char hex digest
+ */
+function cyrb53(str, seed) {
+	let h1 = 0xdeadbeef ^ seed;
+	let h2 = 0x41c6ce57 ^ seed;
+	for (let i = 0; i < str.length; i++) {
+		const ch = str.charCodeAt(i);
+		h1 = Math.imul(h1 ^ ch, 2654435761);
+		h2 = Math.imul(h2 ^ ch, 1597334677);
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+	h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+	const n = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+	return n.toString(16).padStart(14, '0');
+}
+
+/**
+ * Hash an arbitrary string into a 28-char hex digest (two seeded cyrb53 passes).
+ * @param {string} str
+ * @returns {string}
+ */
+export function hashString(str) {
+	return cyrb53(str, 0) + cyrb53(str, 1);
+}
+
+/**
+ * Content hash for an artboard: everything that affects the published screen
+ * (layer tree, flows, artboard size/background) plus the export options.
+ * Plain PNG exports hash the scale only, so hashes recorded before per-artboard
+ * export options existed stay valid.
+ * @param {object} content
+ * @param {number|string|{format?: string, scale?: number, quality?: number|null, tileHeight?: number|null}} options
+ *   - export options, or just the export scale
+ * @param {{symbols?: Record<string, string>, images?: Record<string, string|null>}} [dependencies]
+ *   - what the screen renders but its layer tree only references: symbol master
+ *     hashes (`hashSymbolMasters`) and image data hashes, by layer
+ * @returns {string}
+ */
+export function computeContentHash(content, options, dependencies) {
+	const exportOptions = options && typeof options === 'object' ? options : { scale: options };
+	const { format = 'png', quality = null, tileHeight = null } = exportOptions;
+	const payload = { content, scale: Number(exportOptions.scale) || 1 };
+	if (format !== 'png' || quality != null || tileHeight != null) {
+		payload.export = { format, quality, tileHeight };
+	}
+	const { symbols = {}, images = {} } = dependencies || {};
+	if (Object.keys(symbols).length > 0 || Object.keys(images).length > 0) {
+		payload.dependencies = { symbols, images };
+	}
+	return hashString(stableStringify(payload));
+}
+
+/**
+ * Hashes of symbol masters, keyed by symbolId. A master's hash covers its own
+ * content plus the hashes of the masters nested in it, so editing a nested or
+ * library master changes the hash of every master – and artboard – using it.
+ * @param {string[]} symbolIds
+ * @param {(symbolId: string) => {content: any, symbolIds: string[]}|null} readMaster
+ *   - a master's content and the symbolIds it references, null when it cannot be found
+ * @param {Map<string, string>} [hashes] - masters hashed so far, shared between calls
+ * @returns {Record<string, string>}
+ */
+export function hashSymbolMasters(symbolIds, readMaster, hashes = new Map()) {
+	const visiting = new Set();
+
+	const hashMaster = (symbolId) => {
+		const known = hashes.get(symbolId);
+		if (known) return known;
+		// Sketch refuses recursive symbols, but a broken file must not recurse forever
+		if (visiting.has(symbolId)) return 'recursive';
+		visiting.add(symbolId);
+		const master = readMaster(symbolId);
+		const hash = master
+			? hashString(stableStringify({ content: master.content, symbols: hashAll(master.symbolIds) }))
+			: 'missing';
+		visiting.delete(symbolId);
+		hashes.set(symbolId, hash);
+		return hash;
+	};
+
+	const hashAll = (ids) => {
+		const result = {};
+		for (let i = 0; i < ids.length; i++) result[ids[i]] = hashMaster(ids[i]);
+		return result;
+	};
+
+	return hashAll(symbolIds);
+}
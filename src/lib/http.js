@@ -0,0 +1,201 @@
+/**
+ * Flow Plugin – Native HTTP
+ *
+ * curl-based requests for the native side. Used when the WebView cannot make
+ * the request itself (self-signed certificates) and by headless commands that
+ * run without the WebView.
+ */
+
+// ─── Temp files ──────────────────────────────────────────────────────
+
+export function writeStringToFile(text, suffix = '.tmp') {
+	const filePath = `${String(NSTemporaryDirectory())}flow-${String(NSUUID.UUID().UUIDString())}${suffix}`;
+	const nsText = NSString.stringWithString(String(text || ''));
+	const ok = nsText.writeToFile_atomically_encoding_error(
+		filePath,
+		true,
+		NSUTF8StringEncoding,
+		null,
+	);
+	if (!ok) {
+		throw new Error(`Failed to write temporary file: ${filePath}`);
+	}
+	return filePath;
+}
+
+export function writeDataToFile(data, suffix = '.tmp') {
+	const filePath = `${String(NSTemporaryDirectory())}flow-${String(NSUUID.UUID().UUIDString())}${suffix}`;
+	const ok = data.writeToFile_atomically(filePath, true);
+	if (!ok) {
+		throw new Error(`Failed to write temporary file: ${filePath}`);
+	}
+	return filePath;
+}
+
+// ─── curl ────────────────────────────────────────────────────────────
+
+function runCurl(args) {
+	const task = NSTask.alloc().init();
+	task.setLaunchPath('/usr/bin/curl');
+	task.setArguments(args);
+
+	const stdoutPipe = NSPipe.pipe();
+	const stderrPipe = NSPipe.pipe();
+	task.setStandardOutput(stdoutPipe);
+	task.setStandardError(stderrPipe);
+
+	task.launch();
+	task.waitUntilExit();
+
+	const outData = stdoutPipe.fileHandleForReading().readDataToEndOfFile();
+	const errData = stderrPipe.fileHandleForReading().readDataToEndOfFile();
+	const stdout = String(
+		NSString.alloc().initWithData_encoding(outData, NSUTF8StringEncoding) || '',
+	);
+	const stderr = String(
+		NSString.alloc().initWithData_encoding(errData, NSUTF8StringEncoding) || '',
+	);
+
+	return {
+		code: Number(task.terminationStatus()),
+		stdout,
+		stderr,
+	};
+}
+
+/**
+ * Perform an HTTP request through curl.
+ * Accepts a JSON body, a raw binary body (`bodyPath` or `bodyBase64`) or a multipart
+ * payload of files (path or base64) and text fields. With `outputPath` the response
+ * body is written to that file (downloads); `bodyText` is then only set for errors.
+ * @returns {{ ok: boolean, status: number, bodyText: string }}
+ */
+export function performNativeApiRequest(rawPayload) {
+	const payload =
+		typeof rawPayload === 'string' ? JSON.parse(rawPayload || '{}') : rawPayload || {};
+	const {
+		url,
+		method = 'GET',
+		headers = {},
+		body = '',
+		insecure = false,
+		timeoutMs = 120000,
+		multipart = null,
+		bodyPath = null,
+		bodyBase64 = null,
+		outputPath = null,
+	} = payload;
+
+	if (!url) throw new Error('Missing URL for native API request.');
+
+	const timeoutSec = Math.max(1, Math.ceil(Number(timeoutMs) / 1000));
+	const args = [
+		'-sS',
+		'-L',
+		'--connect-timeout',
+		String(timeoutSec),
+		'--max-time',
+		String(timeoutSec),
+		'-X',
+		String(method || 'GET').toUpperCase(),
+	];
+
+	if (insecure) args.push('-k');
+
+	const headerEntries = Object.entries(headers || {});
+	for (const [key, value] of headerEntries) {
+		if (value === undefined || value === null) continue;
+		args.push('-H', `${key}: ${value}`);
+	}
+
+	const tempPaths = [];
+	try {
+		if (multipart && typeof multipart === 'object') {
+			const files = Array.isArray(multipart.files) ? multipart.files : [];
+			for (const file of files) {
+				const fieldName = String(file.name || 'file');
+				const fileName = String(file.filename || 'upload.bin');
+				const contentType = String(file.contentType || 'application/octet-stream');
+
+				let filePath = file.path ? String(file.path) : '';
+				if (!filePath && file.base64) {
+					const rawBase64 = String(file.base64).replace(/^data:[^;]+;base64,/, '');
+					const data = NSData.alloc().initWithBase64EncodedString_options(rawBase64, 0);
+					if (!data)
+						throw new Error(`Invalid base64 payload for multipart file field "${fieldName}"`);
+					filePath = writeDataToFile(data, '.bin');
+					tempPaths.push(filePath);
+				}
+
+				if (!filePath)
+					throw new Error(`Missing file path/base64 for multipart field "${fieldName}"`);
+
+				args.push('-F', `${fieldName}=@${filePath};type=${contentType};filename=${fileName}`);
+			}
+
+			const fields = multipart.fields || {};
+			for (const [fieldName, fieldValue] of Object.entries(fields)) {
+				const fieldPath = writeStringToFile(String(fieldValue ?? ''), '.txt');
+				tempPaths.push(fieldPath);
+				args.push('-F', `${fieldName}=<${fieldPath}`);
+			}
+		} else if (bodyPath) {
+			args.push('--data-binary', `@${bodyPath}`);
+		} else if (bodyBase64) {
+			const data = NSData.alloc().initWithBase64EncodedString_options(String(bodyBase64), 0);
+			if (!data) throw new Error('Invalid base64 request body');
+			const dataPath = writeDataToFile(data, '.bin');
+			tempPaths.push(dataPath);
+			args.push('--data-binary', `@${dataPath}`);
+		} else if (typeof body === 'string' && body.length > 0) {
+			const bodyPath = writeStringToFile(body, '.json');
+			tempPaths.push(bodyPath);
+			args.push('--data-binary', `@${bodyPath}`);
+		}
+
+		if (outputPath) args.push('-o', String(outputPath));
+		args.push(url);
+		args.push('-w', '\n__FLOW_HTTP_CODE__:%{http_code}');
+
+		const result = runCurl(args);
+		const marker = '\n__FLOW_HTTP_CODE__:';
+		const markerIndex = result.stdout.lastIndexOf(marker);
+		if (markerIndex < 0) {
+			const msg = result.stderr || 'Native request failed with unexpected response format.';
+			throw new Error(msg);
+		}
+
+		const bodyText = result.stdout.slice(0, markerIndex);
+		const statusText = result.stdout.slice(markerIndex + marker.length).trim();
+		const status = Number(statusText);
+		if (!Number.isFinite(status) || status <= 0) {
+			const msg = result.stderr || 'Native request failed to parse HTTP status.';
+			throw new Error(msg);
+		}
+
+		const ok = status >= 200 && status < 300;
+		if (outputPath && !ok) {
+			// The error body went to the output file – read it back and drop the file
+			const errorText = NSString.stringWithContentsOfFile_encoding_error(
+				String(outputPath),
+				NSUTF8StringEncoding,
+				null,
+			);
+			tempPaths.push(String(outputPath));
+			return { ok, status, bodyText: String(errorText || '') };
+		}
+
+		return {
+			ok,
+			status,
+			bodyText,
+		};
+	} finally {
+		const fm = NSFileManager.defaultManager();
+		for (const path of tempPaths) {
+			try {
+				fm.removeItemAtPath_error(path, null);
+			} catch (_) {}
+		}
+	}
+}
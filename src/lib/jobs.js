@@ -0,0 +1,182 @@
+/**
+ * Flow Plugin – Durable publish jobs
+ *
+ * Persists the publish queue (version/revision IDs, per-artboard status) and the
+ * extracted data + exported image of every artboard to disk, so an interrupted
+ * publish can be replayed after a crash, sleep or lost connection – even after
+ * Sketch restarts.
+ *
+ * A job lives until its revision is finalized: the phase it reached (screens,
+ * components, tokens, review, finalizing) is persisted too, so a publish that
+ * dies after its last screen still gets finalized on replay.
+ *
+ * Layout: ~/Library/Application Support/Flow/jobs/<jobId>/
+ *   job.json                 – the job (queue, IDs, status, phase)
+ *   <artboardId>.data.json   – extracted ArtboardData
+ *   <artboardId>.image.json  – exported ScreenImage
+ *
+ * Cached artboard payloads are stored with the export options they were made
+ * with and are only reused for the same options.
+ *
+ * @typedef {import('../types/index').PublishJob} PublishJob
+ */
+
+const JOB_FILE = 'job.json';
+
+function jobsDir() {
+	return `${String(NSHomeDirectory())}/Library/Application Support/Flow/jobs/`;
+}
+
+function jobDir(jobId) {
+	return `${jobsDir()}${String(jobId).replace(/[^a-zA-Z0-9_-]/g, '_')}/`;
+}
+
+function artboardFile(jobId, artboardId, kind) {
+	const safeId = String(artboardId).replace(/[^a-zA-Z0-9_-]/g, '_');
+	return `${jobDir(jobId)}${safeId}.${kind}.json`;
+}
+
+function ensureDir(path) {
+	const fileManager = NSFileManager.defaultManager();
+	if (!fileManager.fileExistsAtPath(path)) {
+		fileManager.createDirectoryAtPath_withIntermediateDirectories_attributes_error(
+			path,
+			true,
+			null,
+			null,
+		);
+	}
+}
+
+function writeText(path, text) {
+	const nsText = NSString.stringWithString(String(text));
+	const ok = nsText.writeToFile_atomically_encoding_error(path, true, NSUTF8StringEncoding, null);
+	if (!ok) throw new Error(`Failed to write publish job file: ${path}`);
+}
+
+function readText(path) {
+	if (!NSFileManager.defaultManager().fileExistsAtPath(path)) return null;
+	const text = NSString.stringWithContentsOfFile_encoding_error(path, NSUTF8StringEncoding, null);
+	return text ? String(text) : null;
+}
+
+function readJson(path) {
+	const text = readText(path);
+	if (!text) return null;
+	try {
+		return JSON.parse(text);
+	} catch (e) {
+		return null;
+	}
+}
+
+// ─── Jobs ────────────────────────────────────────────────────────────
+
+/**
+ * Create or replace a job.
+ * @param {PublishJob} job
+ */
+export function saveJob(job) {
+	if (!job || !job.id) throw new Error('Publish job is missing an id');
+	ensureDir(jobDir(job.id));
+	writeText(`${jobDir(job.id)}${JOB_FILE}`, JSON.stringify({ ...job, updatedAt: Date.now() }));
+}
+
+/**
+ * @param {string} jobId
+ * @returns {PublishJob|null}
+ */
+export function loadJob(jobId) {
+	return readJson(`${jobDir(jobId)}${JOB_FILE}`);
+}
+
+/**
+ * Unfinished jobs, most recently updated first, optionally limited to one
+ * document. Directories of finished or unreadable jobs are removed on the way.
+ * @param {string} [documentId]
+ * @returns {PublishJob[]}
+ */
+export function getPendingJobs(documentId) {
+	const fileManager = NSFileManager.defaultManager();
+	const entries = fileManager.contentsOfDirectoryAtPath_error(jobsDir(), null);
+	if (!entries) return [];
+
+	const jobs = [];
+	for (let i = 0, len = entries.count(); i < len; i++) {
+		const entry = String(entries.objectAtIndex(i));
+		const job = loadJob(entry);
+		// Unreadable, or finalized but the publish ended before the job could be deleted
+		if (!job || !job.id || job.phase === 'done') {
+			fileManager.removeItemAtPath_error(`${jobsDir()}${entry}`, null);
+			continue;
+		}
+		if (documentId && job.documentId !== documentId) continue;
+		jobs.push(job);
+	}
+	return jobs.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+/**
+ * Record the status of one queue item.
+ * @param {string} jobId
+ * @param {string} artboardId
+ * @param {string} status
+ * @param {string} [error]
+ */
+export function updateJobItem(jobId, artboardId, status, error) {
+	const job = loadJob(jobId);
+	if (!job) return;
+	job.queue = (job.queue || []).map((item) =>
+		item.id === artboardId ? { ...item, status, error: error || undefined } : item,
+	);
+	saveJob(job);
+}
+
+/**
+ * Record the pipeline phase a job has reached.
+ * @param {string} jobId
+ * @param {import('../types/index').PublishJobPhase} phase
+ * @param {Partial<PublishJob>} [fields] - results of the earlier phases (the token changelog)
+ */
+export function updateJobPhase(jobId, phase, fields) {
+	const job = loadJob(jobId);
+	if (!job) return;
+	saveJob({ ...job, ...fields, phase });
+}
+
+/** Remove a job and everything cached for it (after success or cancel) */
+export function deleteJob(jobId) {
+	const path = jobDir(jobId);
+	const fileManager = NSFileManager.defaultManager();
+	if (fileManager.fileExistsAtPath(path)) {
+		fileManager.removeItemAtPath_error(path, null);
+	}
+}
+
+// ─── Cached artboard payloads ────────────────────────────────────────
+
+/**
+ * Cache the extracted data ('data') or exported image ('image') of an artboard.
+ * @param {string} jobId
+ * @param {string} artboardId
+ * @param {'data'|'image'} kind
+ * @param {any} value - ArtboardData for 'data', a ScreenImage for 'image'
+ * @param {string} exportKey - the export options the value was made with
+ */
+export function saveJobArtboard(jobId, artboardId, kind, value, exportKey) {
+	ensureDir(jobDir(jobId));
+	writeText(artboardFile(jobId, artboardId, kind), JSON.stringify({ exportKey, value }));
+}
+
+/**
+ * @param {string} jobId
+ * @param {string} artboardId
+ * @param {'data'|'image'} kind
+ * @param {string|null} exportKey - the artboard's current export options
+ * @returns {any|null} null when nothing is cached for these export options
+ */
+export function loadJobArtboard(jobId, artboardId, kind, exportKey) {
+	const cached = readJson(artboardFile(jobId, artboardId, kind));
+	if (!cached || !exportKey || cached.exportKey !== exportKey) return null;
+	return cached.value;
+}
@@ -0,0 +1,156 @@
+/**
+ * Flow Plugin – Layer value conversions
+ *
+ * Pure conversions from the values Sketch reports (AppKit font weights,
+ * resizing masks, layout enums, normalized path points) to the published
+ * layer data. Kept free of the sketch API so they can be unit tested;
+ * ./extract reads the native values and passes them in.
+ *
+ * @typedef {import('../types/index').StackLayoutData} StackLayoutData
+ * @typedef {import('../types/index').SmartLayoutData} SmartLayoutData
+ * @typedef {import('../types/index').ResizingConstraints} ResizingConstraints
+ * @typedef {import('../types/index').TextBehaviour} TextBehaviour
+ */
+
+// ─── Text ────────────────────────────────────────────────────────────
+
+/** AppKit font weights (NSFontManager, 0–12; 5 = regular, 9 = bold) → CSS font weights */
+const APPKIT_TO_CSS_WEIGHT = [100, 100, 100, 200, 300, 400, 500, 600, 600, 700, 800, 900, 900];
+
+/**
+ * CSS font weight for an AppKit weight – what both NSFontManager and the JS
+ * API's `Style.fontWeight` report.
+ * @param {number|null} appKitWeight
+ * @returns {number|null}
+ */
+export function cssFontWeight(appKitWeight) {
+	if (appKitWeight === null || Number.isNaN(Number(appKitWeight))) return null;
+	return APPKIT_TO_CSS_WEIGHT[Math.min(Math.max(Math.round(Number(appKitWeight)), 0), 12)];
+}
+
+/** Sketch's native text behaviour: 0 = auto width, 1 = fixed width (auto height), 2 = fixed size */
+const TEXT_BEHAVIOURS = ['autoWidth', 'autoHeight', 'fixed'];
+
+/**
+ * @param {number|null} behaviour - native `textBehaviour()`, null when unavailable
+ * @param {boolean} fixedWidth - the JS API's `Text.fixedWidth`, used as fallback
+ * @returns {TextBehaviour}
+ */
+export function textBehaviourName(behaviour, fixedWidth) {
+	if (behaviour !== null && TEXT_BEHAVIOURS[behaviour]) return TEXT_BEHAVIOURS[behaviour];
+	return fixedWidth ? 'autoHeight' : 'autoWidth';
+}
+
+const RUN_STYLE_KEYS = [
+	'fontName',
+	'fontSize',
+	'fontWeight',
+	'fontStyle',
+	'textColor',
+	'letterSpacing',
+	'lineHeight',
+	'textDecoration',
+	'textTransform',
+];
+
+/** Whether two text runs look the same – adjacent runs that do are merged */
+export function sameRunStyle(a, b) {
+	for (let i = 0; i < RUN_STYLE_KEYS.length; i++) {
+		if (a[RUN_STYLE_KEYS[i]] !== b[RUN_STYLE_KEYS[i]]) return false;
+	}
+	return true;
+}
+
+// ─── Layout ──────────────────────────────────────────────────────────
+
+const LAYOUT_DIRECTIONS = ['horizontal', 'vertical'];
+const LAYOUT_ANCHORS = ['start', 'center', 'end'];
+const STACK_JUSTIFY = ['start', 'center', 'end', 'spaceBetween'];
+const STACK_ALIGN = ['start', 'center', 'end', 'stretch'];
+
+/**
+ * Stack Layout from MSFlexGroupLayout's native enum values.
+ * @param {{ direction: number, gap: number, padding: StackLayoutData['padding'], justifyContent: number, alignItems: number, wrap: boolean }} native
+ * @returns {StackLayoutData}
+ */
+export function stackLayout(native) {
+	return {
+		type: 'stack',
+		direction: LAYOUT_DIRECTIONS[native.direction] || 'horizontal',
+		gap: native.gap,
+		padding: native.padding,
+		justifyContent: STACK_JUSTIFY[native.justifyContent] || 'start',
+		alignItems: STACK_ALIGN[native.alignItems] || 'start',
+		wrap: native.wrap,
+	};
+}
+
+/**
+ * Smart Layout from MSInferredGroupLayout's native enum values.
+ * @param {number} axis
+ * @param {number} anchor
+ * @returns {SmartLayoutData}
+ */
+export function smartLayout(axis, anchor) {
+	return {
+		type: 'smart',
+		direction: LAYOUT_DIRECTIONS[axis] || 'horizontal',
+		anchor: LAYOUT_ANCHORS[anchor] || 'start',
+	};
+}
+
+// Sketch stores resizing constraints as a 6-bit mask where a CLEARED bit means
+// the constraint is active (63 = no constraints).
+const RESIZE_RIGHT = 1;
+const RESIZE_WIDTH = 2;
+const RESIZE_LEFT = 4;
+const RESIZE_BOTTOM = 8;
+const RESIZE_HEIGHT = 16;
+const RESIZE_TOP = 32;
+
+/**
+ * Pin / fixed-size resizing constraints relative to the parent.
+ * @param {number|null} mask - native `resizingConstraint()`
+ * @returns {ResizingConstraints|null}
+ */
+export function resizingConstraints(mask) {
+	if (mask === null || Number.isNaN(mask)) return null;
+	return {
+		pinLeft: (mask & RESIZE_LEFT) === 0,
+		pinRight: (mask & RESIZE_RIGHT) === 0,
+		pinTop: (mask & RESIZE_TOP) === 0,
+		pinBottom: (mask & RESIZE_BOTTOM) === 0,
+		fixedWidth: (mask & RESIZE_WIDTH) === 0,
+		fixedHeight: (mask & RESIZE_HEIGHT) === 0,
+	};
+}
+
+// ─── Vector Geometry ─────────────────────────────────────────────────
+
+export const round2 = (v) => Math.round(Number(v) * 100) / 100;
+
+/**
+ * The JS API's `booleanOperation` of a path; layers without one (outside a
+ * combined Shape, older documents) report `none`.
+ * @param {any} operation
+ * @returns {string}
+ */
+export function booleanOperationName(operation) {
+	return operation == null || operation === '' ? 'none' : String(operation);
+}
+
+/**
+ * A path point in Sketch's normalized (0–1) coordinates → pixels in the layer's
+ * own frame.
+ * @param {{ x: number, y: number }|null|undefined} point
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ x: number, y: number }|null} null for a missing or malformed point
+ */
+export function pointToPx(point, width, height) {
+	if (!point) return null;
+	const x = Number(point.x);
+	const y = Number(point.y);
+	if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+	return { x: round2(x * width), y: round2(y * height) };
+}
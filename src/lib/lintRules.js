@@ -0,0 +1,240 @@
+/**
+ * Flow Plugin – Design lint rules
+ *
+ * Configurable rules run over the extracted layer trees before a publish. The
+ * team's rule config is stored on the project (`GET /projects/:id/lint-config`);
+ * rules at severity `error` block publishing. Kept free of the sketch API so the
+ * panel (`webview/lib/lint`) and the quick publish commands run the same rules.
+ *
+ * Hidden layers are skipped with their children – they are not published.
+ *
+ * @typedef {import('../types/index').ArtboardMeta} ArtboardMeta
+ * @typedef {import('../types/index').DesignTokens} DesignTokens
+ * @typedef {import('../types/index').LayerData} LayerData
+ * @typedef {import('../types/index').LintConfig} LintConfig
+ * @typedef {import('../types/index').LintResult} LintResult
+ * @typedef {import('../types/index').LintRuleId} LintRuleId
+ * @typedef {import('../types/index').LintSeverity} LintSeverity
+ */
+
+/**
+ * Rules in the order the lint report explains them
+ * @type {{ id: LintRuleId, label: string }[]}
+ */
+export const LINT_RULES = [
+	{ id: 'text-style', label: 'Text without a shared text style' },
+	{ id: 'color-token', label: 'Colors that are not design tokens' },
+	{ id: 'fractional-frame', label: 'Fractional frame values' },
+	{ id: 'off-grid-spacing', label: 'Positions off the spacing grid' },
+	{ id: 'default-layer-name', label: 'Default layer names' },
+	{ id: 'approved-fonts', label: 'Fonts outside the approved list' },
+	{ id: 'empty-group', label: 'Empty groups' },
+];
+
+/** @type {LintSeverity[]} */
+const SEVERITIES = ['off', 'info', 'warning', 'error'];
+
+/** @type {LintConfig} */
+export const DEFAULT_LINT_CONFIG = {
+	rules: {
+		'text-style': 'warning',
+		'color-token': 'warning',
+		'fractional-frame': 'warning',
+		'off-grid-spacing': 'off',
+		'default-layer-name': 'info',
+		'approved-fonts': 'off',
+		'empty-group': 'warning',
+	},
+	gridSize: 8,
+	approvedFonts: [],
+};
+
+/** Sketch's names for new layers: "Rectangle", "Rectangle Copy 2", "Oval 12"… */
+const DEFAULT_LAYER_NAME =
+	/^(Rectangle|Oval|Line|Arrow|Triangle|Star|Polygon|Group|Path|Shape|Combined Shape|Vector|Image|Bitmap)( Copy)?( \d+)?$/;
+
+/** Frame values are compared with this tolerance (Sketch stores floats) */
+const EPSILON = 0.001;
+
+/**
+ * Merge a (partial, possibly hand-edited) server config over the defaults
+ * @param {Partial<LintConfig> | null | undefined} raw
+ * @returns {LintConfig}
+ */
+export function normalizeLintConfig(raw) {
+	const rules = { ...DEFAULT_LINT_CONFIG.rules };
+	for (const { id } of LINT_RULES) {
+		const severity = raw && raw.rules ? raw.rules[id] : undefined;
+		if (severity && SEVERITIES.includes(severity)) rules[id] = severity;
+	}
+	const gridSize = Number(raw && raw.gridSize);
+	return {
+		rules,
+		gridSize: Number.isFinite(gridSize) && gridSize > 0 ? gridSize : DEFAULT_LINT_CONFIG.gridSize,
+		approvedFonts:
+			raw && Array.isArray(raw.approvedFonts)
+				? raw.approvedFonts.filter((font) => typeof font === 'string' && font.trim())
+				: [],
+	};
+}
+
+/** `#rrggbbaa` → lowercase hex without an opaque alpha (as `webview/lib/tokens` compares colors) */
+function normalizeColor(color) {
+	if (!color) return null;
+	const value = String(color).trim().toLowerCase();
+	if (/^#[0-9a-f]{8}$/.test(value) && value.endsWith('ff')) return value.slice(0, 7);
+	return value;
+}
+
+function isFractional(value) {
+	return Math.abs(value - Math.round(value)) > EPSILON;
+}
+
+function isOffGrid(value, gridSize) {
+	const rest = Math.abs(value) % gridSize;
+	return rest > EPSILON && gridSize - rest > EPSILON;
+}
+
+/**
+ * @param {LayerData} layer
+ * @returns {string[]}
+ */
+function layerColors(layer) {
+	const style = layer.style;
+	const colors = [
+		...((style && style.fills) || [])
+			.filter((f) => f.fillType === 'Color' && !f.swatchId)
+			.map((f) => f.color),
+		...((style && style.borders) || [])
+			.filter((b) => b.fillType === 'Color' && !b.swatchId)
+			.map((b) => b.color),
+	];
+	if (layer.textStyle && !layer.textStyle.textColorSwatchId) colors.push(layer.textStyle.textColor);
+	return colors.filter((color) => !!color);
+}
+
+/**
+ * Lint one artboard's layer tree.
+ * @param {LayerData[]} layers - `ArtboardData.layers`
+ * @param {Pick<ArtboardMeta, 'id' | 'documentId'>} artboard
+ * @param {DesignTokens} tokens
+ * @param {LintConfig} config
+ * @returns {LintResult[]}
+ */
+export function lintLayers(layers, artboard, tokens, config) {
+	const { rules, gridSize } = config;
+	const tokenColors = new Set(
+		(tokens.colors || []).map((swatch) => normalizeColor(swatch.color)).filter(Boolean),
+	);
+	const approvedFonts = new Set(config.approvedFonts.map((font) => font.toLowerCase()));
+	/** @type {LintResult[]} */
+	const results = [];
+
+	/**
+	 * @param {LayerData} layer
+	 * @param {LintRuleId} ruleId
+	 * @param {string} message
+	 */
+	const report = (layer, ruleId, message) => {
+		const severity = rules[ruleId];
+		if (severity === 'off') return;
+		results.push({
+			ruleId,
+			severity,
+			artboardId: artboard.id,
+			documentId: artboard.documentId,
+			layerId: layer.id,
+			layerName: layer.name,
+			message,
+		});
+	};
+
+	/** @param {LayerData[]} list */
+	const walk = (list) => {
+		for (const layer of list) {
+			if (!layer.isVisible) continue;
+			const isText = layer.type === 'Text';
+			const sharedStyle = !!layer.sharedStyleId && layer.sharedStyleStatus !== 'detached';
+
+			if (isText && !sharedStyle) {
+				report(layer, 'text-style', 'Text does not use a shared text style');
+			}
+
+			if (!sharedStyle && tokenColors.size > 0) {
+				const color = layerColors(layer).find((c) => !tokenColors.has(normalizeColor(c)));
+				if (color) report(layer, 'color-token', `${color} is not one of the design token colors`);
+			}
+
+			const { x, y, width, height } = layer.frame;
+			const fractional = Object.entries({ x, y, width, height }).filter(([, v]) => isFractional(v));
+			const reportsFractions = fractional.length > 0 && rules['fractional-frame'] !== 'off';
+			if (reportsFractions) {
+				report(
+					layer,
+					'fractional-frame',
+					`Fractional ${fractional.map(([key, v]) => `${key} ${Math.round(v * 100) / 100}`).join(', ')}`,
+				);
+			}
+			// A fractional position is off-grid too – it is reported once, as a fraction
+			const fractionalPosition =
+				reportsFractions && fractional.some(([key]) => key === 'x' || key === 'y');
+			if (!fractionalPosition && (isOffGrid(x, gridSize) || isOffGrid(y, gridSize))) {
+				report(layer, 'off-grid-spacing', `Position ${x}, ${y} is off the ${gridSize}px grid`);
+			}
+
+			if (!isText && DEFAULT_LAYER_NAME.test(layer.name.trim())) {
+				report(layer, 'default-layer-name', `"${layer.name}" is a default layer name`);
+			}
+
+			if (isText && approvedFonts.size > 0) {
+				const fonts = new Set(
+					[
+						layer.textStyle ? layer.textStyle.fontFamily : null,
+						...(layer.textRuns || []).map((run) => run.fontFamily),
+					]
+						.filter((font) => !!font)
+						.filter((font) => !approvedFonts.has(font.toLowerCase())),
+				);
+				if (fonts.size > 0) {
+					report(layer, 'approved-fonts', `${[...fonts].join(', ')} is not an approved font`);
+				}
+			}
+
+			if (layer.type === 'Group' && !(layer.children && layer.children.length > 0)) {
+				report(layer, 'empty-group', 'Group has no layers');
+			}
+
+			if (layer.children && layer.children.length > 0) walk(layer.children);
+		}
+	};
+	walk(layers);
+	return results;
+}
+
+/**
+ * @param {LintResult[]} results
+ * @returns {Record<Exclude<LintSeverity, 'off'>, number>}
+ */
+export function countLintResults(results) {
+	const counts = { error: 0, warning: 0, info: 0 };
+	for (const result of results) counts[result.severity]++;
+	return counts;
+}
+
+/**
+ * Results at severity `error` for the given artboards – these block publishing
+ * @param {LintResult[]} results
+ * @param {Set<string>} artboardIds
+ * @returns {LintResult[]}
+ */
+export function blockingLintResults(results, artboardIds) {
+	return results.filter((r) => r.severity === 'error' && artboardIds.has(r.artboardId));
+}
+
+/**
+ * @param {LintConfig} config
+ * @returns {boolean}
+ */
+export function hasBlockingRules(config) {
+	return Object.values(config.rules).includes('error');
+}
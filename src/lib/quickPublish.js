@@ -0,0 +1,400 @@
+/**
+ * Flow Plugin – Quick publish
+ *
+ * Headless publish for small, frequent fixes: reuses the saved server, token and
+ * last project, creates a revision with an auto-generated note and publishes the
+ * selected artboards (or every artboard that changed since the last publish)
+ * without opening the WebView. Progress is reported through `sketch.UI.message`.
+ *
+ * Unchanged artboards are carried forward by content hash, exactly like the
+ * WebView pipeline. W3C / code serializations of tokens are produced by the
+ * WebView only, so quick publish uploads the raw design tokens. The project's
+ * blocking design lint rules are enforced the same way as in the WebView.
+ *
+ * "Publish to Flow (preset)…" runs the same publish with a preset saved in the
+ * document: its project, artboards, export scale, tokens toggle and note.
+ *
+ * @typedef {import('../types/index').PublishPreset} PublishPreset
+ */
+import sketch from 'sketch';
+import {
+	extractDocument,
+	extractArtboardData,
+	exportArtboardImage,
+	exportLayerAsset,
+	invalidateCache,
+} from './extract';
+import {
+	fetchProjectDetail,
+	fetchLintConfig,
+	createVersion,
+	checkoutHandoffLock,
+	releaseHandoffLock,
+	createRevision,
+	uploadCurrentSketchFile,
+	uploadScreen,
+	uploadScreenAsset,
+	carryForwardScreen,
+	uploadTokens,
+	finalizeRevision,
+} from './api';
+import {
+	getServerUrl,
+	getAuthToken,
+	getLastProjectId,
+	getExportScale,
+	getIgnoreSslErrors,
+	getContentHashes,
+	saveContentHashes,
+	getPublishPresets,
+	setLastPublishTime,
+} from './settings';
+import { countExcludedContent } from './exclusions';
+import {
+	blockingLintResults,
+	hasBlockingRules,
+	lintLayers,
+	normalizeLintConfig,
+} from './lintRules';
+
+const message = (text) => sketch.UI.message(`Flow: ${text}`);
+
+/** Let Sketch redraw (and show UI messages) between blocking steps */
+const yieldToUI = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * IDs of the artboards containing the current selection.
+ * @param {any} document
+ * @returns {Set<string>}
+ */
+function getSelectedArtboardIds(document) {
+	const ids = new Set();
+	const layers = document.selectedLayers ? document.selectedLayers.layers : [];
+	for (const layer of layers) {
+		const artboard = layer.type === 'Artboard' ? layer : layer.getParentArtboard();
+		if (artboard) ids.add(artboard.id);
+	}
+	return ids;
+}
+
+/** Every configured export format of every layer in an extracted tree */
+function collectExportAssets(layers, result = []) {
+	for (const layer of layers) {
+		for (const format of layer.exportFormats || []) {
+			result.push({ layerId: layer.id, layerName: layer.name, format });
+		}
+		if (layer.children) collectExportAssets(layer.children, result);
+	}
+	return result;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive `*` wildcard match against `Page/Artboard`, or against the
+ * artboard name alone when the pattern has no `/`. Mirrors the WebView's `lib/presets.ts`.
+ */
+function matchesArtboardPattern(pattern, artboard) {
+	const text = pattern.includes('/') ? `${artboard.pageName}/${artboard.name}` : artboard.name;
+	const source = pattern.split('*').map(escapeRegExp).join('.*');
+	return new RegExp(`^${source}$`, 'i').test(text);
+}
+
+/**
+ * Artboards a preset publishes: those matching its pattern, or its saved IDs.
+ * @param {PublishPreset} preset
+ * @param {any[]} artboards - ArtboardMeta
+ */
+function getPresetArtboards(preset, artboards) {
+	const patterns = String(preset.artboardPattern || '')
+		.split(',')
+		.map((pattern) => pattern.trim())
+		.filter(Boolean);
+	if (patterns.length > 0) {
+		return artboards.filter((a) => patterns.some((pattern) => matchesArtboardPattern(pattern, a)));
+	}
+	const ids = new Set(preset.artboardIds || []);
+	return artboards.filter((a) => ids.has(a.id));
+}
+
+/** Fill `{preset}`, `{count}` and `{date}` into a preset's note template */
+function renderNoteTemplate(template, values) {
+	return String(template).replace(/\{(preset|count|date)\}/g, (_, key) => String(values[key]));
+}
+
+/** Ask which of the document's presets to publish with */
+function choosePreset(presets) {
+	return new Promise((resolve) => {
+		sketch.UI.getInputFromUser(
+			'Publish to Flow with preset',
+			{
+				type: sketch.UI.INPUT_TYPE.selection,
+				possibleValues: presets.map((preset) => preset.name),
+			},
+			(err, value) => {
+				resolve(err ? null : presets.find((preset) => preset.name === value) || null);
+			},
+		);
+	});
+}
+
+/** The most recent version of the project, or a new one when it has none */
+function getOrCreateVersion(projectId) {
+	const project = fetchProjectDetail(projectId);
+	const versions = (project && project.versions) || [];
+	if (versions.length > 0) {
+		return versions.reduce((latest, v) => (v.number > latest.number ? v : latest));
+	}
+	return createVersion(projectId);
+}
+
+/**
+ * Pick one of the document's publish presets and publish with it.
+ */
+export async function presetPublish() {
+	const document = sketch.Document.getSelectedDocument();
+	if (!document) {
+		message('open a Sketch document first.');
+		return;
+	}
+	const presets = getPublishPresets(document);
+	if (presets.length === 0) {
+		message('save a preset in "Publish to Flow" first.');
+		return;
+	}
+	const preset = await choosePreset(presets);
+	if (preset) await quickPublish(preset);
+}
+
+/**
+ * Run the project's design lint before publishing when its config has blocking
+ * (`error`) rules, like the WebView does. Throws when the lint cannot run; a
+ * config that cannot be loaded is skipped with a note.
+ * @param {string} projectId
+ * @param {any[]} targets - artboards to publish
+ * @param {import('../types/index').DesignTokens | null} designTokens
+ * @param {number} scale
+ * @returns {Promise<{ blocking: number, note: string, extracted: Map<string, any> }>}
+ *   extracted artboard data is reused by the publish
+ */
+async function runBlockingLint(projectId, targets, designTokens, scale) {
+	const extracted = new Map();
+	let config;
+	try {
+		config = normalizeLintConfig(fetchLintConfig(projectId));
+	} catch (err) {
+		return { blocking: 0, note: ' Design lint skipped (config not loaded).', extracted };
+	}
+	if (!hasBlockingRules(config)) return { blocking: 0, note: '', extracted };
+
+	message('running design lint…');
+	await yieldToUI();
+	const tokens = designTokens || { colors: [], textStyles: [], layerStyles: [] };
+	const results = [];
+	targets.forEach((artboard) => {
+		const data = extractArtboardData(artboard.id, scale);
+		extracted.set(artboard.id, data);
+		results.push(...lintLayers(data.layers || [], artboard, tokens, config));
+	});
+	const ids = new Set(targets.map((artboard) => artboard.id));
+	return { blocking: blockingLintResults(results, ids).length, note: '', extracted };
+}
+
+/**
+ * @param {PublishPreset | null} [preset] - publish the preset's artboards to its
+ *   project instead of the selection (or changed artboards) to the last project
+ */
+export async function quickPublish(preset = null) {
+	const document = sketch.Document.getSelectedDocument();
+	if (!document) {
+		message('open a Sketch document first.');
+		return;
+	}
+	if (!getServerUrl() || !getAuthToken()) {
+		message('sign in with "Publish to Flow" first.');
+		return;
+	}
+	const projectId = preset ? preset.projectId : getLastProjectId();
+	if (!projectId) {
+		message('pick a project with "Publish to Flow" first.');
+		return;
+	}
+	if (!document.path) {
+		message('save the document before publishing.');
+		return;
+	}
+
+	invalidateCache();
+	const documentData = extractDocument();
+	const artboards = [];
+	for (const page of documentData.pages) {
+		for (const artboard of page.artboards) {
+			// Presets may name symbol masters explicitly, like the panel's selection
+			if (preset || !artboard.isSymbolMaster) artboards.push(artboard);
+		}
+	}
+
+	const selectedIds = preset ? new Set() : getSelectedArtboardIds(document);
+	const targets = preset
+		? getPresetArtboards(preset, artboards)
+		: selectedIds.size > 0
+			? artboards.filter((a) => selectedIds.has(a.id))
+			: artboards;
+	if (targets.length === 0) {
+		message(
+			preset ? `no artboards match the "${preset.name}" preset.` : 'no artboards to publish.',
+		);
+		return;
+	}
+
+	const scale = preset && preset.exportScale ? preset.exportScale : getExportScale();
+	let lint;
+	try {
+		lint = await runBlockingLint(projectId, targets, documentData.designTokens, scale);
+	} catch (err) {
+		message(
+			`design lint could not run (${err.message || err}) – its error rules block publishing.`,
+		);
+		return;
+	}
+	if (lint.blocking > 0) {
+		message(
+			`${lint.blocking} design lint error${lint.blocking !== 1 ? 's' : ''} block publishing – see Design lint in "Publish to Flow".`,
+		);
+		return;
+	}
+
+	const storedHashes = getContentHashes(document);
+	let lockAcquired = false;
+	let uploaded = 0;
+	let unchanged = 0;
+	let stripped = 0;
+	let failedAssets = 0;
+	// The .sketch file cannot be stripped – it is left out while it holds excluded content
+	const excluded = countExcludedContent(document);
+	const uploadFile = excluded.pages === 0 && excluded.layers === 0;
+
+	try {
+		message('preparing revision…');
+		await yieldToUI();
+
+		const version = getOrCreateVersion(projectId);
+		const versionId = version.id;
+		checkoutHandoffLock(projectId, { versionId });
+		lockAcquired = true;
+
+		const scope = preset
+			? `"${preset.name}" preset`
+			: selectedIds.size > 0
+				? `${targets.length} selected artboard${targets.length !== 1 ? 's' : ''}`
+				: 'changed artboards';
+		const note =
+			preset && preset.noteTemplate
+				? renderNoteTemplate(preset.noteTemplate, {
+						preset: preset.name,
+						count: targets.length,
+						date: new Date().toLocaleString(),
+					})
+				: `Quick publish – ${scope} (${new Date().toLocaleString()})`;
+		const revision = createRevision(projectId, versionId, { note });
+		const revisionId = revision.id;
+
+		if (uploadFile) {
+			message('uploading Sketch file…');
+			await yieldToUI();
+			await uploadCurrentSketchFile(
+				{
+					serverUrl: getServerUrl(),
+					authToken: getAuthToken(),
+					projectId,
+					versionId,
+					revisionId,
+					revisionNumber: revision.revisionNumber,
+					ignoreSslErrors: getIgnoreSslErrors(),
+				},
+				(sentBytes, totalBytes) => {
+					if (totalBytes > 0)
+						message(`uploading Sketch file… ${Math.round((sentBytes / totalBytes) * 100)}%`);
+				},
+			);
+		}
+		checkoutHandoffLock(projectId, { versionId, revisionId });
+
+		for (let i = 0; i < targets.length; i++) {
+			const artboard = targets[i];
+			message(`${i + 1}/${targets.length} ${artboard.name}`);
+			await yieldToUI();
+
+			const data = lint.extracted.get(artboard.id) || extractArtboardData(artboard.id, scale);
+			stripped += data.excludedLayers.length;
+			const screen = {
+				sketchId: artboard.id,
+				name: artboard.name,
+				pageName: artboard.pageName,
+				displayOrder: artboard.displayOrder,
+				isFlowHome: artboard.isFlowHome || false,
+				revisionId,
+				contentHash: data.contentHash,
+			};
+
+			if (
+				storedHashes[artboard.id] === data.contentHash &&
+				carryForwardScreen(projectId, versionId, screen)
+			) {
+				unchanged++;
+				continue;
+			}
+
+			uploadScreen(projectId, versionId, {
+				...screen,
+				width: artboard.width,
+				height: artboard.height,
+				image: exportArtboardImage(artboard.id, scale),
+				layers: data.layers,
+				flows: data.flows,
+				prototype: data.prototype,
+			});
+			for (const request of collectExportAssets(data.layers)) {
+				try {
+					const asset = exportLayerAsset(artboard.id, request.layerId, request.format);
+					uploadScreenAsset(projectId, versionId, artboard.id, asset, revisionId);
+				} catch (err) {
+					// The screen is already uploaded – a missing asset must not fail the publish
+					console.warn(`[quickPublish] Asset ${request.layerName} skipped: ${err.message || err}`);
+					failedAssets++;
+				}
+			}
+			saveContentHashes(document, { [artboard.id]: data.contentHash });
+			uploaded++;
+		}
+
+		message('finalizing…');
+		await yieldToUI();
+		if (documentData.designTokens && (!preset || preset.includeTokens !== false)) {
+			uploadTokens(projectId, versionId, documentData.designTokens);
+		}
+		finalizeRevision(projectId, versionId, revisionId);
+		releaseHandoffLock(projectId);
+		lockAcquired = false;
+		setLastPublishTime();
+
+		const strippedNote =
+			stripped > 0 ? ` ${stripped} excluded layer${stripped !== 1 ? 's' : ''} stripped.` : '';
+		const assetNote =
+			failedAssets > 0
+				? ` ${failedAssets} asset${failedAssets !== 1 ? 's' : ''} could not be published.`
+				: '';
+		const fileNote = uploadFile ? '' : ' Sketch file not uploaded (it has excluded content).';
+		message(
+			`✅ published r${revision.revisionNumber}: ${uploaded} uploaded, ${unchanged} unchanged.${strippedNote}${assetNote}${fileNote}${lint.note}`,
+		);
+	} catch (err) {
+		message(`publish failed – ${err.message || err}`);
+	} finally {
+		if (lockAcquired) {
+			try {
+				releaseHandoffLock(projectId);
+			} catch (_) {}
+		}
+	}
+}
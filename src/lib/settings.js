@@ -3,6 +3,10 @@
  * Uses Sketch's persistent Settings API to store server URL, auth token, etc.
  *
  * @typedef {import('../types/index').PluginSettings} PluginSettings
+ * @typedef {import('../types/index').PublishPreset} PublishPreset
+ * @typedef {import('../types/index').ScreenExportOverride} ScreenExportOverride
+ * @typedef {import('../types/index').ExclusionRules} ExclusionRules
+ * @typedef {import('../types/index').CheckinRecord} CheckinRecord
  */
 import Settings from 'sketch/settings';
 
@@ -15,6 +19,16 @@ const KEYS = {
 	LAST_PUBLISH_TIME: 'Flow.lastPublishTime',
 	EXPORT_SCALE: 'Flow.exportScale',
 	IGNORE_SSL_ERRORS: 'Flow.ignoreSslErrors',
+	HELD_HANDOFF_LOCK: 'Flow.heldHandoffLock',
+	// Per-document (stored in the document's user info)
+	CONTENT_HASHES: 'Flow.contentHashes',
+	PUBLISH_PRESETS: 'Flow.publishPresets',
+	PAGE_EXPORT_OPTIONS: 'Flow.pageExportOptions',
+	EXCLUSION_RULES: 'Flow.exclusionRules',
+	CHECKIN: 'Flow.checkin',
+	// Per-layer (stored in the layer's user info)
+	EXPORT_OPTIONS: 'Flow.exportOptions',
+	EXCLUDED: 'Flow.excluded',
 };
 
 const DEFAULT_EXPORT_SCALE = 2;
@@ -31,6 +45,35 @@ function normalizeExportScale(scale) {
 	return rounded;
 }
 
+const SCREEN_FORMATS = ['png', 'jpg', 'webp'];
+// Smaller tiles would turn a long page into hundreds of uploads
+const MIN_TILE_HEIGHT = 256;
+
+/**
+ * Keep only the known, valid fields of an export override.
+ * @param {any} override
+ * @returns {ScreenExportOverride | null} null when nothing is overridden
+ */
+export function normalizeExportOverride(override) {
+	if (!override || typeof override !== 'object') return null;
+	/** @type {ScreenExportOverride} */
+	const result = {};
+	const format = String(override.format || '').toLowerCase();
+	if (SCREEN_FORMATS.includes(format)) result.format = format;
+	if (override.scale != null && override.scale !== '') {
+		result.scale = normalizeExportScale(override.scale);
+	}
+	const quality = Math.round(Number(override.quality));
+	if (override.quality != null && Number.isFinite(quality) && quality > 0) {
+		result.quality = Math.min(quality, 100);
+	}
+	const tileHeight = Math.round(Number(override.tileHeight));
+	if (override.tileHeight != null && Number.isFinite(tileHeight) && tileHeight > 0) {
+		result.tileHeight = Math.max(tileHeight, MIN_TILE_HEIGHT);
+	}
+	return Object.keys(result).length > 0 ? result : null;
+}
+
 // ─── Server URL ──────────────────────────────────────────────────────
 
 /** @returns {string} */
@@ -100,6 +143,21 @@ export function setLastPublishTime() {
 	Settings.setSettingForKey(KEYS.LAST_PUBLISH_TIME, new Date().toISOString());
 }
 
+// ─── Held Handoff Lock ───────────────────────────────────────────────
+
+/**
+ * Project whose handoff lock the panel holds – released when the panel closes.
+ * @returns {string}
+ */
+export function getHeldHandoffLock() {
+	return Settings.settingForKey(KEYS.HELD_HANDOFF_LOCK) || '';
+}
+
+/** @param {string} projectId - '' once the lock is released */
+export function setHeldHandoffLock(projectId) {
+	Settings.setSettingForKey(KEYS.HELD_HANDOFF_LOCK, projectId || '');
+}
+
 // ─── Export / SSL Options ───────────────────────────────────────────
 
 /** @returns {number} */
@@ -122,6 +180,209 @@ export function setIgnoreSslErrors(value) {
 	Settings.setSettingForKey(KEYS.IGNORE_SSL_ERRORS, !!value);
 }
 
+// ─── Content Hashes (per document) ───────────────────────────────────
+
+/**
+ * Artboard content hashes recorded at the last successful upload, keyed by artboard ID.
+ * @param {any} document - Sketch document
+ * @returns {Record<string, string>}
+ */
+export function getContentHashes(document) {
+	if (!document) return {};
+	const stored = Settings.documentSettingForKey(document, KEYS.CONTENT_HASHES);
+	return stored && typeof stored === 'object' ? { ...stored } : {};
+}
+
+/**
+ * Merge new artboard hashes into the document's stored hashes.
+ * @param {any} document - Sketch document
+ * @param {Record<string, string>} hashes
+ */
+export function saveContentHashes(document, hashes) {
+	if (!document) return;
+	Settings.setDocumentSettingForKey(document, KEYS.CONTENT_HASHES, {
+		...getContentHashes(document),
+		...(hashes || {}),
+	});
+}
+
+// ─── Publish Presets (per document) ──────────────────────────────────
+
+/**
+ * Publish presets saved in the document.
+ * @param {any} document - Sketch document
+ * @returns {PublishPreset[]}
+ */
+export function getPublishPresets(document) {
+	if (!document) return [];
+	const stored = Settings.documentSettingForKey(document, KEYS.PUBLISH_PRESETS);
+	return Array.isArray(stored) ? stored.filter((preset) => preset && preset.id) : [];
+}
+
+/**
+ * Add a preset, or replace the one with the same id.
+ * @param {any} document - Sketch document
+ * @param {PublishPreset} preset
+ * @returns {PublishPreset[]}
+ */
+export function savePublishPreset(document, preset) {
+	if (!document || !preset || !preset.id) return getPublishPresets(document);
+	const presets = getPublishPresets(document).filter((p) => p.id !== preset.id);
+	presets.push(preset);
+	presets.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+	Settings.setDocumentSettingForKey(document, KEYS.PUBLISH_PRESETS, presets);
+	return presets;
+}
+
+/**
+ * @param {any} document - Sketch document
+ * @param {string} presetId
+ * @returns {PublishPreset[]}
+ */
+export function deletePublishPreset(document, presetId) {
+	if (!document) return [];
+	const presets = getPublishPresets(document).filter((p) => p.id !== presetId);
+	Settings.setDocumentSettingForKey(document, KEYS.PUBLISH_PRESETS, presets);
+	return presets;
+}
+
+// ─── Screen Export Overrides (per artboard / page) ───────────────────
+
+/**
+ * @param {any} artboard - Sketch artboard or symbol master
+ * @returns {ScreenExportOverride | null}
+ */
+export function getArtboardExportOverride(artboard) {
+	if (!artboard) return null;
+	return normalizeExportOverride(Settings.layerSettingForKey(artboard, KEYS.EXPORT_OPTIONS));
+}
+
+/**
+ * @param {any} artboard - Sketch artboard or symbol master
+ * @param {ScreenExportOverride | null} override - null clears it
+ */
+export function setArtboardExportOverride(artboard, override) {
+	if (!artboard) return;
+	Settings.setLayerSettingForKey(artboard, KEYS.EXPORT_OPTIONS, normalizeExportOverride(override));
+}
+
+/**
+ * Page overrides of the document, keyed by page ID.
+ * @param {any} document - Sketch document
+ * @returns {Record<string, ScreenExportOverride>}
+ */
+export function getPageExportOverrides(document) {
+	if (!document) return {};
+	const stored = Settings.documentSettingForKey(document, KEYS.PAGE_EXPORT_OPTIONS);
+	if (!stored || typeof stored !== 'object') return {};
+	/** @type {Record<string, ScreenExportOverride>} */
+	const overrides = {};
+	for (const pageId of Object.keys(stored)) {
+		const override = normalizeExportOverride(stored[pageId]);
+		if (override) overrides[pageId] = override;
+	}
+	return overrides;
+}
+
+/**
+ * @param {any} document - Sketch document
+ * @param {string} pageId
+ * @param {ScreenExportOverride | null} override - null clears it
+ */
+export function setPageExportOverride(document, pageId, override) {
+	if (!document || !pageId) return;
+	const overrides = getPageExportOverrides(document);
+	const normalized = normalizeExportOverride(override);
+	if (normalized) overrides[pageId] = normalized;
+	else delete overrides[pageId];
+	Settings.setDocumentSettingForKey(document, KEYS.PAGE_EXPORT_OPTIONS, overrides);
+}
+
+// ─── Publish Exclusions (per document / layer) ───────────────────────
+
+/** @param {any} values */
+function uniqueStrings(values) {
+	if (!Array.isArray(values)) return [];
+	const result = [];
+	for (const value of values) {
+		const text = String(value == null ? '' : value).trim();
+		if (text && !result.includes(text)) result.push(text);
+	}
+	return result;
+}
+
+/**
+ * @param {any} rules
+ * @returns {ExclusionRules}
+ */
+export function normalizeExclusionRules(rules) {
+	return {
+		namePrefixes: uniqueStrings(rules && rules.namePrefixes),
+		pageNames: uniqueStrings(rules && rules.pageNames),
+	};
+}
+
+/**
+ * Exclusion rules saved in the document.
+ * @param {any} document - Sketch document
+ * @returns {ExclusionRules}
+ */
+export function getExclusionRules(document) {
+	if (!document) return normalizeExclusionRules(null);
+	return normalizeExclusionRules(Settings.documentSettingForKey(document, KEYS.EXCLUSION_RULES));
+}
+
+/**
+ * @param {any} document - Sketch document
+ * @param {ExclusionRules} rules
+ * @returns {ExclusionRules}
+ */
+export function saveExclusionRules(document, rules) {
+	const normalized = normalizeExclusionRules(rules);
+	if (document) Settings.setDocumentSettingForKey(document, KEYS.EXCLUSION_RULES, normalized);
+	return normalized;
+}
+
+/**
+ * Whether a layer is marked "Exclude from Flow".
+ * @param {any} layer
+ * @returns {boolean}
+ */
+export function isLayerExcluded(layer) {
+	return !!layer && !!Settings.layerSettingForKey(layer, KEYS.EXCLUDED);
+}
+
+/**
+ * @param {any} layer
+ * @param {boolean} excluded
+ */
+export function setLayerExcluded(layer, excluded) {
+	if (!layer) return;
+	Settings.setLayerSettingForKey(layer, KEYS.EXCLUDED, excluded ? true : null);
+}
+
+// ─── Check-in Record (per document) ──────────────────────────────────
+
+/**
+ * Revision the document's file was last checked in as, or null.
+ * @param {any} document - Sketch document
+ * @returns {CheckinRecord | null}
+ */
+export function getCheckinRecord(document) {
+	if (!document) return null;
+	const stored = Settings.documentSettingForKey(document, KEYS.CHECKIN);
+	return stored && typeof stored === 'object' && stored.revisionId ? { ...stored } : null;
+}
+
+/**
+ * @param {any} document - Sketch document
+ * @param {CheckinRecord} record
+ */
+export function setCheckinRecord(document, record) {
+	if (!document) return;
+	Settings.setDocumentSettingForKey(document, KEYS.CHECKIN, record);
+}
+
 // ─── Convenience ─────────────────────────────────────────────────────
 
 /** @returns {PluginSettings} */
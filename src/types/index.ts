@@ -16,12 +16,46 @@ export interface PluginSettings {
 	ignoreSslErrors: boolean;
 }
 
+/**
+ * Named publish setup stored in a document's user info, so each squad can
+ * publish its own subset of a shared file to its own project.
+ */
+export interface PublishPreset {
+	id: string;
+	name: string;
+	projectId: string;
+	projectName: string;
+	/** Layer IDs of the document's artboards (ignored when a pattern is set) */
+	artboardIds: string[];
+	/**
+	 * Comma-separated `Page/Artboard` name patterns (`*` matches anything, no `/`
+	 * matches the artboard name on any page) – also picks up artboards added later
+	 */
+	artboardPattern: string;
+	exportScale: number;
+	includeTokens: boolean;
+	/** Check-in note; `{preset}`, `{count}` and `{date}` are filled in */
+	noteTemplate: string;
+}
+
 // ─── Document Extraction ─────────────────────────────────────────────
 
 export interface DocumentData {
+	documentId: string;
 	documentName: string;
 	pages: PageData[];
 	designTokens: DesignTokens;
+	/** Libraries the document uses symbols, styles or swatches from */
+	libraries: ComponentLibrary[];
+	/** Artboards left out by the document's exclusion rules (not listed in `pages`) */
+	excludedArtboards: ExcludedArtboard[];
+}
+
+/** An open Sketch document, listed before it is extracted */
+export interface OpenDocument {
+	documentId: string;
+	documentName: string;
+	isSelected: boolean;
 }
 
 export interface PageData {
@@ -30,7 +64,11 @@ export interface PageData {
 }
 
 export interface ArtboardMeta {
+	/** Publish ID – the layer ID, namespaced by document when it collides across documents */
 	id: string;
+	/** Layer ID inside its document */
+	sourceId: string;
+	documentId: string;
 	name: string;
 	pageName: string;
 	width: number;
@@ -39,12 +77,25 @@ export interface ArtboardMeta {
 	flowCount: number;
 	isSymbolMaster: boolean;
 	isFlowHome: boolean;
+	prototype: ArtboardPrototypeData;
+	/** Effective screen export options (global scale, page and artboard overrides applied) */
+	exportOptions: ScreenExportOptions;
+	/** Where the export options come from – the most specific override, or null for the defaults */
+	exportOverride: ExportOverrideScope | null;
 }
 
 export interface ArtboardData {
 	artboardId: string;
 	layers: LayerData[];
 	flows: FlowData[];
+	flowCount: number;
+	/** The artboard's own Stack / Smart Layout */
+	layout: LayoutData | null;
+	prototype: ArtboardPrototypeData;
+	/** Stable hash of the extracted data + screen export options */
+	contentHash: string;
+	/** Layers stripped by the exclusion rules (outermost excluded layers only) */
+	excludedLayers: ExcludedLayer[];
 }
 
 // ─── Layer Tree ──────────────────────────────────────────────────────
@@ -67,9 +118,19 @@ export interface LayerData {
 	rotation: number;
 	style: StyleData | null;
 	exportFormats: ExportFormat[];
+	/** Shared text/layer style ID (matches DesignTokens textStyles / layerStyles) */
+	sharedStyleId: string | null;
+	sharedStyleStatus: SharedStyleStatus | null;
+	resizing: ResizingConstraints | null;
+	/** Groups / symbol masters / artboards only */
+	layout?: LayoutData | null;
+	// Vector geometry (ShapePath / Shape)
+	path?: PathData | null;
 	// Text-specific
 	text?: string;
 	textStyle?: TextStyleData | null;
+	/** Attributed-string runs – one per range of uniformly styled characters */
+	textRuns?: TextRunData[];
 	// Symbol instance
 	symbolId?: string;
 	overrides?: OverrideData[];
@@ -79,6 +140,63 @@ export interface LayerData {
 	children?: LayerData[];
 }
 
+export type LayoutDirection = 'horizontal' | 'vertical';
+
+/** Sketch Stack Layout – maps directly to a CSS flex container */
+export interface StackLayoutData {
+	type: 'stack';
+	direction: LayoutDirection;
+	gap: number;
+	padding: { top: number; right: number; bottom: number; left: number };
+	justifyContent: 'start' | 'center' | 'end' | 'spaceBetween';
+	alignItems: 'start' | 'center' | 'end' | 'stretch';
+	wrap: boolean;
+}
+
+/** Sketch Smart Layout – the group grows from `anchor` along `direction` */
+export interface SmartLayoutData {
+	type: 'smart';
+	direction: LayoutDirection;
+	anchor: 'start' | 'center' | 'end';
+}
+
+export type LayoutData = StackLayoutData | SmartLayoutData;
+
+/** Resizing constraints relative to the parent group / artboard */
+export interface ResizingConstraints {
+	pinLeft: boolean;
+	pinRight: boolean;
+	pinTop: boolean;
+	pinBottom: boolean;
+	fixedWidth: boolean;
+	fixedHeight: boolean;
+}
+
+export interface PathData {
+	/** Rectangle, Oval, Triangle, Polygon, Star, Custom – or Combined for a boolean Shape */
+	shapeType: string;
+	closed: boolean;
+	points: PathPointData[];
+	/** Corner radius per point, in point order (rectangles start top-left, clockwise) */
+	cornerRadii: number[];
+	/** SVG path data in the layer's own coordinate space (a combined Shape's outline with its operations applied) */
+	svgPath: string | null;
+	/** How this path combines with the paths below it inside a Shape (union, subtract, intersect, difference, none) */
+	booleanOperation: string;
+}
+
+/** A path point in pixels, relative to the layer's frame */
+export interface PathPointData {
+	pointType: string;
+	point: { x: number; y: number };
+	curveFrom: { x: number; y: number };
+	curveTo: { x: number; y: number };
+	cornerRadius: number;
+}
+
+/** `detached` = the referenced shared style no longer resolves */
+export type SharedStyleStatus = 'synced' | 'outOfSync' | 'detached';
+
 export interface StyleData {
 	fills: FillData[];
 	borders: BorderData[];
@@ -94,6 +212,8 @@ export interface FillData {
 	color: string;
 	fillType: string;
 	gradient: GradientData | null;
+	/** Swatch ID (matches DesignTokens colors) when the color references a swatch */
+	swatchId: string | null;
 }
 
 export interface GradientData {
@@ -113,6 +233,7 @@ export interface BorderData {
 	thickness: number;
 	position: string;
 	fillType: string;
+	swatchId: string | null;
 }
 
 export interface ShadowData {
@@ -137,15 +258,42 @@ export interface BorderOptionsData {
 export interface TextStyleData {
 	fontFamily: string | null;
 	fontSize: number | null;
+	/** CSS weight (100–900) */
 	fontWeight: number | null;
 	fontStyle: string | null;
 	textColor: string | null;
+	textColorSwatchId: string | null;
 	lineHeight: number | null;
 	letterSpacing: number | null;
 	textAlignment: string | null;
 	textTransform: string;
 	textDecoration: string;
 	paragraphSpacing: number;
+	textBehaviour: TextBehaviour;
+	verticalAlignment: 'top' | 'center' | 'bottom';
+}
+
+/** autoWidth = grows horizontally, autoHeight = fixed width, fixed = fixed width and height */
+export type TextBehaviour = 'autoWidth' | 'autoHeight' | 'fixed';
+
+export interface TextRunData {
+	/** UTF-16 offset into the layer's text */
+	start: number;
+	length: number;
+	text: string;
+	fontFamily: string | null;
+	/** PostScript font name, e.g. `Inter-SemiBold` */
+	fontName: string | null;
+	fontSize: number | null;
+	/** CSS weight (100–900) */
+	fontWeight: number;
+	fontStyle: 'normal' | 'italic';
+	/** `#rrggbbaa` */
+	textColor: string | null;
+	letterSpacing: number;
+	lineHeight: number | null;
+	textDecoration: 'none' | 'underline' | 'strikethrough';
+	textTransform: 'none' | 'uppercase' | 'lowercase';
 }
 
 export interface ExportFormat {
@@ -155,6 +303,16 @@ export interface ExportFormat {
 	size: string;
 }
 
+export interface ExportedAsset {
+	layerId: string;
+	layerName: string;
+	fileName: string;
+	fileFormat: string;
+	scale: number;
+	mimeType: string;
+	dataUri: string;
+}
+
 export interface OverrideData {
 	id: string;
 	path: string;
@@ -180,6 +338,192 @@ export interface FlowData {
 	targetArtboardName: string | null;
 	animationType: string;
 	isBackAction: boolean;
+	/** Keep the scroll position of the current screen when following the link */
+	maintainScrollPosition: boolean;
+	/** Set when the target opens as an overlay instead of replacing the screen */
+	overlay: FlowOverlayData | null;
+	/** Source is a hotspot layer (invisible click area) rather than a visible layer */
+	sourceIsHotspot: boolean;
+	/** Instance on the artboard the flow was resolved through (flows inside symbols) */
+	symbolInstanceId: string | null;
+}
+
+export interface Point {
+	x: number;
+	y: number;
+}
+
+/** How an overlay artboard is positioned and dismissed */
+export interface FlowOverlayData {
+	/** Point of the overlay (normalized 0–1) placed on `sourceAnchor` */
+	overlayAnchor: Point;
+	/** Point of the screen or hotspot layer (normalized 0–1) the overlay is anchored to */
+	sourceAnchor: Point;
+	/** Extra offset in px */
+	offset: Point;
+	relativeTo: 'screen' | 'layer';
+	/** Clicking outside the overlay closes it */
+	closeOnBackgroundClick: boolean;
+	/** The overlay artboard's background color, null when transparent */
+	backgroundColor: string | null;
+}
+
+/** Prototype presentation of an artboard */
+export interface ArtboardPrototypeData {
+	presentationStyle: 'screen' | 'overlay';
+	/** Default overlay settings when `presentationStyle` is 'overlay' */
+	overlay: FlowOverlayData | null;
+	/** Device / viewport preset the prototype is previewed in */
+	viewport: { name: string | null; width: number; height: number } | null;
+	/** Layers that stay fixed while the screen scrolls */
+	fixedLayerIds: string[];
+}
+
+// ─── Publish Exclusions ──────────────────────────────────────────────
+
+/** Document rules for layers that must never be published */
+export interface ExclusionRules {
+	/** Layers and artboards whose name starts with one of these (case-insensitive) */
+	namePrefixes: string[];
+	/** Pages whose artboards are never published (case-insensitive) */
+	pageNames: string[];
+}
+
+/** `flag`: marked "Exclude from Flow"; `namePrefix` / `page`: matched a document rule */
+export type ExclusionReason = 'flag' | 'namePrefix' | 'page';
+
+export interface ExcludedLayer {
+	layerId: string;
+	layerName: string;
+	reason: ExclusionReason;
+}
+
+export interface ExcludedArtboard extends ExcludedLayer {
+	pageName: string;
+}
+
+/** One line of a publish's exclusion report */
+export interface ExclusionReportEntry extends ExcludedLayer {
+	documentName: string;
+	pageName: string;
+	/** Artboard the layer was stripped from; null when the whole artboard was left out */
+	artboardName: string | null;
+}
+
+// ─── Screen Export ───────────────────────────────────────────────────
+
+export type ScreenImageFormat = 'png' | 'jpg' | 'webp';
+
+/** How an artboard is rendered into its screen image */
+export interface ScreenExportOptions {
+	format: ScreenImageFormat;
+	scale: number;
+	/** 1–100 for JPG and WebP; null keeps Sketch's default */
+	quality: number | null;
+	/** Artboards taller than this (in points) are split into tiles this high; null never splits */
+	tileHeight: number | null;
+}
+
+/**
+ * Export options stored on an artboard (layer user info) or a page (document
+ * user info). Unset fields inherit from the page, then the global settings.
+ */
+export type ScreenExportOverride = Partial<ScreenExportOptions>;
+
+export type ExportOverrideScope = 'artboard' | 'page';
+
+export interface ScreenImageTile {
+	index: number;
+	/** Top of the tile inside the artboard, in points */
+	y: number;
+	/** Height of the tile in points */
+	height: number;
+	dataUri: string;
+}
+
+/** Rendered screen image – one tile unless the artboard was split */
+export interface ScreenImage {
+	format: ScreenImageFormat;
+	mimeType: string;
+	scale: number;
+	quality: number | null;
+	tiles: ScreenImageTile[];
+}
+
+/** Prototype graph of the whole document (hotspots only, no layer trees) */
+export interface FlowGraph {
+	artboards: FlowGraphArtboard[];
+}
+
+export interface FlowGraphArtboard {
+	id: string;
+	name: string;
+	pageName: string;
+	isFlowHome: boolean;
+	flows: FlowData[];
+}
+
+export type FlowIssueType =
+	| 'danglingTarget'
+	| 'unselectedTarget'
+	| 'unreachable'
+	| 'deadEnd'
+	| 'missingStart'
+	| 'multipleStarts'
+	| 'overlappingHotspots';
+
+/** A problem found by the prototype validator */
+export interface FlowIssue {
+	type: FlowIssueType;
+	severity: 'error' | 'warning';
+	message: string;
+	artboardId: string | null;
+	artboardName: string | null;
+	/** Hotspot layers involved (source layer IDs) */
+	layerIds: string[];
+	targetArtboardId: string | null;
+}
+
+// ─── Components ──────────────────────────────────────────────────────
+
+/** A symbol master published to the component catalog */
+export interface ComponentData {
+	/** Shared by every instance (`LayerData.symbolId`) */
+	symbolId: string;
+	masterId: string;
+	name: string;
+	width: number;
+	height: number;
+	layers: LayerData[];
+	layout: LayoutData | null;
+	overridePoints: ComponentOverridePoint[];
+	/** Library the master comes from; null for local symbols */
+	library: ComponentLibrary | null;
+	/** PNG data URI, null when the master could not be rendered */
+	previewBase64: string | null;
+}
+
+export interface ComponentOverridePoint {
+	id: string;
+	path: string;
+	property: string;
+	affectedLayerId: string | null;
+	affectedLayerName: string | null;
+	defaultValue: unknown;
+}
+
+export interface ComponentLibrary {
+	id: string;
+	name: string;
+	libraryType: string | null;
+}
+
+/** What a linked library contributes when publishing it alongside a document */
+export interface LibraryContents {
+	library: ComponentLibrary;
+	designTokens: DesignTokens;
+	/** symbolIds of the library's own masters */
+	symbolIds: string[];
 }
 
 // ─── Design Tokens ───────────────────────────────────────────────────
@@ -191,6 +535,8 @@ export interface DesignTokens {
 }
 
 export interface ColorToken {
+	/** Swatch ID – absent for legacy document colors */
+	id?: string;
 	name: string;
 	color: string;
 }
@@ -200,6 +546,7 @@ export interface TextStyleToken {
 	name: string;
 	fontFamily: string | null;
 	fontSize: number | null;
+	/** CSS weight (100–900) */
 	fontWeight: number | null;
 	textColor: string | null;
 	lineHeight: number | null;
@@ -217,6 +564,59 @@ export interface LayerStyleToken {
 	opacity: number;
 }
 
+/** Change to one color / text style / layer style since the previous revision */
+export interface TokenChange {
+	change: 'added' | 'removed' | 'changed';
+	id: string | null;
+	name: string;
+	/** Properties that differ – empty for added and removed tokens */
+	fields: string[];
+	/** Token values without their ID, null for an added / removed token */
+	before: Record<string, unknown> | null;
+	after: Record<string, unknown> | null;
+}
+
+/** Token-level changelog sent with a revision when it is finalized */
+export interface TokenChangelog {
+	colors: TokenChange[];
+	textStyles: TokenChange[];
+	layerStyles: TokenChange[];
+}
+
+// ─── Design Lint ─────────────────────────────────────────────────────
+
+export type LintSeverity = 'off' | 'info' | 'warning' | 'error';
+
+export type LintRuleId =
+	| 'text-style'
+	| 'color-token'
+	| 'fractional-frame'
+	| 'off-grid-spacing'
+	| 'default-layer-name'
+	| 'approved-fonts'
+	| 'empty-group';
+
+/** Team lint config, shared through the project on the server */
+export interface LintConfig {
+	rules: Record<LintRuleId, LintSeverity>;
+	/** Spacing grid in px for `off-grid-spacing` */
+	gridSize: number;
+	/** Font families `approved-fonts` allows */
+	approvedFonts: string[];
+}
+
+export interface LintResult {
+	ruleId: LintRuleId;
+	severity: Exclude<LintSeverity, 'off'>;
+	/** Publish ID of the artboard */
+	artboardId: string;
+	/** Document the layer lives in, for selecting it in Sketch */
+	documentId: string;
+	layerId: string;
+	layerName: string;
+	message: string;
+}
+
 // ─── API Types ───────────────────────────────────────────────────────
 
 export interface Project {
@@ -332,6 +732,47 @@ export interface RevisionCompareResult {
 
 // ─── Plugin ↔ WebView Messages ───────────────────────────────────────
 
+/** Artboard of any open document; `artboardId` is the publish ID the reply is keyed by */
+export interface ArtboardRequest {
+	artboardId: string;
+	sourceId?: string;
+	documentId?: string;
+	jobId?: string;
+}
+
+/** Revision whose .sketch artifact the native side downloads, verifies and opens */
+export interface RevisionArtifactRequest {
+	serverUrl: string;
+	authToken: string;
+	ignoreSslErrors?: boolean;
+	projectId: string;
+	versionId: string;
+	revisionId: string;
+	revisionNumber: number;
+	fileName: string;
+	sha256: string;
+}
+
+/** Revision a document's file was last checked in as (stored in the document) */
+export interface CheckinRecord {
+	projectId: string;
+	versionId: string;
+	revisionId: string;
+	revisionNumber: number | null;
+	/** sha256 of the uploaded .sketch file */
+	sha256: string;
+	/** Fingerprint of the file's design content, ignoring document metadata */
+	contentFingerprint: string;
+	checkedInAt: string;
+}
+
+/** Check-in record of a document and whether its saved file changed since */
+export interface DocumentDriftState {
+	documentId: string;
+	checkin: CheckinRecord | null;
+	contentChanged: boolean;
+}
+
 /** Messages sent from the WebView to the native plugin via postMessage */
 export type WebViewToPluginMessage =
 	| { handler: 'saveServerUrl'; data: string }
@@ -342,12 +783,62 @@ export type WebViewToPluginMessage =
 	| { handler: 'saveAuth'; data: string }
 	| { handler: 'logout'; data: '' }
 	| { handler: 'saveLastProject'; data: string }
+	| { handler: 'trackHandoffLock'; data: string }
 	| { handler: 'nativeApiRequest'; data: string }
 	| { handler: 'getSettings'; data: '' }
+	| { handler: 'confirm'; data: { message: string; detail?: string; confirmLabel?: string } }
 	| { handler: 'extractDocument'; data: '' }
-	| { handler: 'exportArtboard'; data: string }
-	| { handler: 'extractArtboardData'; data: string }
+	| { handler: 'getOpenDocuments'; data: '' }
+	| { handler: 'getDocumentData'; data: string }
+	| { handler: 'getLibraryContents'; data: string }
+	| { handler: 'exportArtboard'; data: string | ArtboardRequest }
+	| { handler: 'extractArtboardData'; data: string | ArtboardRequest }
+	| {
+			handler: 'exportLayerAsset';
+			data: {
+				key: string;
+				artboardId: string;
+				sourceId?: string;
+				documentId?: string;
+				layerId: string;
+				format: ExportFormat;
+			};
+	  }
+	| { handler: 'extractComponent'; data: string }
+	| { handler: 'getFlowGraph'; data: string }
+	| { handler: 'saveJob'; data: PublishJob }
+	| {
+			handler: 'updateJobItem';
+			data: { jobId: string; artboardId: string; status: ArtboardStatus; error?: string };
+	  }
+	| {
+			handler: 'updateJobPhase';
+			data: { jobId: string; phase: PublishJobPhase; fields?: Pick<PublishJob, 'tokenChanges'> };
+	  }
+	| { handler: 'getPendingJobs'; data: '' }
+	| { handler: 'deleteJob'; data: string }
+	| { handler: 'getPublishPresets'; data: '' }
+	| { handler: 'savePublishPreset'; data: PublishPreset }
+	| { handler: 'deletePublishPreset'; data: string }
+	| { handler: 'getExclusionRules'; data: '' }
+	| { handler: 'saveExclusionRules'; data: ExclusionRules }
+	| { handler: 'getExcludedContentMessage'; data: '' }
+	| {
+			handler: 'setExportOverride';
+			data: {
+				documentId: string;
+				artboardIds: string[];
+				scope: ExportOverrideScope;
+				override: ScreenExportOverride | null;
+			};
+	  }
+	| { handler: 'getContentHashes'; data: string }
+	| { handler: 'saveContentHashes'; data: { documentId: string; hashes: Record<string, string> } }
 	| { handler: 'uploadSketchFile'; data: string }
+	| { handler: 'openRevisionSketchFile'; data: RevisionArtifactRequest }
+	| { handler: 'getDocumentDrift'; data: string }
+	| { handler: 'selectLayer'; data: { layerId: string; documentId: string } }
+	| { handler: 'saveTextFile'; data: { fileName: string; contents: string } }
 	| { handler: 'showMessage'; data: string }
 	| { handler: 'openUrl'; data: string };
 
@@ -361,12 +852,20 @@ export type PluginToWebViewMessage =
 	| { type: 'loggedOut'; payload: Record<string, never> }
 	| { type: 'documentData'; payload: DocumentData }
 	| { type: 'extractError'; payload: { message: string } }
-	| { type: 'artboardImage'; payload: { artboardId: string; imageBase64: string } }
+	| { type: 'artboardImage'; payload: { artboardId: string; image: ScreenImage } }
 	| { type: 'artboardImageError'; payload: { artboardId: string; message: string } }
 	| { type: 'artboardData'; payload: ArtboardData }
 	| { type: 'artboardDataError'; payload: { artboardId: string; message: string } }
+	| { type: 'layerAsset'; payload: { key: string; asset: ExportedAsset } }
+	| { type: 'layerAssetError'; payload: { key: string; message: string } }
+	| { type: 'componentData'; payload: ComponentData }
+	| { type: 'componentDataError'; payload: { symbolId: string; message: string } }
 	| { type: 'sketchFileUploaded'; payload: { revisionId: string; artifact: any } }
-	| { type: 'sketchFileUploadError'; payload: { revisionId: string; message: string } };
+	| { type: 'sketchFileUploadError'; payload: { revisionId: string; message: string } }
+	| {
+			type: 'uploadProgress';
+			payload: { uploadKey: string; sentBytes: number; totalBytes: number };
+	  };
 
 // ─── Publish Pipeline ────────────────────────────────────────────────
 
@@ -383,10 +882,65 @@ export interface PublishQueueItem extends ArtboardMeta {
 	error?: string;
 }
 
+/** A queued artboard with its publish status */
+export interface PublishJobItem extends ArtboardMeta {
+	status: ArtboardStatus;
+	error?: string;
+}
+
+/**
+ * Pipeline steps of a publish, in order. A job is kept until `done` (its revision
+ * is finalized); a replay skips the steps the job already completed.
+ */
+export type PublishJobPhase =
+	| 'screens'
+	| 'components'
+	| 'tokens'
+	| 'review'
+	| 'finalizing'
+	| 'done';
+
+/**
+ * A publish persisted to disk by the native side so it can be replayed after a
+ * crash, sleep or lost connection. Extracted data and images are cached per artboard.
+ */
+export interface PublishJob {
+	/** Same as the revision ID – one job per publish */
+	id: string;
+	projectId: string;
+	projectName: string | null;
+	versionId: string;
+	revisionId: string;
+	/** Stamped by the native side; jobs are only replayed for the same document */
+	documentId?: string;
+	queue: PublishJobItem[];
+	designTokens: DesignTokens | null;
+	/** Missing on jobs written before phases were tracked (= `screens`) */
+	phase?: PublishJobPhase;
+	/** Token changelog, diffed before the tokens were uploaded (kept for replays) */
+	tokenChanges?: TokenChangelog | null;
+	createdAt: number;
+	updatedAt?: number;
+}
+
 export interface PublishStats {
 	screens: number;
 	flows: number;
 	tokens: number;
-}
-
-export type PublishStep = 'creating' | 'screens' | 'tokens' | 'finalizing' | 'done' | 'failed';
+	assets: number;
+	/** Screens carried forward because their content hash was unchanged */
+	unchanged: number;
+	/** Layers using raw values where a matching token exists */
+	rawValueLayers: number;
+	components: number;
+}
+
+export type PublishStep =
+	| 'creating'
+	| 'screens'
+	| 'components'
+	| 'tokens'
+	| 'review'
+	| 'finalizing'
+	| 'done'
+	| 'failed';
@@ -6,6 +6,8 @@
  *  2. Login / register
  *  3. Create or select a project
  *  4. Publish artboards with full layer data, styles, and prototype flows
+ *
+ * Also hosts the headless "Publish to Flow (quick)" command.
  */
 import BrowserWindow from 'sketch-module-web-view';
 import { getWebview } from 'sketch-module-web-view/remote';
@@ -13,8 +15,16 @@ import sketch from 'sketch';
 import {
 	extractDocument,
 	exportArtboardImage,
+	exportLayerAsset,
 	extractArtboardData,
+	extractComponent,
+	extractFlowGraph,
+	extractLibraryContents,
+	getArtboardExportKey,
+	listOpenDocuments,
+	getDocument,
 	invalidateCache,
+	setExportOverride,
 } from './lib/extract';
 import {
 	getAllSettings,
@@ -22,19 +32,50 @@ import {
 	setExportScale,
 	setIgnoreSslErrors,
 	getExportScale,
-	getIgnoreSslErrors,
 	setAuthToken,
 	setUserInfo,
 	setLastProjectId,
 	setLastPublishTime,
+	getContentHashes,
+	saveContentHashes,
+	getPublishPresets,
+	savePublishPreset,
+	deletePublishPreset,
+	getExclusionRules,
+	saveExclusionRules,
+	getHeldHandoffLock,
+	setHeldHandoffLock,
 	clearAuth,
 } from './lib/settings';
+import { performNativeApiRequest } from './lib/http';
+import {
+	uploadCurrentSketchFile,
+	downloadRevisionSketchFile,
+	releaseHandoffLock,
+	resolveSketchPath,
+} from './lib/api';
+import { readDocumentDrift } from './lib/drift';
+import { quickPublish, presetPublish } from './lib/quickPublish';
+import {
+	countExcludedContent,
+	excludedContentMessage,
+	toggleSelectedLayersExcluded,
+} from './lib/exclusions';
+import {
+	saveJob,
+	getPendingJobs,
+	updateJobItem,
+	updateJobPhase,
+	deleteJob,
+	saveJobArtboard,
+	loadJobArtboard,
+} from './lib/jobs';
 
 const WEBVIEW_ID = 'Flow.panel';
 
 // ─── Document metadata cache ─────────────────────────────────────────
-let _cachedDocData = null;
-let _cachedDocId = null;
+// Extracted DocumentData per open document id
+const _documentCache = new Map();
 
 // ─── Helpers ─────────────────────────────────────────────────────────
 
@@ -68,324 +109,69 @@ function sendToWebView(target, type, payload) {
 	console.warn('[Flow] Unable to deliver message to webview; unsupported target shape.');
 }
 
-function resolveSketchPath(rawPath) {
-	const candidates = [];
-	const seen = new Set();
-	const push = (value) => {
-		if (!value) return;
-		const normalized = String(value);
-		if (!normalized || seen.has(normalized)) return;
-		seen.add(normalized);
-		candidates.push(normalized);
+/**
+ * Artboard requests are either a plain artboard ID or
+ * `{ artboardId, sourceId, documentId, jobId }` – `artboardId` is the publish ID,
+ * `sourceId` the layer ID inside `documentId` (they differ when IDs collide across documents).
+ * @returns {{ artboardId: string, sourceId: string, documentId: string | undefined, jobId: string | null }}
+ */
+function parseArtboardRequest(raw) {
+	let request = raw && typeof raw === 'object' ? raw : null;
+	const text = String(raw || '');
+	if (!request && text.charAt(0) === '{') request = JSON.parse(text);
+	if (!request) return { artboardId: text, sourceId: text, documentId: undefined, jobId: null };
+	return {
+		artboardId: request.artboardId,
+		sourceId: request.sourceId || request.artboardId,
+		documentId: request.documentId || undefined,
+		jobId: request.jobId || null,
 	};
-
-	push(rawPath);
-
-	// If Sketch gives us file:// URL, convert to file system path.
-	try {
-		const url = NSURL.URLWithString(String(rawPath));
-		if (url && url.path) {
-			push(String(url.path()));
-		}
-	} catch (_) {}
-
-	// Try JS decode for percent-encoded paths.
-	try {
-		push(decodeURIComponent(String(rawPath)));
-	} catch (_) {}
-
-	// Try NSString decode for percent-encoded paths.
-	try {
-		const ns = NSString.stringWithString(String(rawPath));
-		const decoded = ns.stringByRemovingPercentEncoding();
-		if (decoded) push(String(decoded));
-	} catch (_) {}
-
-	const fileManager = NSFileManager.defaultManager();
-	for (const path of candidates) {
-		try {
-			if (fileManager.fileExistsAtPath(path)) {
-				return path;
-			}
-		} catch (_) {}
-	}
-
-	return null;
 }
 
-function readSketchFileData(path) {
-	let data = NSData.dataWithContentsOfFile(path);
-	if (data) return data;
-	try {
-		const fileUrl = NSURL.fileURLWithPath(path);
-		data = NSData.dataWithContentsOfURL(fileUrl);
-	} catch (_) {}
-	return data || null;
+/**
+ * Handlers taking an optional document ID receive it bare, JSON-quoted or as `{ documentId }`.
+ * @returns {string | undefined} undefined for the selected document
+ */
+function parseDocumentId(raw) {
+	const value = raw && typeof raw === 'object' ? raw.documentId : raw;
+	return String(value || '').replace(/^"|"$/g, '') || undefined;
 }
 
-function writeStringToFile(text, suffix = '.tmp') {
-	const filePath = `${String(NSTemporaryDirectory())}flow-${String(NSUUID.UUID().UUIDString())}${suffix}`;
-	const nsText = NSString.stringWithString(String(text || ''));
-	const ok = nsText.writeToFile_atomically_encoding_error(
-		filePath,
-		true,
-		NSUTF8StringEncoding,
-		null,
-	);
-	if (!ok) {
-		throw new Error(`Failed to write temporary file: ${filePath}`);
+/**
+ * Ask the user where to save a text file, then write it.
+ * @param {{ fileName: string, contents: string }} payload
+ * @returns {{ saved: boolean, path: string | null }}
+ */
+function saveTextFileWithPanel(payload) {
+	const panel = NSSavePanel.savePanel();
+	panel.setNameFieldStringValue(String(payload.fileName || 'untitled.txt'));
+	panel.setCanCreateDirectories(true);
+	if (panel.runModal() != NSModalResponseOK) {
+		return { saved: false, path: null };
 	}
-	return filePath;
-}
 
-function writeDataToFile(data, suffix = '.tmp') {
-	const filePath = `${String(NSTemporaryDirectory())}flow-${String(NSUUID.UUID().UUIDString())}${suffix}`;
-	const ok = data.writeToFile_atomically(filePath, true);
+	const path = String(panel.URL().path());
+	const nsText = NSString.stringWithString(String(payload.contents || ''));
+	const ok = nsText.writeToFile_atomically_encoding_error(path, true, NSUTF8StringEncoding, null);
 	if (!ok) {
-		throw new Error(`Failed to write temporary file: ${filePath}`);
-	}
-	return filePath;
-}
-
-function runCurl(args) {
-	const task = NSTask.alloc().init();
-	task.setLaunchPath('/usr/bin/curl');
-	task.setArguments(args);
-
-	const stdoutPipe = NSPipe.pipe();
-	const stderrPipe = NSPipe.pipe();
-	task.setStandardOutput(stdoutPipe);
-	task.setStandardError(stderrPipe);
-
-	task.launch();
-	task.waitUntilExit();
-
-	const outData = stdoutPipe.fileHandleForReading().readDataToEndOfFile();
-	const errData = stderrPipe.fileHandleForReading().readDataToEndOfFile();
-	const stdout = String(NSString.alloc().initWithData_encoding(outData, NSUTF8StringEncoding) || '');
-	const stderr = String(NSString.alloc().initWithData_encoding(errData, NSUTF8StringEncoding) || '');
-
-	return {
-		code: Number(task.terminationStatus()),
-		stdout,
-		stderr,
-	};
-}
-
-function performNativeApiRequest(rawPayload) {
-	const payload = typeof rawPayload === 'string' ? JSON.parse(rawPayload || '{}') : rawPayload || {};
-	const {
-		url,
-		method = 'GET',
-		headers = {},
-		body = '',
-		insecure = false,
-		timeoutMs = 120000,
-		multipart = null,
-	} = payload;
-
-	if (!url) throw new Error('Missing URL for native API request.');
-
-	const timeoutSec = Math.max(1, Math.ceil(Number(timeoutMs) / 1000));
-	const args = [
-		'-sS',
-		'-L',
-		'--connect-timeout',
-		String(timeoutSec),
-		'--max-time',
-		String(timeoutSec),
-		'-X',
-		String(method || 'GET').toUpperCase(),
-	];
-
-	if (insecure) args.push('-k');
-
-	const headerEntries = Object.entries(headers || {});
-	for (const [key, value] of headerEntries) {
-		if (value === undefined || value === null) continue;
-		args.push('-H', `${key}: ${value}`);
-	}
-
-	const tempPaths = [];
-	try {
-		if (multipart && typeof multipart === 'object') {
-			const files = Array.isArray(multipart.files) ? multipart.files : [];
-			for (const file of files) {
-				const fieldName = String(file.name || 'file');
-				const fileName = String(file.filename || 'upload.bin');
-				const contentType = String(file.contentType || 'application/octet-stream');
-
-				let filePath = file.path ? String(file.path) : '';
-				if (!filePath && file.base64) {
-					const rawBase64 = String(file.base64).replace(/^data:[^;]+;base64,/, '');
-					const data = NSData.alloc().initWithBase64EncodedString_options(rawBase64, 0);
-					if (!data) throw new Error(`Invalid base64 payload for multipart file field "${fieldName}"`);
-					filePath = writeDataToFile(data, '.bin');
-					tempPaths.push(filePath);
-				}
-
-				if (!filePath) throw new Error(`Missing file path/base64 for multipart field "${fieldName}"`);
-
-				args.push(
-					'-F',
-					`${fieldName}=@${filePath};type=${contentType};filename=${fileName}`,
-				);
-			}
-
-			const fields = multipart.fields || {};
-			for (const [fieldName, fieldValue] of Object.entries(fields)) {
-				const fieldPath = writeStringToFile(String(fieldValue ?? ''), '.txt');
-				tempPaths.push(fieldPath);
-				args.push('-F', `${fieldName}=<${fieldPath}`);
-			}
-		} else if (typeof body === 'string' && body.length > 0) {
-			const bodyPath = writeStringToFile(body, '.json');
-			tempPaths.push(bodyPath);
-			args.push('--data-binary', `@${bodyPath}`);
-		}
-
-		args.push(url);
-		args.push('-w', '\n__FLOW_HTTP_CODE__:%{http_code}');
-
-		const result = runCurl(args);
-		const marker = '\n__FLOW_HTTP_CODE__:';
-		const markerIndex = result.stdout.lastIndexOf(marker);
-		if (markerIndex < 0) {
-			const msg = result.stderr || 'Native request failed with unexpected response format.';
-			throw new Error(msg);
-		}
-
-		const bodyText = result.stdout.slice(0, markerIndex);
-		const statusText = result.stdout.slice(markerIndex + marker.length).trim();
-		const status = Number(statusText);
-		if (!Number.isFinite(status) || status <= 0) {
-			const msg = result.stderr || 'Native request failed to parse HTTP status.';
-			throw new Error(msg);
-		}
-
-		return {
-			ok: status >= 200 && status < 300,
-			status,
-			bodyText,
-		};
-	} finally {
-		const fm = NSFileManager.defaultManager();
-		for (const path of tempPaths) {
-			try {
-				fm.removeItemAtPath_error(path, null);
-			} catch (_) {}
-		}
+		throw new Error(`Failed to write file: ${path}`);
 	}
+	return { saved: true, path };
 }
 
-function uploadCurrentSketchFile(payload) {
-	const { serverUrl, authToken, projectId, versionId, revisionId, ignoreSslErrors } = payload;
-	const doc = sketch.Document.getSelectedDocument();
-	if (!doc) throw new Error('No document is open.');
-	if (!doc.path) throw new Error('Save the Sketch document before check-in.');
-
-	const rawPath = String(doc.path);
-	const filePath = resolveSketchPath(rawPath);
-	if (!filePath) {
-		throw new Error(
-			`Could not locate Sketch file on disk. Save the file locally and try again. Path: ${rawPath}`,
-		);
-	}
-	const fileName = String(filePath.split('/').pop() || `revision-${revisionId}.sketch`);
-	const fileData = readSketchFileData(filePath);
-	if (!fileData) {
-		throw new Error(`Failed to read Sketch file from disk at: ${filePath}`);
-	}
-
-	const endpoint = `${serverUrl}/projects/${projectId}/versions/${versionId}/revisions/${revisionId}/sketch-file`;
-
-	const shouldIgnoreSsl = !!ignoreSslErrors || getIgnoreSslErrors();
-	if (shouldIgnoreSsl && /^https:\/\//i.test(endpoint)) {
-		const nativeResult = performNativeApiRequest({
-			url: endpoint,
-			method: 'PUT',
-			headers: {
-				Authorization: `Bearer ${authToken}`,
-			},
-			insecure: true,
-			timeoutMs: 10 * 60 * 1000,
-			multipart: {
-				files: [
-					{
-						name: 'file',
-						path: filePath,
-						filename: fileName,
-						contentType: 'application/octet-stream',
-					},
-				],
-			},
-		});
-
-		let parsed = {};
-		try {
-			parsed = JSON.parse(nativeResult.bodyText || '{}');
-		} catch (_) {
-			parsed = {};
-		}
-		if (!nativeResult.ok) {
-			throw new Error(parsed.error || `Sketch upload failed (${nativeResult.status})`);
-		}
-		return parsed.artifact || null;
-	}
-
-	const boundary = `----FlowBoundary${String(NSUUID.UUID().UUIDString())}`;
-	const url = NSURL.URLWithString(endpoint);
-	if (!url) throw new Error('Invalid server URL.');
-
-	const body = NSMutableData.data();
-	const appendText = (text) => {
-		const ns = NSString.stringWithString(text);
-		body.appendData(ns.dataUsingEncoding(NSUTF8StringEncoding));
-	};
-
-	appendText(`--${boundary}\r\n`);
-	appendText(
-		`Content-Disposition: form-data; name="file"; filename="${fileName}"\r\nContent-Type: application/octet-stream\r\n\r\n`,
-	);
-	body.appendData(fileData);
-	appendText(`\r\n--${boundary}--\r\n`);
-
-	const request = NSMutableURLRequest.requestWithURL(url);
-	request.setHTTPMethod('PUT');
-	request.setValue_forHTTPHeaderField(`Bearer ${authToken}`, 'Authorization');
-	request.setValue_forHTTPHeaderField(`multipart/form-data; boundary=${boundary}`, 'Content-Type');
-	request.setHTTPBody(body);
-
-	const responseRef = MOPointer.alloc().init();
-	const errorRef = MOPointer.alloc().init();
-	const responseData = NSURLConnection.sendSynchronousRequest_returningResponse_error(
-		request,
-		responseRef,
-		errorRef,
-	);
-
-	const nativeErr = errorRef.value();
-	if (nativeErr) {
-		throw new Error(String(nativeErr.localizedDescription() || 'Sketch upload request failed.'));
-	}
-	if (!responseData) throw new Error('Sketch upload request returned empty response.');
-
-	const response = responseRef.value();
-	const status = Number(response.statusCode());
-	const jsonText = String(NSString.alloc().initWithData_encoding(responseData, NSUTF8StringEncoding));
-
-	let parsed = {};
+/**
+ * Release the handoff lock the panel checked out (panel closed, plugin shut down).
+ * Stored in the settings so it survives the panel's JS context.
+ */
+function releaseHeldHandoffLock() {
+	const projectId = getHeldHandoffLock();
+	if (!projectId) return;
+	setHeldHandoffLock('');
 	try {
-		parsed = JSON.parse(jsonText || '{}');
-	} catch (_) {
-		parsed = {};
+		releaseHandoffLock(projectId);
+	} catch (err) {
+		console.warn('[Flow] Failed to release handoff lock:', err.message);
 	}
-
-	if (status < 200 || status >= 300) {
-		throw new Error(parsed.error || `Sketch upload failed (${status})`);
-	}
-
-	return parsed.artifact || null;
 }
 
 function openPanel(initialView) {
@@ -413,6 +199,10 @@ function openPanel(initialView) {
 		win.show();
 	});
 
+	win.on('closed', () => {
+		releaseHeldHandoffLock();
+	});
+
 	const webContents = win.webContents;
 
 	// ── Send initial settings when WebView loads ──
@@ -462,6 +252,11 @@ function openPanel(initialView) {
 		setLastProjectId(projectId);
 	});
 
+	// Project whose handoff lock the panel holds ('' once released)
+	webContents.on('trackHandoffLock', (projectId) => {
+		setHeldHandoffLock(String(projectId || '').replace(/^"|"$/g, ''));
+	});
+
 	webContents.on('getSettings', () => {
 		sendToWebView(webContents, 'settings', getAllSettings());
 	});
@@ -480,6 +275,19 @@ function openPanel(initialView) {
 		}
 	});
 
+	// The panel's WKWebView has no UI delegate, so window.confirm() always answers false –
+	// confirmations are asked with a native alert instead
+	webContents.on('confirm', (raw) => {
+		const { message, detail, confirmLabel } =
+			typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+		const alert = NSAlert.alloc().init();
+		alert.setMessageText(String(message || ''));
+		if (detail) alert.setInformativeText(String(detail));
+		alert.addButtonWithTitle(String(confirmLabel || 'OK'));
+		alert.addButtonWithTitle('Cancel');
+		return Number(alert.runModal()) === NSAlertFirstButtonReturn;
+	});
+
 	// ── Document extraction (with cache) ──
 
 	webContents.on('extractDocument', (forceRefresh) => {
@@ -492,21 +300,20 @@ function openPanel(initialView) {
 				return;
 			}
 
-			const docId = doc.id || doc.path || '';
-			const shouldUseCache = !forceRefresh && _cachedDocId === docId && _cachedDocData;
+			const docId = String(doc.id || doc.path || '');
+			const shouldUseCache = !forceRefresh && _documentCache.has(docId);
 
 			if (shouldUseCache) {
-				sendToWebView(webContents, 'documentData', _cachedDocData);
+				sendToWebView(webContents, 'documentData', _documentCache.get(docId));
 				return;
 			}
 
 			// Invalidate extraction cache on fresh read
-			invalidateCache();
-			const data = extractDocument();
+			invalidateCache(docId);
+			const data = extractDocument(undefined, getExportScale());
 
 			// Cache it
-			_cachedDocData = data;
-			_cachedDocId = docId;
+			_documentCache.set(docId, data);
 
 			sendToWebView(webContents, 'documentData', data);
 		} catch (err) {
@@ -516,10 +323,9 @@ function openPanel(initialView) {
 		}
 	});
 
-	// Force refresh
+	// Force refresh (drops the cached data of every open document)
 	webContents.on('refreshDocument', () => {
-		_cachedDocData = null;
-		_cachedDocId = null;
+		_documentCache.clear();
 		invalidateCache();
 
 		try {
@@ -530,9 +336,8 @@ function openPanel(initialView) {
 				});
 				return;
 			}
-			const data = extractDocument();
-			_cachedDocData = data;
-			_cachedDocId = doc.id || doc.path || '';
+			const data = extractDocument(undefined, getExportScale());
+			_documentCache.set(data.documentId, data);
 			sendToWebView(webContents, 'documentData', data);
 		} catch (err) {
 			sendToWebView(webContents, 'extractError', {
@@ -541,14 +346,52 @@ function openPanel(initialView) {
 		}
 	});
 
-	// Export a single artboard image
-	webContents.on('exportArtboard', (artboardId) => {
+	// All open documents (names only), the selected one first
+	webContents.on('getOpenDocuments', () => {
+		return listOpenDocuments();
+	});
+
+	// Metadata of another open document, to publish it alongside the selected one
+	webContents.on('getDocumentData', (raw) => {
+		const documentId = parseDocumentId(raw);
+		if (documentId && _documentCache.has(documentId)) return _documentCache.get(documentId);
+		const data = extractDocument(documentId, getExportScale());
+		_documentCache.set(data.documentId, data);
+		return data;
+	});
+
+	// Store or clear screen export options of artboards or their pages; answers
+	// with the document's refreshed metadata
+	webContents.on('setExportOverride', (raw) => {
+		const payload = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+		setExportOverride(
+			payload.documentId || undefined,
+			payload.artboardIds || [],
+			payload.scope === 'page' ? 'page' : 'artboard',
+			payload.override || null,
+		);
+		const data = extractDocument(payload.documentId || undefined, getExportScale());
+		_documentCache.set(data.documentId, data);
+		return data;
+	});
+
+	// Tokens and symbols of the libraries a document links to
+	webContents.on('getLibraryContents', (raw) => {
+		return extractLibraryContents(parseDocumentId(raw));
+	});
+
+	// Export a single artboard image (served from / saved to the publish job when one is given,
+	// as long as the artboard's export options did not change since)
+	webContents.on('exportArtboard', (raw) => {
+		const { artboardId, sourceId, documentId, jobId } = parseArtboardRequest(raw);
 		try {
-			const base64 = exportArtboardImage(artboardId, getExportScale());
-			sendToWebView(webContents, 'artboardImage', {
-				artboardId,
-				imageBase64: base64,
-			});
+			const exportKey = jobId ? getArtboardExportKey(sourceId, getExportScale(), documentId) : null;
+			let image = jobId ? loadJobArtboard(jobId, artboardId, 'image', exportKey) : null;
+			if (!image) {
+				image = exportArtboardImage(sourceId, getExportScale(), documentId);
+				if (jobId) saveJobArtboard(jobId, artboardId, 'image', image, exportKey);
+			}
+			sendToWebView(webContents, 'artboardImage', { artboardId, image });
 		} catch (err) {
 			sendToWebView(webContents, 'artboardImageError', {
 				artboardId,
@@ -558,9 +401,17 @@ function openPanel(initialView) {
 	});
 
 	// Extract layer tree + flows for a single artboard
-	webContents.on('extractArtboardData', (artboardId) => {
+	webContents.on('extractArtboardData', (raw) => {
+		const { artboardId, sourceId, documentId, jobId } = parseArtboardRequest(raw);
 		try {
-			const data = extractArtboardData(artboardId);
+			// The content hash covers the export options – a cached one is stale when they changed
+			const exportKey = jobId ? getArtboardExportKey(sourceId, getExportScale(), documentId) : null;
+			let data = jobId ? loadJobArtboard(jobId, artboardId, 'data', exportKey) : null;
+			if (!data) {
+				// Answer with the publish ID so the WebView can match the reply
+				data = { ...extractArtboardData(sourceId, getExportScale(), documentId), artboardId };
+				if (jobId) saveJobArtboard(jobId, artboardId, 'data', data, exportKey);
+			}
 			sendToWebView(webContents, 'artboardData', data);
 		} catch (err) {
 			sendToWebView(webContents, 'artboardDataError', {
@@ -570,11 +421,132 @@ function openPanel(initialView) {
 		}
 	});
 
-	// Upload the current .sketch file to a revision endpoint
-	webContents.on('uploadSketchFile', (raw) => {
+	// Export one configured export format of a layer (asset slice)
+	webContents.on('exportLayerAsset', (raw) => {
+		let key = '';
+		try {
+			const payload = typeof raw === 'string' ? JSON.parse(raw) : raw;
+			key = payload.key;
+			const asset = exportLayerAsset(
+				payload.sourceId || payload.artboardId,
+				payload.layerId,
+				payload.format,
+				payload.documentId || undefined,
+			);
+			sendToWebView(webContents, 'layerAsset', { key, asset });
+		} catch (err) {
+			sendToWebView(webContents, 'layerAssetError', {
+				key,
+				message: err.message || 'Failed to export layer asset.',
+			});
+		}
+	});
+
+	// Extract a symbol master (local or library) for the component catalog
+	webContents.on('extractComponent', (symbolId) => {
+		try {
+			const data = extractComponent(symbolId, getExportScale());
+			sendToWebView(webContents, 'componentData', data);
+		} catch (err) {
+			sendToWebView(webContents, 'componentDataError', {
+				symbolId,
+				message: err.message || 'Failed to extract symbol master.',
+			});
+		}
+	});
+
+	// Prototype graph of a whole document (for validation before publish)
+	webContents.on('getFlowGraph', (raw) => {
+		return extractFlowGraph(parseDocumentId(raw));
+	});
+
+	// ── Durable publish jobs ──
+
+	webContents.on('saveJob', (raw) => {
+		const job = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+		const doc = sketch.Document.getSelectedDocument();
+		saveJob({ ...job, documentId: doc ? String(doc.id) : job.documentId || '' });
+	});
+
+	webContents.on('updateJobItem', (raw) => {
+		const { jobId, artboardId, status, error } =
+			typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+		updateJobItem(jobId, artboardId, status, error);
+	});
+
+	webContents.on('updateJobPhase', (raw) => {
+		const { jobId, phase, fields } = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+		updateJobPhase(jobId, phase, fields);
+	});
+
+	// Unfinished jobs for the open document, most recent first
+	webContents.on('getPendingJobs', () => {
+		const doc = sketch.Document.getSelectedDocument();
+		return doc ? getPendingJobs(String(doc.id)) : [];
+	});
+
+	webContents.on('deleteJob', (jobId) => {
+		deleteJob(jobId);
+	});
+
+	// ── Publish presets (stored in the selected document) ──
+
+	webContents.on('getPublishPresets', () => {
+		return getPublishPresets(sketch.Document.getSelectedDocument());
+	});
+
+	webContents.on('savePublishPreset', (raw) => {
+		const preset = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+		return savePublishPreset(sketch.Document.getSelectedDocument(), preset);
+	});
+
+	webContents.on('deletePublishPreset', (presetId) => {
+		return deletePublishPreset(sketch.Document.getSelectedDocument(), String(presetId || ''));
+	});
+
+	// ── Exclusion rules (stored in the selected document) ──
+
+	webContents.on('getExclusionRules', () => {
+		return getExclusionRules(sketch.Document.getSelectedDocument());
+	});
+
+	// Why the .sketch file cannot be checked in (excluded content left in it), or null
+	webContents.on('getExcludedContentMessage', () => {
+		const doc = sketch.Document.getSelectedDocument();
+		return doc ? excludedContentMessage(countExcludedContent(doc)) : null;
+	});
+
+	// Answers with the document's refreshed metadata – excluded artboards drop out of it
+	webContents.on('saveExclusionRules', (raw) => {
+		const rules = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+		saveExclusionRules(sketch.Document.getSelectedDocument(), rules);
+		const data = extractDocument(undefined, getExportScale());
+		_documentCache.set(data.documentId, data);
+		return data;
+	});
+
+	// Content hashes recorded at the last publish of a document
+	webContents.on('getContentHashes', (raw) => {
+		return getContentHashes(getDocument(parseDocumentId(raw)));
+	});
+
+	// `{ documentId, hashes }`, hashes keyed by the artboards' layer IDs
+	webContents.on('saveContentHashes', (raw) => {
+		const payload = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+		saveContentHashes(getDocument(payload.documentId || undefined), payload.hashes);
+	});
+
+	// Upload the current .sketch file to a revision (chunked, with progress)
+	webContents.on('uploadSketchFile', async (raw) => {
 		try {
 			const payload = typeof raw === 'string' ? JSON.parse(raw) : raw;
-			const artifact = uploadCurrentSketchFile(payload);
+			const artifact = await uploadCurrentSketchFile(payload, (sentBytes, totalBytes) => {
+				sendToWebView(webContents, 'uploadProgress', {
+					uploadKey: payload.revisionId,
+					sentBytes,
+					totalBytes,
+				});
+			});
 			sendToWebView(webContents, 'sketchFileUploaded', {
 				revisionId: payload.revisionId,
 				artifact,
@@ -591,6 +563,54 @@ function openPanel(initialView) {
 		}
 	});
 
+	// Download a revision's .sketch file, verify its sha256 and open it
+	webContents.on('openRevisionSketchFile', (raw) => {
+		try {
+			const payload = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+			const path = downloadRevisionSketchFile(payload);
+			sketch.Document.open(path);
+			return { opened: true, path };
+		} catch (err) {
+			return { opened: false, path: null, error: err.message || 'Failed to open revision.' };
+		}
+	});
+
+	// Revision the document was last checked in as, and whether its file changed since
+	webContents.on('getDocumentDrift', (raw) => {
+		const document = getDocument(parseDocumentId(raw));
+		const filePath = document && document.path ? resolveSketchPath(String(document.path)) : null;
+		return readDocumentDrift(document, filePath);
+	});
+
+	// `{ layerId, documentId }` – select a layer (e.g. a lint result) and scroll to it
+	webContents.on('selectLayer', (raw) => {
+		const payload = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+		try {
+			const document = getDocument(payload.documentId || undefined);
+			const layer = document.getLayerWithID(String(payload.layerId));
+			if (!layer) throw new Error('Layer not found');
+			const page = layer.getParentPage();
+			if (page) document.selectedPage = page;
+			document.selectedLayers.clear();
+			layer.selected = true;
+			document.centerOnLayer(layer);
+			return true;
+		} catch (_) {
+			sketch.UI.message('Flow: the layer no longer exists – run the lint again.');
+			return false;
+		}
+	});
+
+	// Save generated text (e.g. design tokens) to a user-chosen file
+	webContents.on('saveTextFile', (raw) => {
+		try {
+			const payload = typeof raw === 'string' ? JSON.parse(raw || '{}') : raw || {};
+			return saveTextFileWithPanel(payload);
+		} catch (err) {
+			return { saved: false, path: null, error: err.message || 'Failed to save file.' };
+		}
+	});
+
 	// Record publish timestamp
 	webContents.on('publishComplete', () => {
 		setLastPublishTime();
@@ -620,11 +640,24 @@ export function onSettings() {
 	openPanel('settings');
 }
 
+export function onQuickPublish() {
+	quickPublish();
+}
+
+export function onPresetPublish() {
+	presetPublish();
+}
+
+export function onToggleExclude() {
+	toggleSelectedLayersExcluded();
+}
+
 export default function () {
 	openPanel();
 }
 
 export function onShutdown() {
+	releaseHeldHandoffLock();
 	const existingWebview = getWebview(WEBVIEW_ID);
 	if (existingWebview) {
 		existingWebview.close();
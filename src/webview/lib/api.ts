@@ -10,6 +10,15 @@ import { get } from 'svelte/store';
 import { appState, resetAuth } from '../stores/state';
 import { addToast } from '../stores/toast';
 import { pluginRequest } from './bridge';
+import {
+	UPLOAD_CHUNK_SIZE,
+	base64ByteLength,
+	base64ToBytes,
+	bytesToBase64,
+	uploadChunks,
+	uploadError,
+	type UploadSession,
+} from './upload';
 import type {
 	AuthResponse,
 	Project,
@@ -19,7 +28,16 @@ import type {
 	HandoffLock,
 	VersionRevision,
 	RevisionCompareResult,
+	DesignTokens,
+	TokenChangelog,
+	LintConfig,
+	ExportedAsset,
+	ComponentData,
+	ArtboardPrototypeData,
+	ScreenImage,
+	ScreenImageTile,
 } from '../../types/index';
+import { screenImageFileName, screenImageMeta } from './exportOptions';
 
 type ResponseLike = Pick<Response, 'ok' | 'status' | 'json' | 'text'>;
 
@@ -306,84 +324,93 @@ export async function compareRevisions(
 	return data.diff;
 }
 
-export async function finalizeRevision(
+/** Drop a screen from an unfinished revision; a screen the base revision has keeps that copy */
+export async function removeRevisionScreen(
 	serverUrl: string,
 	projectId: string,
 	versionId: string,
 	revisionId: string,
+	sketchId: string,
 ): Promise<void> {
 	const res = await apiFetch(
-		`${serverUrl}/projects/${projectId}/versions/${versionId}/revisions/${revisionId}/complete`,
+		`${serverUrl}/projects/${projectId}/versions/${versionId}/revisions/${revisionId}/screens/${encodeURIComponent(sketchId)}`,
 		{
-			method: 'PUT',
+			method: 'DELETE',
 		},
 	);
 	if (!res.ok) {
 		const err: ApiError = await res.json().catch(() => ({ error: `Server returned ${res.status}` }));
-		throw new Error(err.error || 'Failed to finalize revision');
+		throw new Error(err.error || 'Failed to drop screen from revision');
 	}
 }
 
-export async function uploadScreen(
+/** Check the revision in, with the token changelog when design tokens changed */
+export async function finalizeRevision(
 	serverUrl: string,
 	projectId: string,
 	versionId: string,
-	screenData: {
-		name: string;
-		sketchId: string;
-		pageName: string;
-		width: number;
-		height: number;
-		imageBase64: string;
-		layers: any[];
-		flows: any[];
-		displayOrder: number;
-		isFlowHome?: boolean;
-		revisionId?: string;
-	},
+	revisionId: string,
+	payload: { tokenChangelog?: TokenChangelog } = {},
 ): Promise<void> {
-	// Convert base64 to binary Blob and send as multipart/form-data
-	const base64Data = screenData.imageBase64.replace(/^data:image\/\w+;base64,/, '');
+	const res = await apiFetch(
+		`${serverUrl}/projects/${projectId}/versions/${versionId}/revisions/${revisionId}/complete`,
+		{
+			method: 'PUT',
+			body: JSON.stringify(payload),
+		},
+	);
+	if (!res.ok) {
+		const err: ApiError = await res.json().catch(() => ({ error: `Server returned ${res.status}` }));
+		throw new Error(err.error || 'Failed to finalize revision');
+	}
+}
+
+type MultipartFile = {
+	field: string;
+	filename: string;
+	contentType: string;
+	base64: string;
+};
+
+function base64ToBlob(base64: string, contentType: string): Blob {
+	const base64Data = base64.replace(/^data:[^;]+;base64,/, '');
 	const binaryStr = atob(base64Data);
 	const bytes = new Uint8Array(binaryStr.length);
 	for (let i = 0; i < binaryStr.length; i++) {
 		bytes[i] = binaryStr.charCodeAt(i);
 	}
-	const imageBlob = new Blob([bytes], { type: 'image/png' });
-
-	const meta = {
-		name: screenData.name,
-		sketchId: screenData.sketchId,
-		pageName: screenData.pageName,
-		width: screenData.width,
-		height: screenData.height,
-		layers: screenData.layers,
-		flows: screenData.flows,
-		displayOrder: screenData.displayOrder,
-		isFlowHome: screenData.isFlowHome || false,
-		revisionId: screenData.revisionId,
-	};
+	return new Blob([bytes], { type: contentType });
+}
 
+/**
+ * POST a single file plus a JSON `meta` field as multipart/form-data.
+ * Falls back to the native request bridge when SSL errors are ignored.
+ */
+async function postMultipart(
+	url: string,
+	file: MultipartFile,
+	meta: Record<string, unknown>,
+	label: string,
+): Promise<void> {
 	const state = get(appState);
-	const screenUrl = `${serverUrl}/projects/${projectId}/versions/${versionId}/screens`;
-	if (shouldUseNativeSslBypass(state, screenUrl)) {
+	if (shouldUseNativeSslBypass(state, url)) {
 		const headers: Record<string, string> = {};
 		if (state.authToken) {
 			headers['Authorization'] = `Bearer ${state.authToken}`;
 		}
 
 		const native = await pluginRequest<NativeApiResult>('nativeApiRequest', {
-			url: screenUrl,
+			url,
 			method: 'POST',
 			headers,
 			insecure: true,
 			multipart: {
 				files: [
 					{
-						name: 'image',
-						filename: `${screenData.sketchId}.png`,
-						contentType: 'image/png',
-						base64: screenData.imageBase64,
+						name: file.field,
+						filename: file.filename,
+						contentType: file.contentType,
+						base64: file.base64,
 					},
 				],
 				fields: {
@@ -398,16 +425,17 @@ export async function uploadScreen(
 				const parsed = JSON.parse(native.bodyText || '{}');
 				errorText = parsed.error || errorText;
 			} catch {}
-			throw new Error(`Failed to upload "${screenData.name}": ${errorText}`);
+			throw new Error(`Failed to upload "${label}": ${errorText}`);
 		}
 		return;
 	}
 
+	// Convert base64 to binary Blob and send as multipart/form-data
 	const formData = new FormData();
-	formData.append('image', imageBlob, `${screenData.sketchId}.png`);
+	formData.append(file.field, base64ToBlob(file.base64, file.contentType), file.filename);
 	formData.append('meta', JSON.stringify(meta));
 
-	const res = await apiFetch(screenUrl, {
+	const res = await apiFetch(url, {
 		method: 'POST',
 		headers: {}, // Let browser set Content-Type with boundary
 		body: formData,
@@ -415,10 +443,382 @@ export async function uploadScreen(
 
 	if (!res.ok) {
 		const err: ApiError = await res.json().catch(() => ({ error: `${res.status}` }));
-		throw new Error(`Failed to upload "${screenData.name}": ${err.error || res.status}`);
+		throw new Error(`Failed to upload "${label}": ${err.error || res.status}`);
 	}
 }
 
+// ─── Chunked uploads ─────────────────────────────────────────────────
+
+/**
+ * One request of the chunked upload protocol (see `lib/upload.ts`).
+ * Failures throw an UploadError carrying the HTTP status so the caller can decide to retry.
+ */
+async function uploadRequest(
+	url: string,
+	method: string,
+	body: { json?: unknown; bytes?: Uint8Array<ArrayBuffer> },
+	label: string,
+): Promise<any> {
+	const state = get(appState);
+	const contentType = body.bytes ? 'application/octet-stream' : 'application/json';
+	let res: ResponseLike;
+
+	if (shouldUseNativeSslBypass(state, url)) {
+		const headers: Record<string, string> = { 'Content-Type': contentType };
+		if (state.authToken) {
+			headers['Authorization'] = `Bearer ${state.authToken}`;
+		}
+		const native = await pluginRequest<NativeApiResult>('nativeApiRequest', {
+			url,
+			method,
+			headers,
+			body: body.json !== undefined ? JSON.stringify(body.json) : '',
+			bodyBase64: body.bytes ? bytesToBase64(body.bytes) : undefined,
+			insecure: true,
+		});
+		res = toResponseLike(native);
+		if (res.status === 401) {
+			resetAuth();
+			addToast('Session expired — please log in again.', 'warning');
+		}
+	} else {
+		try {
+			res = await apiFetch(url, {
+				method,
+				headers: { 'Content-Type': contentType },
+				body: body.bytes
+					? new Blob([body.bytes], { type: contentType })
+					: body.json !== undefined
+						? JSON.stringify(body.json)
+						: undefined,
+			});
+		} catch (err: any) {
+			// apiFetch resets auth on 401 – that must not be retried
+			if (!get(appState).authToken) throw uploadError('Authentication expired', 401);
+			throw uploadError(`Failed to upload "${label}": ${err.message || 'network error'}`);
+		}
+	}
+
+	const data = await res.json().catch(() => ({}));
+	if (!res.ok) {
+		throw uploadError(`Failed to upload "${label}": ${data.error || res.status}`, res.status);
+	}
+	return data;
+}
+
+/**
+ * Upload a file through the chunked protocol and attach it with `meta`.
+ * Resolves null when the server does not support chunked uploads (404 on init),
+ * so the caller can fall back to a single request.
+ */
+async function uploadInChunks(
+	serverUrl: string,
+	projectId: string,
+	versionId: string,
+	file: { target: string; filename: string; contentType: string; base64: string },
+	meta: Record<string, unknown>,
+	label: string,
+	onProgress?: (sentBytes: number, totalBytes: number) => void,
+): Promise<any | null> {
+	const base = `${serverUrl}/projects/${projectId}/versions/${versionId}/uploads`;
+	const bytes = base64ToBytes(file.base64);
+
+	let session: UploadSession;
+	try {
+		const data = await uploadRequest(
+			base,
+			'POST',
+			{
+				json: {
+					target: file.target,
+					fileName: file.filename,
+					contentType: file.contentType,
+					size: bytes.length,
+					revisionId: meta.revisionId,
+				},
+			},
+			label,
+		);
+		session = data.upload;
+	} catch (err: any) {
+		if (err.status === 404) return null;
+		throw err;
+	}
+
+	const uploadUrl = `${base}/${session.id}`;
+	await uploadChunks({
+		totalBytes: bytes.length,
+		chunkSize: session.chunkSize || UPLOAD_CHUNK_SIZE,
+		startOffset: session.receivedBytes || 0,
+		sendChunk: async (offset, end) => {
+			const data = await uploadRequest(
+				`${uploadUrl}?offset=${offset}`,
+				'PUT',
+				{ bytes: bytes.subarray(offset, end) },
+				label,
+			);
+			return Number(data.receivedBytes);
+		},
+		fetchOffset: async () => {
+			const data = await uploadRequest(uploadUrl, 'GET', {}, label);
+			return Number(data.upload?.receivedBytes) || 0;
+		},
+		onProgress,
+	});
+
+	return uploadRequest(`${uploadUrl}/complete`, 'POST', { json: { meta } }, label);
+}
+
+export async function uploadScreen(
+	serverUrl: string,
+	projectId: string,
+	versionId: string,
+	screenData: {
+		name: string;
+		sketchId: string;
+		pageName: string;
+		width: number;
+		height: number;
+		image: ScreenImage;
+		layers: any[];
+		flows: any[];
+		displayOrder: number;
+		isFlowHome?: boolean;
+		revisionId?: string;
+		contentHash?: string;
+		prototype?: ArtboardPrototypeData;
+	},
+	onProgress?: (sentBytes: number, totalBytes: number) => void,
+): Promise<void> {
+	const meta = {
+		name: screenData.name,
+		sketchId: screenData.sketchId,
+		pageName: screenData.pageName,
+		width: screenData.width,
+		height: screenData.height,
+		layers: screenData.layers,
+		flows: screenData.flows,
+		displayOrder: screenData.displayOrder,
+		isFlowHome: screenData.isFlowHome || false,
+		revisionId: screenData.revisionId,
+		contentHash: screenData.contentHash,
+		prototype: screenData.prototype,
+		image: screenImageMeta(screenData.image),
+	};
+	// The first tile is uploaded with the screen, the rest are attached to it afterwards
+	const [first, ...moreTiles] = screenData.image.tiles;
+	const image = {
+		field: 'image',
+		filename: screenImageFileName(screenData.sketchId, screenData.image.format, first.index),
+		contentType: screenData.image.mimeType,
+		base64: first.dataUri,
+	};
+
+	// Images larger than one chunk go through the resumable chunked protocol
+	if (base64ByteLength(image.base64) > UPLOAD_CHUNK_SIZE) {
+		const uploaded = await uploadInChunks(
+			serverUrl,
+			projectId,
+			versionId,
+			{ target: 'screen', ...image },
+			meta,
+			screenData.name,
+			onProgress,
+		);
+		if (uploaded) {
+			await uploadScreenTiles(serverUrl, projectId, versionId, screenData, moreTiles);
+			return;
+		}
+	}
+
+	await postMultipart(
+		`${serverUrl}/projects/${projectId}/versions/${versionId}/screens`,
+		image,
+		meta,
+		screenData.name,
+	);
+	await uploadScreenTiles(serverUrl, projectId, versionId, screenData, moreTiles);
+}
+
+/** Attach the remaining tiles of a screen that was split into tiles */
+async function uploadScreenTiles(
+	serverUrl: string,
+	projectId: string,
+	versionId: string,
+	screenData: { name: string; sketchId: string; image: ScreenImage; revisionId?: string },
+	tiles: ScreenImageTile[],
+): Promise<void> {
+	for (const tile of tiles) {
+		const label = `${screenData.name} (tile ${tile.index + 1})`;
+		const file = {
+			field: 'image',
+			filename: screenImageFileName(screenData.sketchId, screenData.image.format, tile.index),
+			contentType: screenData.image.mimeType,
+			base64: tile.dataUri,
+		};
+		const meta = {
+			sketchId: screenData.sketchId,
+			index: tile.index,
+			y: tile.y,
+			height: tile.height,
+			revisionId: screenData.revisionId,
+		};
+
+		if (base64ByteLength(file.base64) > UPLOAD_CHUNK_SIZE) {
+			const uploaded = await uploadInChunks(
+				serverUrl,
+				projectId,
+				versionId,
+				{ target: 'screenTile', ...file },
+				meta,
+				label,
+			);
+			if (uploaded) continue;
+		}
+
+		await postMultipart(
+			`${serverUrl}/projects/${projectId}/versions/${versionId}/screens/${screenData.sketchId}/tiles`,
+			file,
+			meta,
+			label,
+		);
+	}
+}
+
+/**
+ * Carry an unchanged screen forward into this version/revision without re-uploading it.
+ * The server copies its latest screen with the same sketchId + contentHash.
+ * Resolves false when the server has no matching screen, so the caller can upload it instead.
+ */
+export async function carryForwardScreen(
+	serverUrl: string,
+	projectId: string,
+	versionId: string,
+	screenData: {
+		sketchId: string;
+		contentHash: string;
+		name: string;
+		pageName: string;
+		displayOrder: number;
+		isFlowHome?: boolean;
+		revisionId?: string;
+	},
+): Promise<boolean> {
+	const res = await apiFetch(
+		`${serverUrl}/projects/${projectId}/versions/${versionId}/screens/carry-forward`,
+		{
+			method: 'POST',
+			body: JSON.stringify(screenData),
+		},
+	);
+	if (res.status === 404 || res.status === 409) return false;
+	if (!res.ok) {
+		const err: ApiError = await res.json().catch(() => ({ error: `${res.status}` }));
+		throw new Error(`Failed to carry forward "${screenData.name}": ${err.error || res.status}`);
+	}
+	return true;
+}
+
+/**
+ * Upload an exported layer asset as an attachment of the screen it belongs to.
+ */
+export async function uploadScreenAsset(
+	serverUrl: string,
+	projectId: string,
+	versionId: string,
+	sketchId: string,
+	asset: ExportedAsset,
+	revisionId?: string,
+): Promise<void> {
+	await postMultipart(
+		`${serverUrl}/projects/${projectId}/versions/${versionId}/screens/${sketchId}/assets`,
+		{
+			field: 'file',
+			filename: asset.fileName,
+			contentType: asset.mimeType,
+			base64: asset.dataUri,
+		},
+		{
+			layerId: asset.layerId,
+			layerName: asset.layerName,
+			fileName: asset.fileName,
+			fileFormat: asset.fileFormat,
+			scale: asset.scale,
+			revisionId,
+		},
+		asset.fileName,
+	);
+}
+
+/**
+ * Upload a symbol master to the revision's component catalog, with the screens
+ * that use it. The preview is sent as multipart when the master could be rendered.
+ */
+export async function uploadComponent(
+	serverUrl: string,
+	projectId: string,
+	versionId: string,
+	component: ComponentData,
+	usedInScreens: string[],
+	revisionId?: string,
+): Promise<void> {
+	const url = `${serverUrl}/projects/${projectId}/versions/${versionId}/components`;
+	const { previewBase64, ...data } = component;
+	const meta = { ...data, usedInScreens, revisionId };
+
+	if (previewBase64) {
+		await postMultipart(
+			url,
+			{
+				field: 'preview',
+				filename: `${component.symbolId}.png`,
+				contentType: 'image/png',
+				base64: previewBase64,
+			},
+			meta,
+			component.name,
+		);
+		return;
+	}
+
+	const res = await apiFetch(url, { method: 'POST', body: JSON.stringify(meta) });
+	if (!res.ok) {
+		const err: ApiError = await res.json().catch(() => ({ error: `${res.status}` }));
+		throw new Error(`Failed to upload "${component.name}": ${err.error || res.status}`);
+	}
+}
+
+/** Design tokens stored on the version by its previous revision, null before the first */
+export async function fetchVersionTokens(
+	serverUrl: string,
+	projectId: string,
+	versionId: string,
+): Promise<DesignTokens | null> {
+	const res = await apiFetch(`${serverUrl}/projects/${projectId}/versions/${versionId}/tokens`);
+	if (res.status === 404) return null;
+	if (!res.ok) throw new Error('Failed to load design tokens');
+	const data = await res.json();
+	const tokens = data.tokens === undefined ? data : data.tokens;
+	if (!tokens) return null;
+	return {
+		colors: tokens.colors || [],
+		textStyles: tokens.textStyles || [],
+		layerStyles: tokens.layerStyles || [],
+	};
+}
+
+/** The team's design lint config stored on the project, null when it has none */
+export async function fetchLintConfig(
+	serverUrl: string,
+	projectId: string,
+): Promise<Partial<LintConfig> | null> {
+	const res = await apiFetch(`${serverUrl}/projects/${projectId}/lint-config`);
+	if (res.status === 404) return null;
+	if (!res.ok) throw new Error('Failed to load lint config');
+	const data = await res.json();
+	return data.config || null;
+}
+
 export async function uploadTokens(
 	serverUrl: string,
 	projectId: string,
@@ -0,0 +1,40 @@
+/**
+ * Helpers for the layer asset export step of the publish pipeline.
+ *
+ * Exportable layers are discovered from the already-extracted layer tree so the
+ * native side only has to render one asset at a time.
+ */
+import type { ExportFormat, LayerData } from '../../types/index';
+
+export interface AssetRequest {
+	/** Unique key for the pending bridge request */
+	key: string;
+	layerId: string;
+	layerName: string;
+	format: ExportFormat;
+}
+
+/**
+ * Collect every configured export format of every layer in the tree (depth-first).
+ */
+export function collectExportAssets(layers: LayerData[]): AssetRequest[] {
+	const result: AssetRequest[] = [];
+	const walk = (list: LayerData[]) => {
+		for (const layer of list) {
+			const formats = layer.exportFormats || [];
+			formats.forEach((format, index) => {
+				result.push({
+					key: `${layer.id}:${index}`,
+					layerId: layer.id,
+					layerName: layer.name,
+					format,
+				});
+			});
+			if (layer.children && layer.children.length > 0) {
+				walk(layer.children);
+			}
+		}
+	};
+	walk(layers);
+	return result;
+}
@@ -4,7 +4,15 @@
  * WebView → Plugin: window.postMessage(handler, data)
  * Plugin → WebView: window.__onPluginMessage({ type, payload })
  */
-import type { PluginToWebViewMessage } from '../../types/index';
+import type {
+	PluginToWebViewMessage,
+	ExportFormat,
+	ExportedAsset,
+	ComponentData,
+	ArtboardMeta,
+	ArtboardRequest,
+	ScreenImage,
+} from '../../types/index';
 
 type MessageHandler = (payload: any) => void;
 
@@ -37,6 +45,20 @@ export async function pluginRequest<T = unknown>(
 	return raw as T;
 }
 
+/**
+ * Ask the user to confirm with a native alert – `window.confirm()` always
+ * answers false in the panel's web view.
+ */
+export async function confirmNative(
+	message: string,
+	options: { detail?: string; confirmLabel?: string } = {},
+): Promise<boolean> {
+	const confirmed = await pluginRequest<boolean>('confirm', { message, ...options }).catch(
+		() => false,
+	);
+	return confirmed === true;
+}
+
 /**
  * Register a handler for messages from the plugin native side.
  */
@@ -78,14 +100,44 @@ type PendingRequest = {
 	timer: ReturnType<typeof setTimeout>;
 };
 
+/** Long-running upload: the timeout restarts whenever a progress event arrives */
+type PendingUpload = PendingRequest & {
+	timeoutMs: number;
+	onProgress?: (sentBytes: number, totalBytes: number) => void;
+};
+
 const pendingDataRequests = new Map<string, PendingRequest>();
 const pendingImageRequests = new Map<string, PendingRequest>();
-const pendingSketchUploads = new Map<string, PendingRequest>();
+const pendingSketchUploads = new Map<string, PendingUpload>();
+const pendingAssetRequests = new Map<string, PendingRequest>();
+const pendingComponentRequests = new Map<string, PendingRequest>();
+
+/** Where an artboard lives when it isn't in the selected document under its own ID */
+export type ArtboardSource = Pick<ArtboardMeta, 'sourceId' | 'documentId'>;
+
+function artboardRequest(
+	artboardId: string,
+	jobId: string | null,
+	source: ArtboardSource | null,
+): string | ArtboardRequest {
+	if (!jobId && !source) return artboardId;
+	return {
+		artboardId,
+		...(source ? { sourceId: source.sourceId, documentId: source.documentId } : {}),
+		...(jobId ? { jobId } : {}),
+	};
+}
 
 /**
  * Request artboard layer data from the native side. Returns a Promise.
+ * With a jobId the native side serves (or caches) the data from the durable publish job.
  */
-export function requestArtboardData(artboardId: string, timeoutMs = 60_000): Promise<any> {
+export function requestArtboardData(
+	artboardId: string,
+	timeoutMs = 60_000,
+	jobId: string | null = null,
+	source: ArtboardSource | null = null,
+): Promise<any> {
 	return new Promise((resolve, reject) => {
 		// Cancel any existing request for this artboard
 		const existing = pendingDataRequests.get(artboardId);
@@ -100,14 +152,21 @@ export function requestArtboardData(artboardId: string, timeoutMs = 60_000): Pro
 		}, timeoutMs);
 
 		pendingDataRequests.set(artboardId, { resolve, reject, timer });
-		pluginCall('extractArtboardData', artboardId);
+		pluginCall('extractArtboardData', artboardRequest(artboardId, jobId, source));
 	});
 }
 
 /**
- * Request artboard image export from the native side. Returns a Promise.
+ * Request the screen image of an artboard (its tiles, in its export format) from
+ * the native side. Returns a Promise.
+ * With a jobId the native side serves (or caches) the image from the durable publish job.
  */
-export function requestArtboardImage(artboardId: string, timeoutMs = 120_000): Promise<string> {
+export function requestArtboardImage(
+	artboardId: string,
+	timeoutMs = 120_000,
+	jobId: string | null = null,
+	source: ArtboardSource | null = null,
+): Promise<ScreenImage> {
 	return new Promise((resolve, reject) => {
 		const existing = pendingImageRequests.get(artboardId);
 		if (existing) {
@@ -121,7 +180,7 @@ export function requestArtboardImage(artboardId: string, timeoutMs = 120_000): P
 		}, timeoutMs);
 
 		pendingImageRequests.set(artboardId, { resolve, reject, timer });
-		pluginCall('exportArtboard', artboardId);
+		pluginCall('exportArtboard', artboardRequest(artboardId, jobId, source));
 	});
 }
 
@@ -132,11 +191,13 @@ export async function requestArtboardImageWithRetry(
 	artboardId: string,
 	name: string,
 	maxRetries = 3,
-): Promise<string> {
+	jobId: string | null = null,
+	source: ArtboardSource | null = null,
+): Promise<ScreenImage> {
 	let lastErr: Error | undefined;
 	for (let attempt = 1; attempt <= maxRetries; attempt++) {
 		try {
-			return await requestArtboardImage(artboardId);
+			return await requestArtboardImage(artboardId, undefined, jobId, source);
 		} catch (err) {
 			lastErr = err as Error;
 			if (attempt < maxRetries) {
@@ -147,8 +208,62 @@ export async function requestArtboardImageWithRetry(
 	throw lastErr;
 }
 
+/**
+ * Request export of one layer asset (a single export format) from the native side.
+ */
+export function requestLayerAsset(
+	request: {
+		key: string;
+		artboardId: string;
+		sourceId?: string;
+		documentId?: string;
+		layerId: string;
+		format: ExportFormat;
+	},
+	timeoutMs = 120_000,
+): Promise<ExportedAsset> {
+	return new Promise((resolve, reject) => {
+		const existing = pendingAssetRequests.get(request.key);
+		if (existing) {
+			clearTimeout(existing.timer);
+			existing.reject(new Error('Superseded by new request'));
+		}
+
+		const timer = setTimeout(() => {
+			pendingAssetRequests.delete(request.key);
+			reject(new Error(`Asset export timed out for "${request.key}"`));
+		}, timeoutMs);
+
+		pendingAssetRequests.set(request.key, { resolve, reject, timer });
+		pluginCall('exportLayerAsset', request);
+	});
+}
+
+/**
+ * Request a symbol master (component catalog entry) from the native side.
+ */
+export function requestComponent(symbolId: string, timeoutMs = 120_000): Promise<ComponentData> {
+	return new Promise((resolve, reject) => {
+		const existing = pendingComponentRequests.get(symbolId);
+		if (existing) {
+			clearTimeout(existing.timer);
+			existing.reject(new Error('Superseded by new request'));
+		}
+
+		const timer = setTimeout(() => {
+			pendingComponentRequests.delete(symbolId);
+			reject(new Error(`Symbol extraction timed out for "${symbolId}"`));
+		}, timeoutMs);
+
+		pendingComponentRequests.set(symbolId, { resolve, reject, timer });
+		pluginCall('extractComponent', symbolId);
+	});
+}
+
 /**
  * Request native-side upload of the current .sketch document.
+ * The native side uploads in chunks and reports `uploadProgress`; the timeout
+ * only fires when no progress arrives for `timeoutMs`.
  */
 export function requestSketchFileUpload(
 	payload: {
@@ -157,9 +272,11 @@ export function requestSketchFileUpload(
 		projectId: string;
 		versionId: string;
 		revisionId: string;
+		revisionNumber?: number;
 		ignoreSslErrors?: boolean;
 	},
 	timeoutMs = 10 * 60_000,
+	onProgress?: (sentBytes: number, totalBytes: number) => void,
 ): Promise<any> {
 	return new Promise((resolve, reject) => {
 		const key = payload.revisionId;
@@ -169,16 +286,24 @@ export function requestSketchFileUpload(
 			existing.reject(new Error('Superseded by new upload request'));
 		}
 
-		const timer = setTimeout(() => {
-			pendingSketchUploads.delete(key);
-			reject(new Error('Sketch file upload timed out'));
-		}, timeoutMs);
-
-		pendingSketchUploads.set(key, { resolve, reject, timer });
+		pendingSketchUploads.set(key, {
+			resolve,
+			reject,
+			timer: armUploadTimer(key, timeoutMs, reject),
+			timeoutMs,
+			onProgress,
+		});
 		pluginCall('uploadSketchFile', payload);
 	});
 }
 
+function armUploadTimer(key: string, timeoutMs: number, reject: (reason: any) => void) {
+	return setTimeout(() => {
+		pendingSketchUploads.delete(key);
+		reject(new Error('Sketch file upload timed out'));
+	}, timeoutMs);
+}
+
 // ─── Register native message handlers for promise resolution ─────────
 
 export function initBridgeHandlers(): void {
@@ -207,7 +332,7 @@ export function initBridgeHandlers(): void {
 		const pending = pendingImageRequests.get(id);
 		if (pending) {
 			clearTimeout(pending.timer);
-			pending.resolve(payload.imageBase64);
+			pending.resolve(payload.image);
 			pendingImageRequests.delete(id);
 		}
 	});
@@ -222,6 +347,42 @@ export function initBridgeHandlers(): void {
 		}
 	});
 
+	onPluginMessage('layerAsset', (payload) => {
+		const pending = pendingAssetRequests.get(payload.key);
+		if (pending) {
+			clearTimeout(pending.timer);
+			pending.resolve(payload.asset);
+			pendingAssetRequests.delete(payload.key);
+		}
+	});
+
+	onPluginMessage('layerAssetError', (payload) => {
+		const pending = pendingAssetRequests.get(payload.key);
+		if (pending) {
+			clearTimeout(pending.timer);
+			pending.reject(new Error(payload.message));
+			pendingAssetRequests.delete(payload.key);
+		}
+	});
+
+	onPluginMessage('componentData', (payload) => {
+		const pending = pendingComponentRequests.get(payload.symbolId);
+		if (pending) {
+			clearTimeout(pending.timer);
+			pending.resolve(payload);
+			pendingComponentRequests.delete(payload.symbolId);
+		}
+	});
+
+	onPluginMessage('componentDataError', (payload) => {
+		const pending = pendingComponentRequests.get(payload.symbolId);
+		if (pending) {
+			clearTimeout(pending.timer);
+			pending.reject(new Error(payload.message));
+			pendingComponentRequests.delete(payload.symbolId);
+		}
+	});
+
 	onPluginMessage('sketchFileUploaded', (payload) => {
 		const id = payload.revisionId;
 		const pending = pendingSketchUploads.get(id);
@@ -232,6 +393,15 @@ export function initBridgeHandlers(): void {
 		}
 	});
 
+	onPluginMessage('uploadProgress', (payload) => {
+		const pending = pendingSketchUploads.get(payload.uploadKey);
+		if (pending) {
+			clearTimeout(pending.timer);
+			pending.timer = armUploadTimer(payload.uploadKey, pending.timeoutMs, pending.reject);
+			pending.onProgress?.(payload.sentBytes, payload.totalBytes);
+		}
+	});
+
 	onPluginMessage('sketchFileUploadError', (payload) => {
 		const id = payload.revisionId;
 		const pending = pendingSketchUploads.get(id);
@@ -0,0 +1,277 @@
+/**
+ * Code generators for extracted design tokens.
+ *
+ * Outputs CSS custom properties, SCSS variables/mixins and a Tailwind
+ * `theme.extend` object so developers can drop the exact values a revision
+ * shipped into their codebase. Text styles become typography utilities and
+ * layer-style shadows become box-shadow values.
+ */
+import type { DesignTokens, ShadowData, TextStyleToken } from '../../types/index';
+import { cssFontWeight, normalizeColor, px, toW3CTokens, tokenPath } from './tokens';
+
+export type TokenExportFormat = 'w3c' | 'css' | 'scss' | 'tailwind';
+
+export const TOKEN_EXPORT_FORMATS: { value: TokenExportFormat; label: string }[] = [
+	{ value: 'w3c', label: 'W3C Design Tokens (JSON)' },
+	{ value: 'css', label: 'CSS custom properties' },
+	{ value: 'scss', label: 'SCSS variables & mixins' },
+	{ value: 'tailwind', label: 'Tailwind theme.extend' },
+];
+
+// ─── Naming ──────────────────────────────────────────────────────────
+
+/** `Brand/Primary 500` → `brand-primary-500` */
+export function kebabName(name: string): string {
+	return tokenPath(name)
+		.map((segment) =>
+			segment
+				.replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+				.replace(/[^a-zA-Z0-9]+/g, '-')
+				.replace(/^-+|-+$/g, '')
+				.toLowerCase(),
+		)
+		.filter(Boolean)
+		.join('-');
+}
+
+/** Assign unique kebab names, suffixing duplicates (`blue`, `blue-2`) */
+function uniqueNames<T extends { name: string }>(items: T[]): [string, T][] {
+	const seen = new Map<string, number>();
+	return items.map((item) => {
+		const base = kebabName(item.name) || 'unnamed';
+		const count = (seen.get(base) || 0) + 1;
+		seen.set(base, count);
+		return [count > 1 ? `${base}-${count}` : base, item];
+	});
+}
+
+// ─── Shared value helpers ────────────────────────────────────────────
+
+function colorValue(color: string | null | undefined): string {
+	return normalizeColor(color) || 'transparent';
+}
+
+export function boxShadow(shadows: ShadowData[], inset = false): string {
+	return shadows
+		.map(
+			(s) =>
+				`${inset ? 'inset ' : ''}${px(s.x)} ${px(s.y)} ${px(s.blur)} ${px(s.spread)} ${colorValue(s.color)}`,
+		)
+		.join(', ');
+}
+
+interface TypographyDeclarations {
+	'font-family'?: string;
+	'font-size'?: string;
+	'font-weight'?: string;
+	'line-height'?: string;
+	'letter-spacing'?: string;
+	'text-transform'?: string;
+	'text-align'?: string;
+	color?: string;
+}
+
+function typographyDeclarations(
+	style: TextStyleToken,
+	colorRef: (color: string) => string,
+): TypographyDeclarations {
+	const decl: TypographyDeclarations = {};
+	if (style.fontFamily) decl['font-family'] = `'${style.fontFamily}'`;
+	if (style.fontSize) decl['font-size'] = px(style.fontSize);
+	const fontWeight = cssFontWeight(style.fontWeight);
+	if (fontWeight) decl['font-weight'] = String(fontWeight);
+	if (style.lineHeight) decl['line-height'] = px(style.lineHeight);
+	if (style.letterSpacing) decl['letter-spacing'] = px(style.letterSpacing);
+	if (style.textTransform && style.textTransform !== 'none') {
+		decl['text-transform'] = style.textTransform;
+	}
+	if (style.textAlignment && style.textAlignment !== 'left') {
+		decl['text-align'] = style.textAlignment === 'justified' ? 'justify' : style.textAlignment;
+	}
+	if (style.textColor) decl.color = colorRef(style.textColor);
+	return decl;
+}
+
+function declarationLines(decl: object, indent: string): string[] {
+	return Object.entries(decl).map(([prop, value]) => `${indent}${prop}: ${value};`);
+}
+
+/** Map color values to the first color token with that value (for var()/$var references) */
+function colorAliases(tokens: DesignTokens, prefix: string): Map<string, string> {
+	const aliases = new Map<string, string>();
+	for (const [name, swatch] of uniqueNames(tokens.colors || [])) {
+		const value = normalizeColor(swatch.color);
+		if (value && !aliases.has(value)) aliases.set(value, `${prefix}${name}`);
+	}
+	return aliases;
+}
+
+// ─── CSS ─────────────────────────────────────────────────────────────
+
+export function toCss(tokens: DesignTokens): string {
+	const lines: string[] = [':root {'];
+	for (const [name, swatch] of uniqueNames(tokens.colors || [])) {
+		lines.push(`\t--color-${name}: ${colorValue(swatch.color)};`);
+	}
+	for (const [name, style] of uniqueNames(tokens.layerStyles || [])) {
+		if (style.shadows && style.shadows.length > 0) {
+			lines.push(`\t--shadow-${name}: ${boxShadow(style.shadows)};`);
+		}
+	}
+	lines.push('}');
+
+	const aliases = colorAliases(tokens, '--color-');
+	const colorRef = (color: string) => {
+		const alias = aliases.get(normalizeColor(color) || '');
+		return alias ? `var(${alias})` : colorValue(color);
+	};
+	for (const [name, style] of uniqueNames(tokens.textStyles || [])) {
+		lines.push(
+			'',
+			`.text-${name} {`,
+			...declarationLines(typographyDeclarations(style, colorRef), '\t'),
+			'}',
+		);
+	}
+	for (const [name, style] of uniqueNames(tokens.layerStyles || [])) {
+		if (style.shadows && style.shadows.length > 0) {
+			lines.push('', `.shadow-${name} {`, `\tbox-shadow: var(--shadow-${name});`, '}');
+		}
+	}
+	return lines.join('\n') + '\n';
+}
+
+// ─── SCSS ────────────────────────────────────────────────────────────
+
+export function toScss(tokens: DesignTokens): string {
+	const lines: string[] = [];
+	for (const [name, swatch] of uniqueNames(tokens.colors || [])) {
+		lines.push(`$color-${name}: ${colorValue(swatch.color)};`);
+	}
+	for (const [name, style] of uniqueNames(tokens.layerStyles || [])) {
+		if (style.shadows && style.shadows.length > 0) {
+			lines.push(`$shadow-${name}: ${boxShadow(style.shadows)};`);
+		}
+	}
+
+	const aliases = colorAliases(tokens, '$color-');
+	const colorRef = (color: string) => aliases.get(normalizeColor(color) || '') || colorValue(color);
+	for (const [name, style] of uniqueNames(tokens.textStyles || [])) {
+		lines.push(
+			'',
+			`@mixin text-${name} {`,
+			...declarationLines(typographyDeclarations(style, colorRef), '\t'),
+			'}',
+		);
+	}
+	return lines.join('\n') + '\n';
+}
+
+// ─── Tailwind ────────────────────────────────────────────────────────
+
+type NestedColors = { [key: string]: string | NestedColors };
+
+/** Insert a color into Tailwind's nested palette; a token that is also a group becomes DEFAULT */
+function insertColor(palette: NestedColors, path: string[], value: string): void {
+	let group = palette;
+	for (let i = 0; i < path.length - 1; i++) {
+		const key = path[i];
+		const existing = group[key];
+		if (existing === undefined) {
+			group[key] = {};
+		} else if (typeof existing === 'string') {
+			group[key] = { DEFAULT: existing };
+		}
+		group = group[key] as NestedColors;
+	}
+	const leaf = path[path.length - 1];
+	const existing = group[leaf];
+	if (existing !== undefined && typeof existing !== 'string') {
+		existing.DEFAULT = value;
+	} else if (existing === undefined) {
+		group[leaf] = value;
+	}
+}
+
+export interface TailwindThemeExtend {
+	colors: NestedColors;
+	fontFamily: Record<string, string[]>;
+	fontSize: Record<string, [string, Record<string, string>]>;
+	boxShadow: Record<string, string>;
+}
+
+export function toTailwindThemeExtend(tokens: DesignTokens): TailwindThemeExtend {
+	const extend: TailwindThemeExtend = { colors: {}, fontFamily: {}, fontSize: {}, boxShadow: {} };
+
+	for (const swatch of tokens.colors || []) {
+		const path = tokenPath(swatch.name).map((s) => kebabName(s) || 'unnamed');
+		insertColor(extend.colors, path, colorValue(swatch.color));
+	}
+
+	for (const [name, style] of uniqueNames(tokens.textStyles || [])) {
+		if (style.fontFamily && !extend.fontFamily[kebabName(style.fontFamily)]) {
+			extend.fontFamily[kebabName(style.fontFamily)] = [style.fontFamily];
+		}
+		if (style.fontSize) {
+			const options: Record<string, string> = {};
+			if (style.lineHeight) options.lineHeight = px(style.lineHeight);
+			if (style.letterSpacing) options.letterSpacing = px(style.letterSpacing);
+			const fontWeight = cssFontWeight(style.fontWeight);
+			if (fontWeight) options.fontWeight = String(fontWeight);
+			extend.fontSize[name] = [px(style.fontSize), options];
+		}
+	}
+
+	for (const [name, style] of uniqueNames(tokens.layerStyles || [])) {
+		if (style.shadows && style.shadows.length > 0) {
+			extend.boxShadow[name] = boxShadow(style.shadows);
+		}
+	}
+
+	return extend;
+}
+
+export function toTailwindConfig(tokens: DesignTokens): string {
+	const extend = JSON.stringify(toTailwindThemeExtend(tokens), null, '\t').replace(/\n/g, '\n\t\t');
+	return `/** @type {import('tailwindcss').Config} */\nmodule.exports = {\n\ttheme: {\n\t\textend: ${extend},\n\t},\n};\n`;
+}
+
+// ─── File generation ─────────────────────────────────────────────────
+
+/**
+ * Generate the file name + contents for a token export in the given format.
+ */
+export function generateTokenFile(
+	tokens: DesignTokens,
+	format: TokenExportFormat,
+	baseName: string,
+): { fileName: string; contents: string } {
+	switch (format) {
+		case 'css':
+			return { fileName: `${baseName}.tokens.css`, contents: toCss(tokens) };
+		case 'scss':
+			return { fileName: `_${baseName}.tokens.scss`, contents: toScss(tokens) };
+		case 'tailwind':
+			return { fileName: `${baseName}.tailwind.js`, contents: toTailwindConfig(tokens) };
+		default:
+			return {
+				fileName: `${baseName}.tokens.json`,
+				contents: JSON.stringify(toW3CTokens(tokens), null, 2),
+			};
+	}
+}
+
+/**
+ * All generated outputs, uploaded alongside the raw tokens.
+ */
+export function generateTokenCode(tokens: DesignTokens): {
+	css: string;
+	scss: string;
+	tailwind: TailwindThemeExtend;
+} {
+	return {
+		css: toCss(tokens),
+		scss: toScss(tokens),
+		tailwind: toTailwindThemeExtend(tokens),
+	};
+}
@@ -0,0 +1,47 @@
+/**
+ * Helpers for the component catalog step of the publish pipeline.
+ *
+ * Symbol usage is collected from the already-extracted layer trees so only
+ * masters that the published screens actually reference get extracted.
+ */
+import type { LayerData } from '../../types/index';
+
+/**
+ * Unique symbolIds of every symbol instance in the tree (depth-first, first-seen order).
+ */
+export function collectSymbolIds(layers: LayerData[]): string[] {
+	const seen = new Set<string>();
+	const walk = (list: LayerData[]) => {
+		for (const layer of list) {
+			if (layer.type === 'SymbolInstance' && layer.symbolId) {
+				seen.add(layer.symbolId);
+			}
+			if (layer.children && layer.children.length > 0) {
+				walk(layer.children);
+			}
+		}
+	};
+	walk(layers);
+	return [...seen];
+}
+
+/** symbolId → sketchIds of the screens that use it */
+export type ComponentUsage = Map<string, Set<string>>;
+
+/**
+ * Record the symbols used by a screen, so each component is uploaded once per
+ * revision with the list of screens it appears on. Pass a null sketchId for
+ * symbols nested inside another master. Returns the symbolIds found.
+ */
+export function addComponentUsage(
+	usage: ComponentUsage,
+	sketchId: string | null,
+	layers: LayerData[],
+): string[] {
+	const symbolIds = collectSymbolIds(layers);
+	for (const symbolId of symbolIds) {
+		if (!usage.has(symbolId)) usage.set(symbolId, new Set());
+		if (sketchId) usage.get(symbolId)!.add(sketchId);
+	}
+	return symbolIds;
+}
@@ -0,0 +1,175 @@
+/**
+ * Publishing several open documents into one version.
+ *
+ * Artboards are published under their Sketch layer ID. Layer IDs are unique
+ * within a document but not across documents (a duplicated file keeps its IDs),
+ * so only the primary document – the one the publish runs from, whose Sketch
+ * file is uploaded – keeps them. Every other document always publishes its
+ * artboards as `documentId:layerId`, whether or not an ID collides, so an
+ * artboard's publish ID (and its history) does not depend on which other
+ * documents are included. Prototype links only point inside their own document
+ * and are remapped the same way.
+ */
+import type {
+	ArtboardMeta,
+	DesignTokens,
+	DocumentData,
+	FlowData,
+	FlowGraph,
+	LibraryContents,
+} from '../../types/index';
+import { pluginRequest } from './bridge';
+
+/** documentId → (layer ID → publish ID) */
+export type PublishIdMaps = Map<string, Map<string, string>>;
+
+/**
+ * Give every artboard a publish ID that is unique across the documents.
+ * The first (primary) document keeps its layer IDs; the others are namespaced.
+ */
+export function assignPublishIds(documents: DocumentData[]): DocumentData[] {
+	return documents.map((document, index) => ({
+		...document,
+		pages: document.pages.map((page) => ({
+			...page,
+			artboards: page.artboards.map((artboard) => {
+				const sourceId = artboard.sourceId || artboard.id;
+				const id = index === 0 ? sourceId : `${document.documentId}:${sourceId}`;
+				return { ...artboard, id, sourceId, documentId: document.documentId };
+			}),
+		})),
+	}));
+}
+
+export function documentArtboards(documents: DocumentData[]): ArtboardMeta[] {
+	return documents.flatMap((document) => document.pages.flatMap((page) => page.artboards));
+}
+
+export function buildPublishIdMaps(artboards: ArtboardMeta[]): PublishIdMaps {
+	const maps: PublishIdMaps = new Map();
+	for (const artboard of artboards) {
+		if (!maps.has(artboard.documentId)) maps.set(artboard.documentId, new Map());
+		maps.get(artboard.documentId)!.set(artboard.sourceId || artboard.id, artboard.id);
+	}
+	return maps;
+}
+
+/** Point flow targets at publish IDs (unknown and back targets are left alone) */
+export function remapFlowTargets(
+	flows: FlowData[],
+	idMap: Map<string, string> | undefined,
+): FlowData[] {
+	if (!idMap) return flows;
+	return flows.map((flow) => {
+		const targetArtboardId = idMap.get(flow.targetArtboardId);
+		return targetArtboardId && targetArtboardId !== flow.targetArtboardId
+			? { ...flow, targetArtboardId }
+			: flow;
+	});
+}
+
+/** One graph over every document, keyed by publish IDs, for validating the whole publish */
+export function mergeFlowGraphs(
+	graphs: { documentId: string; graph: FlowGraph }[],
+	idMaps: PublishIdMaps,
+): FlowGraph {
+	return {
+		artboards: graphs.flatMap(({ documentId, graph }) => {
+			const idMap = idMaps.get(documentId);
+			return graph.artboards.map((artboard) => ({
+				...artboard,
+				id: idMap?.get(artboard.id) || artboard.id,
+				flows: remapFlowTargets(artboard.flows, idMap),
+			}));
+		}),
+	};
+}
+
+/**
+ * Combine the tokens of several documents and libraries. The first token with a
+ * given ID or name wins, so a document's own tokens shadow the library copies
+ * it imported.
+ */
+export function mergeDesignTokens(sources: (DesignTokens | null | undefined)[]): DesignTokens {
+	const merged: DesignTokens = { colors: [], textStyles: [], layerStyles: [] };
+	const seen = {
+		colors: new Set<string>(),
+		textStyles: new Set<string>(),
+		layerStyles: new Set<string>(),
+	};
+
+	const add = <K extends keyof DesignTokens>(kind: K, tokens: DesignTokens[K] | undefined) => {
+		for (const token of tokens || []) {
+			const keys = [token.id ? `id:${token.id}` : '', `name:${token.name}`].filter(Boolean);
+			if (keys.some((key) => seen[kind].has(key))) continue;
+			keys.forEach((key) => seen[kind].add(key));
+			(merged[kind] as (typeof token)[]).push(token);
+		}
+	};
+
+	for (const tokens of sources) {
+		if (!tokens) continue;
+		add('colors', tokens.colors);
+		add('textStyles', tokens.textStyles);
+		add('layerStyles', tokens.layerStyles);
+	}
+	return merged;
+}
+
+// ─── Native requests ─────────────────────────────────────────────────
+
+/**
+ * The selected document plus the other open documents to publish with it,
+ * with publish IDs assigned. Documents closed in the meantime are dropped.
+ */
+export async function requestDocuments(
+	selected: DocumentData,
+	otherDocumentIds: string[],
+): Promise<DocumentData[]> {
+	const others = await Promise.all(
+		otherDocumentIds
+			.filter((documentId) => documentId !== selected.documentId)
+			.map((documentId) =>
+				pluginRequest<DocumentData>('getDocumentData', documentId).catch((err) => {
+					console.warn(`[documents] Document ${documentId} skipped:`, err.message);
+					return null;
+				}),
+			),
+	);
+	return assignPublishIds([selected, ...others.filter((doc): doc is DocumentData => !!doc)]);
+}
+
+/** Prototype graph over all documents, keyed by publish IDs (null when none could be read) */
+export async function requestFlowGraph(documents: DocumentData[]): Promise<FlowGraph | null> {
+	const graphs = await Promise.all(
+		documents.map(async (document) => {
+			const graph = await pluginRequest<FlowGraph>('getFlowGraph', document.documentId).catch(
+				() => null,
+			);
+			return graph ? { documentId: document.documentId, graph } : null;
+		}),
+	);
+	const found = graphs.filter(
+		(entry): entry is { documentId: string; graph: FlowGraph } => !!entry,
+	);
+	if (found.length === 0) return null;
+	return mergeFlowGraphs(found, buildPublishIdMaps(documentArtboards(documents)));
+}
+
+/** Contents of the libraries linked to any of the documents, each library once */
+export async function requestLibraryContents(
+	documents: DocumentData[],
+): Promise<LibraryContents[]> {
+	const byId = new Map<string, LibraryContents>();
+	for (const document of documents) {
+		if (!document.libraries || document.libraries.length === 0) continue;
+		const contents = await pluginRequest<LibraryContents[]>(
+			'getLibraryContents',
+			document.documentId,
+		).catch(() => []);
+		for (const entry of contents || []) {
+			if (!byId.has(entry.library.id)) byId.set(entry.library.id, entry);
+		}
+	}
+	return [...byId.values()];
+}
@@ -0,0 +1,186 @@
+/**
+ * Document drift – a check-in stamps the document with the revision it became
+ * (native `lib/drift.js`). When the document is opened again this compares that
+ * record with the version's revisions on the server, warning when someone else
+ * checked in a newer revision since this copy was taken – to the same version or
+ * to a newer version of the project – or when the saved file has changes that
+ * were never checked in.
+ */
+import type {
+	CheckinRecord,
+	DocumentDriftState,
+	Version,
+	VersionRevision,
+} from '../../types/index';
+import { fetchProjectDetail, listRevisions } from './api';
+import { pluginRequest } from './bridge';
+import { hasSketchArtifact, revisionAuthor, sortRevisions } from './history';
+
+export interface DocumentDrift {
+	documentId: string;
+	checkin: CheckinRecord;
+	/** Revision number of the check-in, null when it is no longer on the server */
+	baseRevisionNumber: number | null;
+	/** Check-ins by other designers since this copy was taken, newest first */
+	newerRevisions: VersionRevision[];
+	/** Latest check-in by another designer to a newer version of the project */
+	newerVersion: NewerVersionCheckin | null;
+	/** The saved file changed since its check-in */
+	localChanges: boolean;
+}
+
+export interface NewerVersionCheckin {
+	versionNumber: number;
+	/** Version number of the check-in, null when it is no longer on the server */
+	baseVersionNumber: number | null;
+	revision: VersionRevision;
+}
+
+/** The project's latest version with its revisions, compared with the checked-in one */
+export interface LatestVersion {
+	version: Version;
+	/** Number of the checked-in version, null when it is no longer on the server */
+	baseVersionNumber: number | null;
+	revisions: VersionRevision[];
+}
+
+/** The signed-in designer, to tell their own check-ins apart */
+export interface DriftUser {
+	userName: string;
+	userEmail: string;
+}
+
+export function isOwnRevision(revision: VersionRevision, user: DriftUser): boolean {
+	const names = [user.userName, user.userEmail, user.userEmail.split('@')[0]].filter(Boolean);
+	const { username, name } = revision.uploadedByUser;
+	return names.includes(username) || (!!name && names.includes(name));
+}
+
+/** Revisions another designer checked in with a Sketch file */
+function isOthersCheckin(revision: VersionRevision, user: DriftUser): boolean {
+	return (
+		revision.status !== 'failed' && hasSketchArtifact(revision) && !isOwnRevision(revision, user)
+	);
+}
+
+/**
+ * Compare a document's check-in record with the version's revisions and with
+ * the project's latest version.
+ * @returns null when the document was never checked in
+ */
+export function detectDrift(
+	local: DocumentDriftState,
+	revisions: VersionRevision[],
+	user: DriftUser,
+	latest: LatestVersion | null = null,
+): DocumentDrift | null {
+	const checkin = local.checkin;
+	if (!checkin) return null;
+
+	const base = revisions.find((r) => r.id === checkin.revisionId);
+	const baseRevisionNumber = base?.revisionNumber ?? checkin.revisionNumber ?? null;
+	const checkedInAt = Date.parse(checkin.checkedInAt);
+	const isNewer = (r: VersionRevision) =>
+		baseRevisionNumber != null
+			? r.revisionNumber > baseRevisionNumber
+			: Date.parse(r.createdAt) > checkedInAt;
+
+	return {
+		documentId: local.documentId,
+		checkin,
+		baseRevisionNumber,
+		newerRevisions: sortRevisions(
+			revisions.filter(
+				(r) => r.id !== checkin.revisionId && isNewer(r) && isOthersCheckin(r, user),
+			),
+		),
+		newerVersion: detectNewerVersion(checkin, latest, user),
+		localChanges: local.contentChanged,
+	};
+}
+
+function detectNewerVersion(
+	checkin: CheckinRecord,
+	latest: LatestVersion | null,
+	user: DriftUser,
+): NewerVersionCheckin | null {
+	if (!latest || latest.version.id === checkin.versionId) return null;
+	const { baseVersionNumber } = latest;
+	if (baseVersionNumber != null && latest.version.number <= baseVersionNumber) return null;
+	const [revision] = sortRevisions(latest.revisions.filter((r) => isOthersCheckin(r, user)));
+	return revision ? { versionNumber: latest.version.number, baseVersionNumber, revision } : null;
+}
+
+export function hasDrift(drift: DocumentDrift | null): drift is DocumentDrift {
+	return !!drift && (drift.newerRevisions.length > 0 || !!drift.newerVersion || drift.localChanges);
+}
+
+/** One warning sentence per kind of drift */
+export function describeDrift(drift: DocumentDrift): string[] {
+	const base = drift.baseRevisionNumber != null ? `r${drift.baseRevisionNumber}` : 'its check-in';
+	const messages: string[] = [];
+	const [latest] = drift.newerRevisions;
+	if (latest) {
+		const count = drift.newerRevisions.length;
+		messages.push(
+			count === 1
+				? `${revisionAuthor(latest)} checked in r${latest.revisionNumber} after this copy was taken from ${base}.`
+				: `${count} newer revisions were checked in after this copy was taken from ${base} (latest r${latest.revisionNumber} by ${revisionAuthor(latest)}).`,
+		);
+	}
+	if (drift.newerVersion) {
+		const { versionNumber, baseVersionNumber, revision } = drift.newerVersion;
+		const from = baseVersionNumber != null ? `version ${baseVersionNumber}` : 'an older version';
+		messages.push(
+			`${revisionAuthor(revision)} checked in r${revision.revisionNumber} of version ${versionNumber}, newer than ${from} this copy was taken from.`,
+		);
+	}
+	if (drift.localChanges) {
+		messages.push(`This file has changes that were not checked in since ${base}.`);
+	}
+	return messages;
+}
+
+// ─── Native check-in record ──────────────────────────────────────────
+
+/**
+ * Read the open document's check-in record and compare it with the server.
+ * @returns null when the document was never checked in
+ */
+export async function checkDocumentDrift(
+	serverUrl: string,
+	documentId: string,
+	user: DriftUser,
+): Promise<DocumentDrift | null> {
+	const local = await pluginRequest<DocumentDriftState>('getDocumentDrift', documentId);
+	if (!local?.checkin) return null;
+	const { projectId, versionId } = local.checkin;
+	const [revisions, latest] = await Promise.all([
+		listRevisions(serverUrl, projectId, versionId),
+		fetchLatestVersion(serverUrl, projectId, versionId),
+	]);
+	return detectDrift(local, revisions, user, latest);
+}
+
+/** The project's newest version and its revisions (null when it cannot be loaded) */
+async function fetchLatestVersion(
+	serverUrl: string,
+	projectId: string,
+	versionId: string,
+): Promise<LatestVersion | null> {
+	try {
+		const project = await fetchProjectDetail(serverUrl, projectId);
+		const versions = project.versions || [];
+		const [version] = [...versions].sort((a, b) => b.number - a.number);
+		if (!version || version.id === versionId) return null;
+		const base = versions.find((v) => v.id === versionId);
+		return {
+			version,
+			baseVersionNumber: base ? base.number : null,
+			revisions: await listRevisions(serverUrl, projectId, version.id),
+		};
+	} catch (err: any) {
+		console.warn('[drift] Latest version not checked:', err.message);
+		return null;
+	}
+}
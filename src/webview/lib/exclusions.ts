@@ -0,0 +1,111 @@
+/**
+ * Publish exclusions – artboards and layers kept out of the handoff by the
+ * document's rules (name prefixes, pages) or the "Exclude from Flow" flag.
+ * The native side applies them (`src/lib/exclusions.js`); this module edits
+ * the rules and builds the report of what a publish left out.
+ */
+import type {
+	ArtboardMeta,
+	DocumentData,
+	ExcludedLayer,
+	ExclusionReason,
+	ExclusionReportEntry,
+	ExclusionRules,
+} from '../../types/index';
+import { pluginRequest } from './bridge';
+
+export const EXCLUSION_REASON_LABELS: Record<ExclusionReason, string> = {
+	flag: 'Marked "Exclude from Flow"',
+	namePrefix: 'Name prefix rule',
+	page: 'Excluded page',
+};
+
+/** Comma-separated rule input → trimmed, unique entries */
+export function parseRuleList(value: string): string[] {
+	const entries = String(value || '')
+		.split(',')
+		.map((entry) => entry.trim())
+		.filter(Boolean);
+	return [...new Set(entries)];
+}
+
+/** Report entries for the artboards the documents' rules left out */
+export function excludedArtboardEntries(documents: DocumentData[]): ExclusionReportEntry[] {
+	return documents.flatMap((document) =>
+		(document.excludedArtboards || []).map((artboard) => ({
+			layerId: artboard.layerId,
+			layerName: artboard.layerName,
+			reason: artboard.reason,
+			documentName: document.documentName,
+			pageName: artboard.pageName,
+			artboardName: null,
+		})),
+	);
+}
+
+/** Report entries for the layers stripped from one artboard */
+export function excludedLayerEntries(
+	documentName: string,
+	artboard: Pick<ArtboardMeta, 'name' | 'pageName'>,
+	layers: ExcludedLayer[] | undefined,
+): ExclusionReportEntry[] {
+	return (layers || []).map((layer) => ({
+		...layer,
+		documentName,
+		pageName: artboard.pageName,
+		artboardName: artboard.name,
+	}));
+}
+
+/** Markdown report of everything a publish left out, for the "Save report…" action */
+export function buildExclusionReport(
+	entries: ExclusionReportEntry[],
+	context: { projectName: string; revisionNumber: number | null; date: Date },
+): { fileName: string; contents: string } {
+	const artboards = entries.filter((entry) => entry.artboardName === null);
+	const layers = entries.filter((entry) => entry.artboardName !== null);
+	const plural = (count: number, noun: string) => `${count} ${noun}${count !== 1 ? 's' : ''}`;
+	const line = (entry: ExclusionReportEntry) => {
+		const path = [entry.documentName, entry.pageName, entry.artboardName || entry.layerName]
+			.filter(Boolean)
+			.join(' / ');
+		const target = entry.artboardName === null ? path : `${path} › ${entry.layerName}`;
+		return `- ${target} (${EXCLUSION_REASON_LABELS[entry.reason]})`;
+	};
+
+	const revision = context.revisionNumber ? ` r${context.revisionNumber}` : '';
+	const contents = [
+		`# Excluded from Flow – ${context.projectName}${revision}`,
+		'',
+		`Published ${context.date.toISOString()}: ${plural(artboards.length, 'artboard')} and ` +
+			`${plural(layers.length, 'layer')} were kept out of the handoff.`,
+		...(artboards.length > 0 ? ['', '## Artboards', '', ...artboards.map(line)] : []),
+		...(layers.length > 0 ? ['', '## Layers', '', ...layers.map(line)] : []),
+		'',
+	].join('\n');
+
+	return {
+		fileName: `flow-exclusions-${context.date.toISOString().slice(0, 10)}.md`,
+		contents,
+	};
+}
+
+// ─── Native storage ──────────────────────────────────────────────────
+
+export async function fetchExclusionRules(): Promise<ExclusionRules> {
+	const rules = await pluginRequest<ExclusionRules>('getExclusionRules').catch(() => null);
+	return rules || { namePrefixes: [], pageNames: [] };
+}
+
+/**
+ * Why the selected document's .sketch file cannot be checked in – it still
+ * holds excluded pages or layers – or null when it can.
+ */
+export async function fetchExcludedContentMessage(): Promise<string | null> {
+	return pluginRequest<string | null>('getExcludedContentMessage');
+}
+
+/** Saves the selected document's rules and resolves with its refreshed metadata */
+export async function saveExclusionRules(rules: ExclusionRules): Promise<DocumentData> {
+	return pluginRequest<DocumentData>('saveExclusionRules', rules);
+}
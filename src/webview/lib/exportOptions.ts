@@ -0,0 +1,107 @@
+/**
+ * Screen export options – format, scale, quality and tiling of the screen
+ * images, overridable per artboard (layer user info) or per page (document
+ * user info). The native side resolves and applies them (`src/lib/extract.js`);
+ * this module formats them for the panel and builds the overrides it stores.
+ */
+import type {
+	DocumentData,
+	ExportOverrideScope,
+	ScreenExportOptions,
+	ScreenExportOverride,
+	ScreenImage,
+	ScreenImageFormat,
+} from '../../types/index';
+import { pluginRequest } from './bridge';
+
+export const SCREEN_FORMATS: { value: ScreenImageFormat; label: string }[] = [
+	{ value: 'png', label: 'PNG' },
+	{ value: 'jpg', label: 'JPG' },
+	{ value: 'webp', label: 'WebP' },
+];
+
+/** Same bounds as the native settings */
+export const MIN_TILE_HEIGHT = 256;
+const MAX_EXPORT_SCALE = 4;
+
+/** Values of the export options form; empty strings inherit */
+export interface ExportOverrideForm {
+	format: ScreenImageFormat | '';
+	scale: string;
+	quality: string;
+	tileHeight: string;
+}
+
+/** "JPG 80% @1x · 4000pt tiles" */
+export function describeExportOptions(options: ScreenExportOptions): string {
+	const format = SCREEN_FORMATS.find((f) => f.value === options.format)?.label || options.format;
+	const quality = options.format !== 'png' && options.quality ? ` ${options.quality}%` : '';
+	const tiles = options.tileHeight ? ` · ${options.tileHeight}pt tiles` : '';
+	return `${format}${quality} @${options.scale}x${tiles}`;
+}
+
+/** Number of images an artboard of `height` points is exported as */
+export function tileCount(height: number, tileHeight: number | null): number {
+	if (!tileHeight || height <= tileHeight) return 1;
+	return Math.ceil(height / tileHeight);
+}
+
+/** File name of a screen image tile – the first tile keeps the plain screen name */
+export function screenImageFileName(
+	sketchId: string,
+	format: ScreenImageFormat,
+	index: number,
+): string {
+	return index === 0 ? `${sketchId}.${format}` : `${sketchId}-${index + 1}.${format}`;
+}
+
+/** Image metadata sent with a screen: everything but the image data */
+export function screenImageMeta(image: ScreenImage) {
+	return {
+		format: image.format,
+		scale: image.scale,
+		quality: image.quality,
+		tiles: image.tiles.map(({ index, y, height }) => ({ index, y, height })),
+	};
+}
+
+/** The override a form describes, or null when every field inherits */
+export function buildExportOverride(form: ExportOverrideForm): ScreenExportOverride | null {
+	const override: ScreenExportOverride = {};
+	if (form.format) override.format = form.format;
+
+	const scale = Math.round(Number(form.scale));
+	if (form.scale && scale >= 1 && scale <= MAX_EXPORT_SCALE) override.scale = scale;
+
+	const quality = Math.round(Number(form.quality));
+	if (form.quality && quality > 0 && form.format !== 'png') {
+		override.quality = Math.min(quality, 100);
+	}
+
+	const tileHeight = Math.round(Number(form.tileHeight));
+	if (form.tileHeight && tileHeight > 0) {
+		override.tileHeight = Math.max(tileHeight, MIN_TILE_HEIGHT);
+	}
+
+	return Object.keys(override).length > 0 ? override : null;
+}
+
+// ─── Native storage ──────────────────────────────────────────────────
+
+/**
+ * Store (or clear, with null) the export options of artboards or of their
+ * pages. Resolves with the document's refreshed metadata.
+ */
+export async function saveExportOverride(
+	documentId: string,
+	artboardIds: string[],
+	scope: ExportOverrideScope,
+	override: ScreenExportOverride | null,
+): Promise<DocumentData> {
+	return pluginRequest<DocumentData>('setExportOverride', {
+		documentId,
+		artboardIds,
+		scope,
+		override,
+	});
+}
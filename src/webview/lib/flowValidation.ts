@@ -0,0 +1,205 @@
+/**
+ * Prototype flow graph validation.
+ *
+ * Runs on the whole document (`getFlowGraph`) before publishing and reports
+ * prototype problems for the artboards about to be published: links to missing
+ * or unselected artboards, screens that can't be reached or can't be left,
+ * missing/duplicate start points and overlapping hotspots.
+ */
+import type { FlowData, FlowGraph, FlowGraphArtboard, FlowIssue, Frame } from '../../types/index';
+
+const BACK_TARGET = '__back__';
+
+function issue(
+	partial: Pick<FlowIssue, 'type' | 'severity' | 'message'> & Partial<FlowIssue>,
+	artboard?: FlowGraphArtboard,
+): FlowIssue {
+	return {
+		artboardId: artboard ? artboard.id : null,
+		artboardName: artboard ? artboard.name : null,
+		layerIds: [],
+		targetArtboardId: null,
+		...partial,
+	};
+}
+
+function linkTargets(artboard: FlowGraphArtboard): string[] {
+	return artboard.flows
+		.filter((flow) => !flow.isBackAction && flow.targetArtboardId !== BACK_TARGET)
+		.map((flow) => flow.targetArtboardId);
+}
+
+function overlaps(a: Frame, b: Frame): boolean {
+	return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/** Hotspot pairs that overlap but lead to different places */
+function findOverlappingHotspots(flows: FlowData[]): [FlowData, FlowData][] {
+	const pairs: [FlowData, FlowData][] = [];
+	for (let i = 0; i < flows.length; i++) {
+		for (let j = i + 1; j < flows.length; j++) {
+			const a = flows[i];
+			const b = flows[j];
+			if (a.targetArtboardId === b.targetArtboardId) continue;
+			if (overlaps(a.sourceRect, b.sourceRect)) pairs.push([a, b]);
+		}
+	}
+	return pairs;
+}
+
+/**
+ * Validate the prototype formed by the selected artboards.
+ * @param selectedIds - artboards to publish (all artboards when empty)
+ */
+export function validateFlowGraph(graph: FlowGraph, selectedIds: Set<string>): FlowIssue[] {
+	const byId = new Map(graph.artboards.map((artboard) => [artboard.id, artboard]));
+	const selected = graph.artboards.filter(
+		(artboard) => selectedIds.size === 0 || selectedIds.has(artboard.id),
+	);
+	const selectedSet = new Set(selected.map((artboard) => artboard.id));
+	const isSelected = (id: string) => selectedSet.has(id);
+
+	// No hotspots and no start point → the selection isn't a prototype
+	if (!selected.some((artboard) => artboard.flows.length > 0 || artboard.isFlowHome)) return [];
+
+	const issues: FlowIssue[] = [];
+
+	// Links
+	for (const artboard of selected) {
+		for (const flow of artboard.flows) {
+			if (flow.isBackAction || flow.targetArtboardId === BACK_TARGET) continue;
+			const target = byId.get(flow.targetArtboardId);
+			if (!target) {
+				issues.push(
+					issue(
+						{
+							type: 'danglingTarget',
+							severity: 'error',
+							message: `"${flow.sourceLayerName}" links to an artboard that no longer exists`,
+							layerIds: [flow.sourceLayerId],
+							targetArtboardId: flow.targetArtboardId,
+						},
+						artboard,
+					),
+				);
+			} else if (!isSelected(target.id)) {
+				issues.push(
+					issue(
+						{
+							type: 'unselectedTarget',
+							severity: 'warning',
+							message: `"${flow.sourceLayerName}" links to "${target.name}", which isn't selected for publish`,
+							layerIds: [flow.sourceLayerId],
+							targetArtboardId: target.id,
+						},
+						artboard,
+					),
+				);
+			}
+		}
+
+		for (const [a, b] of findOverlappingHotspots(artboard.flows)) {
+			issues.push(
+				issue(
+					{
+						type: 'overlappingHotspots',
+						severity: 'warning',
+						message: `Hotspots "${a.sourceLayerName}" and "${b.sourceLayerName}" overlap`,
+						layerIds: [a.sourceLayerId, b.sourceLayerId],
+					},
+					artboard,
+				),
+			);
+		}
+	}
+
+	// Start points
+	const starts = selected.filter((artboard) => artboard.isFlowHome);
+	if (starts.length === 0) {
+		issues.push(
+			issue({
+				type: 'missingStart',
+				severity: 'warning',
+				message: 'No artboard is marked as a prototype start point',
+			}),
+		);
+	} else if (starts.length > 1) {
+		issues.push(
+			issue({
+				type: 'multipleStarts',
+				severity: 'warning',
+				message: `${starts.length} artboards are marked as start points: ${starts.map((a) => `"${a.name}"`).join(', ')}`,
+			}),
+		);
+	}
+
+	// Reachability – from the start points, or from any linked screen when there is none
+	const reached = new Set<string>();
+	const queue =
+		starts.length > 0
+			? starts.map((artboard) => artboard.id)
+			: selected.flatMap(linkTargets).filter((id) => isSelected(id));
+	while (queue.length > 0) {
+		const id = queue.shift()!;
+		if (reached.has(id)) continue;
+		reached.add(id);
+		const artboard = byId.get(id);
+		if (!artboard) continue;
+		for (const target of linkTargets(artboard)) {
+			if (isSelected(target) && !reached.has(target)) queue.push(target);
+		}
+	}
+
+	for (const artboard of selected) {
+		if (!reached.has(artboard.id)) {
+			if (starts.length > 0) {
+				issues.push(
+					issue(
+						{
+							type: 'unreachable',
+							severity: 'warning',
+							message: `"${artboard.name}" can't be reached from a start point`,
+						},
+						artboard,
+					),
+				);
+			}
+		} else if (artboard.flows.length === 0) {
+			issues.push(
+				issue(
+					{
+						type: 'deadEnd',
+						severity: 'warning',
+						message: `"${artboard.name}" has no links or back action – it's a dead end`,
+					},
+					artboard,
+				),
+			);
+		}
+	}
+
+	return issues;
+}
+
+/**
+ * Artboards linked (directly or through other linked artboards) from the selection
+ * that aren't selected themselves – the ones to auto-include.
+ */
+export function findLinkedArtboards(graph: FlowGraph, selectedIds: Set<string>): string[] {
+	const byId = new Map(graph.artboards.map((artboard) => [artboard.id, artboard]));
+	const included = new Set(selectedIds);
+	const linked: string[] = [];
+	const queue = [...selectedIds];
+
+	while (queue.length > 0) {
+		const artboard = byId.get(queue.shift()!);
+		if (!artboard) continue;
+		for (const target of linkTargets(artboard)) {
+			if (included.has(target) || !byId.has(target)) continue;
+			included.add(target);
+			linked.push(target);
+			queue.push(target);
+		}
+	}
+	return linked;
+}
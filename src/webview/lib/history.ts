@@ -0,0 +1,70 @@
+/**
+ * Revision history – every check-in of a version with its note, author and
+ * .sketch artifact. Opening an artifact downloads it on the native side, which
+ * verifies its sha256 before Sketch opens it (`downloadRevisionSketchFile`).
+ * Rolling back bases the next check-in on an older revision (`basedOnRevisionId`).
+ */
+import type { VersionRevision } from '../../types/index';
+import { pluginRequest } from './bridge';
+
+/** "2.4 MB" */
+export function formatFileSize(bytes: number): string {
+	if (!Number.isFinite(bytes) || bytes < 1024) return `${Math.max(0, bytes || 0)} B`;
+	const units = ['KB', 'MB', 'GB'];
+	let value = bytes / 1024;
+	let unit = 0;
+	while (value >= 1024 && unit < units.length - 1) {
+		value /= 1024;
+		unit++;
+	}
+	return `${value >= 10 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+}
+
+export function revisionAuthor(revision: Pick<VersionRevision, 'uploadedByUser'>): string {
+	const user = revision.uploadedByUser;
+	return user.name ? `${user.name} (@${user.username})` : `@${user.username}`;
+}
+
+/** Newest check-in first */
+export function sortRevisions(revisions: VersionRevision[]): VersionRevision[] {
+	return [...revisions].sort((a, b) => b.revisionNumber - a.revisionNumber);
+}
+
+/** Only revisions with a stored .sketch file can be opened or rolled back to */
+export function hasSketchArtifact(revision: VersionRevision): boolean {
+	return !!revision.sketchArtifact?.sha256;
+}
+
+/** Default check-in note for a rollback */
+export function rollbackNote(revision: Pick<VersionRevision, 'revisionNumber' | 'note'>): string {
+	const note = revision.note.trim();
+	return `Roll back to r${revision.revisionNumber}${note ? ` (“${note}”)` : ''}`;
+}
+
+// ─── Native download ─────────────────────────────────────────────────
+
+/** Download a revision's .sketch file, verify its sha256 and open it in Sketch */
+export async function openRevisionSketchFile(
+	connection: { serverUrl: string; authToken: string; ignoreSslErrors: boolean },
+	projectId: string,
+	revision: VersionRevision,
+): Promise<string> {
+	const artifact = revision.sketchArtifact;
+	if (!artifact) throw new Error(`r${revision.revisionNumber} has no Sketch file.`);
+	const result = await pluginRequest<{ opened: boolean; path: string | null; error?: string }>(
+		'openRevisionSketchFile',
+		{
+			...connection,
+			projectId,
+			versionId: revision.versionId,
+			revisionId: revision.id,
+			revisionNumber: revision.revisionNumber,
+			fileName: artifact.fileName,
+			sha256: artifact.sha256,
+		},
+	);
+	if (!result?.opened || !result.path) {
+		throw new Error(result?.error || 'Failed to open revision.');
+	}
+	return result.path;
+}
@@ -0,0 +1,101 @@
+/**
+ * Durable publish jobs – WebView side.
+ *
+ * The native side persists each publish (queue, version/revision IDs, per-item
+ * status, cached artboard data and images) to disk. This module builds jobs from
+ * the publish pipeline and restores a job's queue for replay after a crash,
+ * Sketch restart or lost connection. A job is replayed until its revision is
+ * finalized, not only while screens are left.
+ */
+import type {
+	ArtboardStatus,
+	DesignTokens,
+	PublishJob,
+	PublishJobItem,
+	PublishJobPhase,
+} from '../../types/index';
+import { pluginCall, pluginRequest } from './bridge';
+
+export function createPublishJob(params: {
+	projectId: string;
+	projectName: string | null;
+	versionId: string;
+	revisionId: string;
+	queue: PublishJobItem[];
+	designTokens: DesignTokens | null;
+}): PublishJob {
+	return {
+		id: params.revisionId,
+		projectId: params.projectId,
+		projectName: params.projectName,
+		versionId: params.versionId,
+		revisionId: params.revisionId,
+		queue: params.queue.map((item) => ({ ...item })),
+		designTokens: params.designTokens,
+		phase: 'screens',
+		createdAt: Date.now(),
+	};
+}
+
+/**
+ * Queue to replay: finished items stay done, everything else (including items
+ * that were mid-upload when the publish died) starts over.
+ */
+export function restoreJobQueue(queue: PublishJobItem[]): PublishJobItem[] {
+	return queue.map((item) =>
+		item.status === 'done' ? { ...item } : { ...item, status: 'queued', error: undefined },
+	);
+}
+
+const PHASES: PublishJobPhase[] = [
+	'screens',
+	'components',
+	'tokens',
+	'review',
+	'finalizing',
+	'done',
+];
+
+/** Whether a job's revision still has to be finalized */
+export function isUnfinishedJob(job: PublishJob | null): job is PublishJob {
+	return !!job && (job.phase || 'screens') !== 'done';
+}
+
+/** Whether a replayed job already completed `phase` (and can skip it) */
+export function jobPassedPhase(job: PublishJob | null, phase: PublishJobPhase): boolean {
+	return !!job && PHASES.indexOf(job.phase || 'screens') > PHASES.indexOf(phase);
+}
+
+// ─── Native persistence ──────────────────────────────────────────────
+
+export function persistJob(job: PublishJob): void {
+	pluginCall('saveJob', job);
+}
+
+export function persistJobItem(
+	jobId: string,
+	artboardId: string,
+	status: ArtboardStatus,
+	error?: string,
+): void {
+	pluginCall('updateJobItem', { jobId, artboardId, status, error });
+}
+
+/** Record the phase a job reached, with what the previous phases produced */
+export function persistJobPhase(
+	jobId: string,
+	phase: PublishJobPhase,
+	fields: Pick<PublishJob, 'tokenChanges'> = {},
+): void {
+	pluginCall('updateJobPhase', { jobId, phase, fields });
+}
+
+export function discardJob(jobId: string): void {
+	pluginCall('deleteJob', jobId);
+}
+
+/** Unfinished jobs for the open document, most recent first */
+export async function fetchPendingJobs(): Promise<PublishJob[]> {
+	const jobs = await pluginRequest<PublishJob[] | null>('getPendingJobs').catch(() => null);
+	return (jobs || []).filter((job) => job && job.id && isUnfinishedJob(job));
+}
@@ -0,0 +1,47 @@
+/**
+ * Design lint – configurable rules run over the extracted layer trees before
+ * a publish. The rules themselves live in `src/lib/lintRules.js`, shared with
+ * the quick publish commands; this module loads the project's config and runs
+ * them over the selected artboards.
+ */
+import type { ArtboardMeta, DesignTokens, LintConfig, LintResult } from '../../types/index';
+import { lintLayers, normalizeLintConfig } from '../../lib/lintRules';
+import { fetchLintConfig } from './api';
+import { requestArtboardData } from './bridge';
+
+export {
+	DEFAULT_LINT_CONFIG,
+	LINT_RULES,
+	blockingLintResults,
+	countLintResults,
+	hasBlockingRules,
+	lintLayers,
+	normalizeLintConfig,
+} from '../../lib/lintRules';
+
+// ─── Running ─────────────────────────────────────────────────────────
+
+/** The project's lint config, merged over the defaults */
+export async function loadLintConfig(serverUrl: string, projectId: string): Promise<LintConfig> {
+	return normalizeLintConfig(await fetchLintConfig(serverUrl, projectId));
+}
+
+/** Extract the artboards' layer trees and lint them */
+export async function lintArtboards(
+	artboards: ArtboardMeta[],
+	tokens: DesignTokens,
+	config: LintConfig,
+	onProgress?: (done: number, total: number) => void,
+): Promise<LintResult[]> {
+	const results: LintResult[] = [];
+	for (let i = 0; i < artboards.length; i++) {
+		const artboard = artboards[i];
+		const source = artboard.documentId
+			? { sourceId: artboard.sourceId || artboard.id, documentId: artboard.documentId }
+			: null;
+		const data = await requestArtboardData(artboard.id, undefined, null, source);
+		results.push(...lintLayers(data.layers || [], artboard, tokens, config));
+		onProgress?.(i + 1, artboards.length);
+	}
+	return results;
+}
@@ -0,0 +1,84 @@
+/**
+ * Publish presets – named publish setups stored in the document's user info
+ * (target project, artboards, export scale, tokens toggle, note template).
+ *
+ * Artboards are saved either as layer IDs or as `Page/Artboard` name patterns;
+ * patterns also pick up artboards added after the preset was saved. The
+ * native quick publish (`src/lib/quickPublish.js`) mirrors the matching rules.
+ */
+import type { ArtboardMeta, PublishPreset } from '../../types/index';
+import { pluginRequest } from './bridge';
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive `*` wildcard match against `Page/Artboard`, or against the
+ * artboard name alone when the pattern has no `/`.
+ */
+export function matchesArtboardPattern(
+	pattern: string,
+	artboard: Pick<ArtboardMeta, 'name' | 'pageName'>,
+): boolean {
+	const text = pattern.includes('/') ? `${artboard.pageName}/${artboard.name}` : artboard.name;
+	const source = pattern.split('*').map(escapeRegExp).join('.*');
+	return new RegExp(`^${source}$`, 'i').test(text);
+}
+
+export function parseArtboardPatterns(value: string): string[] {
+	return String(value || '')
+		.split(',')
+		.map((pattern) => pattern.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Publish IDs of the artboards a preset selects. Only artboards of the
+ * document the preset is stored in are considered.
+ */
+export function selectPresetArtboards(
+	preset: PublishPreset,
+	artboards: ArtboardMeta[],
+	documentId: string,
+): string[] {
+	const own = artboards.filter((a) => !a.documentId || a.documentId === documentId);
+	const patterns = parseArtboardPatterns(preset.artboardPattern);
+	if (patterns.length > 0) {
+		return own
+			.filter((a) => patterns.some((pattern) => matchesArtboardPattern(pattern, a)))
+			.map((a) => a.id);
+	}
+	const ids = new Set(preset.artboardIds);
+	return own.filter((a) => ids.has(a.sourceId || a.id)).map((a) => a.id);
+}
+
+/** Fill `{preset}`, `{count}` and `{date}` into a note template */
+export function renderNoteTemplate(
+	template: string,
+	values: { preset: string; count: number; date: string },
+): string {
+	return template.replace(/\{(preset|count|date)\}/g, (_, key: keyof typeof values) =>
+		String(values[key]),
+	);
+}
+
+export function createPreset(fields: Omit<PublishPreset, 'id'>): PublishPreset {
+	return {
+		id: `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+		...fields,
+	};
+}
+
+// ─── Native storage ──────────────────────────────────────────────────
+
+export async function fetchPresets(): Promise<PublishPreset[]> {
+	return (await pluginRequest<PublishPreset[]>('getPublishPresets').catch(() => null)) || [];
+}
+
+/** Saves (or replaces) a preset and returns the document's presets */
+export async function savePreset(preset: PublishPreset): Promise<PublishPreset[]> {
+	return (await pluginRequest<PublishPreset[]>('savePublishPreset', preset)) || [];
+}
+
+export async function deletePreset(presetId: string): Promise<PublishPreset[]> {
+	return (await pluginRequest<PublishPreset[]>('deletePublishPreset', presetId)) || [];
+}
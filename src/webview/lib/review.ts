@@ -0,0 +1,77 @@
+/**
+ * Revision review – the "Review changes" step between the screen upload and
+ * `finalizeRevision`. Groups the server's revision diff the way developers are
+ * notified about it and tracks the screens the designer drops before check-in.
+ *
+ * Dropping leaves a screen out of the revision: an added screen is not added,
+ * a modified one keeps its copy from the base revision.
+ */
+import type { RevisionCompareResult, ScreenDeltaSummary } from '../../types/index';
+
+export type ReviewChange = 'added' | 'modified' | 'removed';
+
+/** Change groups in the order the review lists them */
+export const REVIEW_CHANGES: { change: ReviewChange; label: string }[] = [
+	{ change: 'added', label: 'Added' },
+	{ change: 'modified', label: 'Modified' },
+	{ change: 'removed', label: 'Removed' },
+];
+
+export interface ReviewSummary {
+	added: number;
+	modified: number;
+	removed: number;
+	unchanged: number;
+}
+
+/** Screens of the diff by change; unchanged screens are only counted */
+export function groupScreenChanges(
+	diff: RevisionCompareResult,
+): Record<ReviewChange, ScreenDeltaSummary[]> {
+	const groups: Record<ReviewChange, ScreenDeltaSummary[]> = {
+		added: [],
+		modified: [],
+		removed: [],
+	};
+	for (const screen of diff.screens) {
+		if (screen.change !== 'unchanged') groups[screen.change].push(screen);
+	}
+	return groups;
+}
+
+/** Only screens this revision uploaded can be dropped from it */
+export function canDropScreen(screen: ScreenDeltaSummary): boolean {
+	return screen.change === 'added' || screen.change === 'modified';
+}
+
+/** What developers are notified about once the revision is checked in without `dropped` */
+export function summarizeReview(diff: RevisionCompareResult, dropped: Set<string>): ReviewSummary {
+	const summary: ReviewSummary = { added: 0, modified: 0, removed: 0, unchanged: 0 };
+	for (const screen of diff.screens) {
+		if (dropped.has(screen.sketchId) && canDropScreen(screen)) {
+			if (screen.change === 'modified') summary.unchanged++;
+		} else {
+			summary[screen.change]++;
+		}
+	}
+	return summary;
+}
+
+/** "3 added · 1 removed · 2 changed layers" */
+export function describeLayerCounts(counts: ScreenDeltaSummary['layerCounts']): string {
+	const parts = [
+		counts.added > 0 ? `${counts.added} added` : '',
+		counts.removed > 0 ? `${counts.removed} removed` : '',
+		counts.modified > 0 ? `${counts.modified} changed` : '',
+	].filter(Boolean);
+	if (parts.length === 0) return 'No layer changes';
+	const total = counts.added + counts.removed + counts.modified;
+	return `${parts.join(' · ')} layer${total !== 1 ? 's' : ''}`;
+}
+
+/** Thumbnail URLs may be relative to the API server (image proxy) */
+export function resolveImageUrl(serverUrl: string, url: string | null): string | null {
+	if (!url) return null;
+	if (/^(https?:|data:)/i.test(url)) return url;
+	return `${serverUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
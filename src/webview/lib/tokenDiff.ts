@@ -0,0 +1,153 @@
+/**
+ * Token diff – compares the design tokens being published with the ones the
+ * previous revision stored on the version (`fetchVersionTokens`). Shown in the
+ * "Review changes" step and sent to the server as the revision's token changelog.
+ *
+ * Tokens are matched by ID, falling back to the name for legacy document colors
+ * (no swatch ID) and styles that were re-created under the same name.
+ */
+import type {
+	ColorToken,
+	DesignTokens,
+	LayerStyleToken,
+	TextStyleToken,
+	TokenChange,
+	TokenChangelog,
+} from '../../types/index';
+
+export type TokenKind = keyof TokenChangelog;
+
+/** Token kinds in the order the review lists them */
+export const TOKEN_KINDS: { kind: TokenKind; label: string }[] = [
+	{ kind: 'colors', label: 'Colors' },
+	{ kind: 'textStyles', label: 'Text styles' },
+	{ kind: 'layerStyles', label: 'Layer styles' },
+];
+
+/** Compared properties per kind */
+const TOKEN_FIELDS: Record<TokenKind, string[]> = {
+	colors: ['name', 'color'],
+	textStyles: [
+		'name',
+		'fontFamily',
+		'fontSize',
+		'fontWeight',
+		'textColor',
+		'lineHeight',
+		'letterSpacing',
+		'textAlignment',
+		'textTransform',
+	],
+	layerStyles: ['name', 'fills', 'borders', 'shadows', 'opacity'],
+};
+
+type AnyToken = ColorToken | TextStyleToken | LayerStyleToken;
+
+function tokenValues(token: AnyToken, fields: string[]): Record<string, unknown> {
+	const values: Record<string, unknown> = {};
+	for (const field of fields) values[field] = (token as Record<string, any>)[field] ?? null;
+	return values;
+}
+
+function diffTokenList(before: AnyToken[], after: AnyToken[], fields: string[]): TokenChange[] {
+	const remaining = new Set(before);
+	const byId = new Map(before.filter((t) => t.id).map((t) => [t.id, t]));
+	const pairs: [AnyToken | null, AnyToken][] = after.map((token) => {
+		const previous = token.id ? byId.get(token.id) : undefined;
+		if (!previous || !remaining.has(previous)) return [null, token];
+		remaining.delete(previous);
+		return [previous, token];
+	});
+	for (const pair of pairs) {
+		if (pair[0]) continue;
+		const previous = [...remaining].find((t) => t.name === pair[1].name);
+		if (previous) {
+			remaining.delete(previous);
+			pair[0] = previous;
+		}
+	}
+
+	const changes: TokenChange[] = [];
+	for (const [previous, token] of pairs) {
+		const afterValues = tokenValues(token, fields);
+		if (!previous) {
+			changes.push({
+				change: 'added',
+				id: token.id || null,
+				name: token.name,
+				fields: [],
+				before: null,
+				after: afterValues,
+			});
+			continue;
+		}
+		const beforeValues = tokenValues(previous, fields);
+		const changed = fields.filter(
+			(field) => JSON.stringify(beforeValues[field]) !== JSON.stringify(afterValues[field]),
+		);
+		if (changed.length === 0) continue;
+		changes.push({
+			change: 'changed',
+			id: token.id || previous.id || null,
+			name: token.name,
+			fields: changed,
+			before: beforeValues,
+			after: afterValues,
+		});
+	}
+	for (const previous of remaining) {
+		changes.push({
+			change: 'removed',
+			id: previous.id || null,
+			name: previous.name,
+			fields: [],
+			before: tokenValues(previous, fields),
+			after: null,
+		});
+	}
+	return changes;
+}
+
+/** Added, removed and changed tokens between two token sets */
+export function diffDesignTokens(
+	before: Partial<DesignTokens>,
+	after: Partial<DesignTokens>,
+): TokenChangelog {
+	const changelog = {} as TokenChangelog;
+	for (const { kind } of TOKEN_KINDS) {
+		changelog[kind] = diffTokenList(before[kind] || [], after[kind] || [], TOKEN_FIELDS[kind]);
+	}
+	return changelog;
+}
+
+export function countTokenChanges(changelog: TokenChangelog): number {
+	return TOKEN_KINDS.reduce((sum, { kind }) => sum + changelog[kind].length, 0);
+}
+
+/** "#FF0000", "16", "1px #000000 inside", "0 2 4 0 #00000040", or "–" when unset */
+export function formatTokenValue(value: unknown): string {
+	if (value == null || value === '') return '–';
+	if (Array.isArray(value)) {
+		if (value.length === 0) return 'none';
+		return value.map((item) => formatTokenValue(item)).join(', ');
+	}
+	if (typeof value === 'object') {
+		const item = value as Record<string, unknown>;
+		if ('blur' in item) return `${item.x} ${item.y} ${item.blur} ${item.spread} ${item.color}`;
+		if ('thickness' in item) return `${item.thickness}px ${item.color} ${item.position}`;
+		if ('color' in item) return String(item.color);
+		return JSON.stringify(value);
+	}
+	return String(value);
+}
+
+/** Before → after lines of a changed token, one per changed property */
+export function describeTokenChange(
+	change: TokenChange,
+): { field: string; before: string; after: string }[] {
+	return change.fields.map((field) => ({
+		field,
+		before: formatTokenValue(change.before?.[field]),
+		after: formatTokenValue(change.after?.[field]),
+	}));
+}
@@ -0,0 +1,100 @@
+/**
+ * Token usage analysis for extracted layer trees.
+ *
+ * Finds layers that use raw values (unlinked colors, unlinked typography) where
+ * a matching token exists in the document's design tokens, so the publish
+ * summary can point out places that should reference a swatch or shared style.
+ */
+import type { DesignTokens, LayerData, TextStyleToken } from '../../types/index';
+import { normalizeColor } from './tokens';
+
+export interface RawValueUsage {
+	layerId: string;
+	layerName: string;
+	kind: 'color' | 'textStyle';
+	/** Name of the token the raw value matches */
+	tokenName: string;
+}
+
+function typographyKey(style: {
+	fontFamily: string | null;
+	fontSize: number | null;
+	fontWeight: number | null;
+	lineHeight: number | null;
+}): string {
+	return [style.fontFamily, style.fontSize, style.fontWeight, style.lineHeight].join('|');
+}
+
+/**
+ * A layer inherits its values from a synced or out-of-sync shared style;
+ * only unlinked (or detached) layers carry raw values of their own.
+ */
+function usesSharedStyle(layer: LayerData): boolean {
+	return !!layer.sharedStyleId && layer.sharedStyleStatus !== 'detached';
+}
+
+/**
+ * List raw values in the layer tree that match an existing color or text style token.
+ */
+export function findRawValueUsages(layers: LayerData[], tokens: DesignTokens): RawValueUsage[] {
+	const swatchByColor = new Map<string, string>();
+	for (const swatch of tokens.colors || []) {
+		const color = normalizeColor(swatch.color);
+		if (color && !swatchByColor.has(color)) swatchByColor.set(color, swatch.name);
+	}
+	const textStyleByKey = new Map<string, TextStyleToken>();
+	for (const style of tokens.textStyles || []) {
+		const key = typographyKey(style);
+		if (!textStyleByKey.has(key)) textStyleByKey.set(key, style);
+	}
+
+	const result: RawValueUsage[] = [];
+	const matchColor = (layer: LayerData, color: string | null, swatchId: string | null) => {
+		if (swatchId || !color) return false;
+		const tokenName = swatchByColor.get(normalizeColor(color) || '');
+		if (!tokenName) return false;
+		result.push({ layerId: layer.id, layerName: layer.name, kind: 'color', tokenName });
+		return true;
+	};
+
+	const walk = (list: LayerData[]) => {
+		for (const layer of list) {
+			if (!usesSharedStyle(layer)) {
+				const colors: [string | null, string | null][] = [
+					...(layer.style?.fills || [])
+						.filter((f) => f.fillType === 'Color')
+						.map((f): [string, string | null] => [f.color, f.swatchId]),
+					...(layer.style?.borders || [])
+						.filter((b) => b.fillType === 'Color')
+						.map((b): [string, string | null] => [b.color, b.swatchId]),
+				];
+				if (layer.textStyle) {
+					colors.push([layer.textStyle.textColor, layer.textStyle.textColorSwatchId]);
+					const match = textStyleByKey.get(typographyKey(layer.textStyle));
+					if (match) {
+						result.push({
+							layerId: layer.id,
+							layerName: layer.name,
+							kind: 'textStyle',
+							tokenName: match.name,
+						});
+					}
+				}
+				// One usage per layer and kind is enough to flag it
+				colors.some(([color, swatchId]) => matchColor(layer, color, swatchId));
+			}
+			if (layer.children && layer.children.length > 0) {
+				walk(layer.children);
+			}
+		}
+	};
+	walk(layers);
+	return result;
+}
+
+/**
+ * Number of distinct layers using raw values where a token exists.
+ */
+export function countRawValueLayers(layers: LayerData[], tokens: DesignTokens): number {
+	return new Set(findRawValueUsages(layers, tokens).map((u) => u.layerId)).size;
+}
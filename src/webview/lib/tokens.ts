@@ -0,0 +1,200 @@
+/**
+ * Serializes extracted design tokens into the W3C Design Tokens Community Group
+ * format (https://design-tokens.github.io/community-group/format/), which tools
+ * like Style Dictionary consume directly.
+ *
+ * - Slash-separated Sketch names (`Brand/Primary/500`) become nested groups
+ * - Text / layer style colors that match a swatch become aliases (`{color.Brand.Primary.500}`)
+ * - A name that is both a token and a group keeps the token under `$root`
+ */
+import type { DesignTokens, ShadowData } from '../../types/index';
+
+export interface W3CToken {
+	$type: string;
+	$value: unknown;
+	$description?: string;
+	$extensions?: Record<string, unknown>;
+}
+
+export interface W3CTokenGroup {
+	[key: string]: W3CToken | W3CTokenGroup;
+}
+
+/** Reverse-domain key for Flow-specific data in `$extensions` */
+export const EXTENSION_KEY = 'sa.hir.flow';
+
+// ─── Name / value helpers ────────────────────────────────────────────
+
+/**
+ * Split a Sketch style name into token path segments.
+ * Characters reserved by the format (`.`, `{`, `}`, leading `$`) are replaced.
+ */
+export function tokenPath(name: string): string[] {
+	const segments = String(name || '')
+		.split('/')
+		.map((s) => s.trim().replace(/[{}]/g, '').replace(/\./g, '_').replace(/^\$+/, ''))
+		.filter((s) => s.length > 0);
+	return segments.length > 0 ? segments : ['Unnamed'];
+}
+
+/**
+ * Normalize a Sketch color (`#rrggbbaa`) to lowercase hex, dropping an opaque alpha.
+ */
+export function normalizeColor(color: string | null | undefined): string | null {
+	if (!color) return null;
+	const value = String(color).trim().toLowerCase();
+	if (/^#[0-9a-f]{8}$/.test(value) && value.endsWith('ff')) return value.slice(0, 7);
+	return value;
+}
+
+export function px(value: number | null | undefined): string {
+	return `${Math.round((Number(value) || 0) * 100) / 100}px`;
+}
+
+/** AppKit font weights (0–12) → CSS font weights, as the native extractor maps them */
+const APPKIT_TO_CSS_WEIGHT = [100, 100, 100, 200, 300, 400, 500, 600, 600, 700, 800, 900, 900];
+
+/**
+ * CSS font weight (100–900) of a text style. Tokens stored by earlier plugin
+ * versions carry Sketch's raw AppKit weight (0–12), which is converted here.
+ */
+export function cssFontWeight(weight: number | null | undefined): number | null {
+	if (weight == null || !Number.isFinite(weight)) return null;
+	if (weight > 12) return weight;
+	return APPKIT_TO_CSS_WEIGHT[Math.max(Math.round(weight), 0)];
+}
+
+export function isToken(node: unknown): node is W3CToken {
+	return !!node && typeof node === 'object' && '$value' in (node as object);
+}
+
+/**
+ * Insert a token at `path`, creating groups as needed. Duplicate names get a
+ * numeric suffix; token/group collisions keep the token under `$root`.
+ * @returns the dotted reference path the token ended up at
+ */
+function insertToken(root: W3CTokenGroup, path: string[], token: W3CToken): string {
+	let group = root;
+	const resolved: string[] = [];
+
+	for (let i = 0; i < path.length - 1; i++) {
+		const key = path[i];
+		const existing = group[key];
+		if (!existing) {
+			group[key] = {};
+		} else if (isToken(existing)) {
+			group[key] = { $root: existing };
+		}
+		group = group[key] as W3CTokenGroup;
+		resolved.push(key);
+	}
+
+	const leaf = path[path.length - 1];
+	const existing = group[leaf];
+	if (existing && !isToken(existing) && !existing.$root) {
+		(existing as W3CTokenGroup).$root = token;
+		return [...resolved, leaf, '$root'].join('.');
+	}
+
+	let key = leaf;
+	let n = 2;
+	while (group[key]) {
+		key = `${leaf}-${n++}`;
+	}
+	group[key] = token;
+	return [...resolved, key].join('.');
+}
+
+// ─── Serializer ──────────────────────────────────────────────────────
+
+function shadowValue(shadow: ShadowData, colorRef: (c: string) => string) {
+	return {
+		color: colorRef(shadow.color),
+		offsetX: px(shadow.x),
+		offsetY: px(shadow.y),
+		blur: px(shadow.blur),
+		spread: px(shadow.spread),
+	};
+}
+
+/**
+ * Convert the plugin's DesignTokens into a W3C Design Tokens document.
+ */
+export function toW3CTokens(tokens: DesignTokens): W3CTokenGroup {
+	const result: W3CTokenGroup = {};
+	const colorGroup: W3CTokenGroup = {};
+	const aliasByValue = new Map<string, string>();
+
+	for (const swatch of tokens.colors || []) {
+		const value = normalizeColor(swatch.color);
+		if (!value) continue;
+		const ref = insertToken(colorGroup, tokenPath(swatch.name), { $type: 'color', $value: value });
+		if (!aliasByValue.has(value)) aliasByValue.set(value, `{color.${ref}}`);
+	}
+
+	/** Alias a raw color to a swatch with the same value, if there is one */
+	const colorRef = (color: string): string => {
+		const value = normalizeColor(color) || '#000000';
+		return aliasByValue.get(value) || value;
+	};
+
+	const typographyGroup: W3CTokenGroup = {};
+	for (const style of tokens.textStyles || []) {
+		const value: Record<string, unknown> = {
+			fontFamily: style.fontFamily || 'sans-serif',
+			fontSize: px(style.fontSize),
+			fontWeight: cssFontWeight(style.fontWeight) ?? 400,
+			letterSpacing: px(style.letterSpacing),
+		};
+		if (style.lineHeight && style.fontSize) {
+			value.lineHeight = Math.round((style.lineHeight / style.fontSize) * 1000) / 1000;
+		}
+		insertToken(typographyGroup, tokenPath(style.name), {
+			$type: 'typography',
+			$value: value,
+			$extensions: {
+				[EXTENSION_KEY]: {
+					id: style.id,
+					textColor: style.textColor ? colorRef(style.textColor) : null,
+					textAlignment: style.textAlignment,
+					textTransform: style.textTransform,
+				},
+			},
+		});
+	}
+
+	const layerGroup: W3CTokenGroup = {};
+	for (const style of tokens.layerStyles || []) {
+		const path = tokenPath(style.name);
+		const fills = (style.fills || []).filter((f) => f.fillType === 'Color' || !f.fillType);
+		if (fills.length > 0) {
+			insertToken(layerGroup, [...path, 'fill'], {
+				$type: 'color',
+				$value: colorRef(fills[fills.length - 1].color),
+			});
+		}
+		if (style.borders && style.borders.length > 0) {
+			const border = style.borders[style.borders.length - 1];
+			insertToken(layerGroup, [...path, 'border'], {
+				$type: 'border',
+				$value: { color: colorRef(border.color), width: px(border.thickness), style: 'solid' },
+				$extensions: { [EXTENSION_KEY]: { position: border.position } },
+			});
+		}
+		if (style.shadows && style.shadows.length > 0) {
+			const shadows = style.shadows.map((s) => shadowValue(s, colorRef));
+			insertToken(layerGroup, [...path, 'shadow'], {
+				$type: 'shadow',
+				$value: shadows.length === 1 ? shadows[0] : shadows,
+			});
+		}
+		if (style.opacity !== undefined && style.opacity !== 1) {
+			insertToken(layerGroup, [...path, 'opacity'], { $type: 'number', $value: style.opacity });
+		}
+	}
+
+	if (Object.keys(colorGroup).length > 0) result.color = colorGroup;
+	if (Object.keys(typographyGroup).length > 0) result.typography = typographyGroup;
+	if (Object.keys(layerGroup).length > 0) result.layer = layerGroup;
+	return result;
+}
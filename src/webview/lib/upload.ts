@@ -0,0 +1,111 @@
+/**
+ * Chunked, resumable uploads.
+ *
+ * Protocol (mirrored by the native side in `src/lib/api.js`):
+ * 1. `POST …/uploads` – start an upload session, the server returns its `id`,
+ *    preferred `chunkSize` and the bytes it already holds (`receivedBytes`)
+ * 2. `PUT …/uploads/:id?offset=N` – send the bytes from offset N; the server
+ *    answers with the new `receivedBytes` (409 when the offset is stale)
+ * 3. `POST …/uploads/:id/complete` – attach the assembled file to its target
+ *
+ * A failed chunk is retried with backoff after asking the server how much it
+ * actually received, so a dropped connection never restarts the whole file.
+ */
+
+export const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+export const MAX_CHUNK_ATTEMPTS = 4;
+
+export interface UploadSession {
+	id: string;
+	chunkSize?: number;
+	receivedBytes?: number;
+}
+
+/** Error carrying the HTTP status of a failed upload request (absent for network errors) */
+export type UploadError = Error & { status?: number };
+
+export function uploadError(message: string, status?: number): UploadError {
+	const error: UploadError = new Error(message);
+	if (status !== undefined) error.status = status;
+	return error;
+}
+
+/** Network errors, timeouts, rate limits, stale offsets and server errors are worth retrying */
+export function isRetryableUploadError(err: unknown): boolean {
+	const status = (err as UploadError | null)?.status;
+	if (status === undefined) return true;
+	return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/** Backoff before retry `attempt` (1-based): 1s, 2s, 4s… capped at 15s */
+export function retryDelayMs(attempt: number): number {
+	return Math.min(1000 * 2 ** (attempt - 1), 15_000);
+}
+
+/** Decoded size of a base64 payload (data URI prefix allowed) */
+export function base64ByteLength(base64: string): number {
+	const data = base64.replace(/^data:[^;]+;base64,/, '');
+	const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+	return Math.floor((data.length * 3) / 4) - padding;
+}
+
+export function base64ToBytes(base64: string): Uint8Array<ArrayBuffer> {
+	const binaryStr = atob(base64.replace(/^data:[^;]+;base64,/, ''));
+	const bytes = new Uint8Array(binaryStr.length);
+	for (let i = 0; i < binaryStr.length; i++) {
+		bytes[i] = binaryStr.charCodeAt(i);
+	}
+	return bytes;
+}
+
+export function bytesToBase64(bytes: Uint8Array): string {
+	let binaryStr = '';
+	const step = 0x8000;
+	for (let i = 0; i < bytes.length; i += step) {
+		binaryStr += String.fromCharCode(...bytes.subarray(i, i + step));
+	}
+	return btoa(binaryStr);
+}
+
+const sleep = (ms: number) => new Promise<void>((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Send `totalBytes` in chunks, starting at `startOffset`.
+ * `sendChunk` uploads the bytes in [offset, end) and resolves to the server's `receivedBytes`;
+ * `fetchOffset` asks the server for its `receivedBytes` after a failed chunk.
+ */
+export async function uploadChunks(options: {
+	totalBytes: number;
+	chunkSize: number;
+	startOffset?: number;
+	sendChunk: (offset: number, end: number) => Promise<number>;
+	fetchOffset: () => Promise<number>;
+	onProgress?: (sentBytes: number, totalBytes: number) => void;
+	maxAttempts?: number;
+	wait?: (ms: number) => Promise<void>;
+}): Promise<void> {
+	const { totalBytes, sendChunk, fetchOffset, onProgress } = options;
+	const chunkSize = Math.max(1, options.chunkSize);
+	const maxAttempts = options.maxAttempts ?? MAX_CHUNK_ATTEMPTS;
+	const wait = options.wait ?? sleep;
+
+	let offset = Math.min(Math.max(0, options.startOffset || 0), totalBytes);
+	let attempt = 0;
+	onProgress?.(offset, totalBytes);
+
+	while (offset < totalBytes) {
+		const end = Math.min(offset + chunkSize, totalBytes);
+		try {
+			const received = await sendChunk(offset, end);
+			offset = Number.isFinite(received) && received > offset ? received : end;
+			attempt = 0;
+			onProgress?.(offset, totalBytes);
+		} catch (err) {
+			attempt++;
+			if (attempt >= maxAttempts || !isRetryableUploadError(err)) throw err;
+			await wait(retryDelayMs(attempt));
+			// Resume from whatever the server actually stored
+			offset = await fetchOffset().catch(() => offset);
+		}
+	}
+}
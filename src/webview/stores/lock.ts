@@ -0,0 +1,216 @@
+/**
+ * Handoff lock manager.
+ *
+ * Tracks the lock this panel checked out: renews it while a publish or Sketch
+ * upload is running, warns before it expires, notices when another designer
+ * overrides it and releases it when the designer switches project or document.
+ * The native side releases it when the panel closes (`trackHandoffLock`).
+ */
+import { writable, derived, get } from 'svelte/store';
+import type { HandoffLock } from '../../types/index';
+import { appState, updateState } from './state';
+import { addToast } from './toast';
+import { pluginCall } from '../lib/bridge';
+import { checkoutHandoffLock, fetchHandoffLock, releaseHandoffLock } from '../lib/api';
+
+// ─── Types ───────────────────────────────────────────────────────────
+
+export interface LockManagerState {
+	/** Lock checked out from this panel, null when it holds none */
+	ownLock: HandoffLock | null;
+	/** Running publishes / uploads that keep the lock alive */
+	activeWork: number;
+	now: number;
+}
+
+/** Renew the lock this often while work is in progress */
+export const LOCK_RENEW_INTERVAL_MS = 60 * 1000;
+/** Check this often whether someone else took the lock over */
+export const LOCK_POLL_INTERVAL_MS = 30 * 1000;
+/** Warn when an idle lock expires within this time */
+export const LOCK_WARNING_MS = 2 * 60 * 1000;
+
+export const lockManager = writable<LockManagerState>({ ownLock: null, activeWork: 0, now: 0 });
+
+/** Milliseconds until the held lock expires, or null without one */
+export const lockRemainingMs = derived(lockManager, ($s) =>
+	$s.ownLock ? Math.max(0, Date.parse($s.ownLock.expiresAt) - $s.now) : null,
+);
+
+/** "4:05", or "1:02:05" from an hour on */
+export function formatLockCountdown(ms: number): string {
+	const total = Math.max(0, Math.ceil(ms / 1000));
+	const hours = Math.floor(total / 3600);
+	const minutes = Math.floor((total % 3600) / 60);
+	const seconds = String(total % 60).padStart(2, '0');
+	return hours > 0
+		? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+		: `${minutes}:${seconds}`;
+}
+
+// ─── Holding ─────────────────────────────────────────────────────────
+
+let _warnedExpiresAt: string | null = null;
+let _lastRenewAt = 0;
+let _lastPollAt = 0;
+let _renewing = false;
+let _polling = false;
+
+/** Record a lock checked out (or renewed / overridden) from this panel */
+export function holdHandoffLock(lock: HandoffLock): void {
+	const previous = get(lockManager).ownLock;
+	lockManager.update((s) => ({ ...s, ownLock: lock, now: Date.now() }));
+	updateState({ handoffLock: lock });
+	if (!previous || previous.projectId !== lock.projectId) {
+		pluginCall('trackHandoffLock', lock.projectId);
+	}
+	_lastRenewAt = Date.now();
+}
+
+/** Stop tracking the held lock (released, expired or taken over) */
+export function forgetHandoffLock(): void {
+	if (!get(lockManager).ownLock) return;
+	lockManager.update((s) => ({ ...s, ownLock: null }));
+	pluginCall('trackHandoffLock', '');
+}
+
+/** Release the held lock on the server and stop tracking it */
+export async function releaseHeldLock(): Promise<void> {
+	const lock = get(lockManager).ownLock;
+	if (!lock) return;
+	forgetHandoffLock();
+	if (get(appState).handoffLock?.id === lock.id) updateState({ handoffLock: null });
+	try {
+		await releaseHandoffLock(get(appState).serverUrl, lock.projectId);
+	} catch (err: any) {
+		console.warn('[lock] Failed to release handoff lock:', err.message);
+	}
+}
+
+/**
+ * Mark work that needs the lock (publish, Sketch upload) – the lock is renewed
+ * until the returned function is called.
+ */
+export function beginLockWork(): () => void {
+	lockManager.update((s) => ({ ...s, activeWork: s.activeWork + 1 }));
+	let ended = false;
+	return () => {
+		if (ended) return;
+		ended = true;
+		lockManager.update((s) => ({ ...s, activeWork: Math.max(0, s.activeWork - 1) }));
+	};
+}
+
+// ─── Heartbeat ───────────────────────────────────────────────────────
+
+async function renewLock(lock: HandoffLock): Promise<void> {
+	if (_renewing) return;
+	_renewing = true;
+	try {
+		const renewed = await checkoutHandoffLock(get(appState).serverUrl, lock.projectId, {
+			versionId: lock.versionId || undefined,
+			revisionId: lock.revisionId || undefined,
+		});
+		if (get(lockManager).ownLock) holdHandoffLock(renewed);
+	} catch (err: any) {
+		console.warn('[lock] Failed to renew handoff lock:', err.message);
+		// Most likely taken over – find out who holds it now
+		await pollLock(lock);
+	} finally {
+		_renewing = false;
+	}
+}
+
+async function pollLock(lock: HandoffLock): Promise<void> {
+	if (_polling) return;
+	_polling = true;
+	try {
+		const current = await fetchHandoffLock(get(appState).serverUrl, lock.projectId);
+		if (get(lockManager).ownLock?.id !== lock.id) return;
+		if (current && current.holderUserId === lock.holderUserId) {
+			if (current.expiresAt !== lock.expiresAt) holdHandoffLock(current);
+			return;
+		}
+
+		forgetHandoffLock();
+		if (get(appState).selectedProjectId === lock.projectId) {
+			updateState({ handoffLock: current });
+		}
+		if (current) {
+			const reason = current.overrideReason ? `: ${current.overrideReason}` : '';
+			const message = `@${current.holder.username} took over the handoff lock${reason}`;
+			addToast(message, 'warning', 8000);
+			pluginCall('showMessage', `Flow: ${message}`);
+		} else {
+			addToast('Your handoff lock was released.', 'info');
+		}
+	} catch (err: any) {
+		console.warn('[lock] Failed to check handoff lock:', err.message);
+	} finally {
+		_polling = false;
+	}
+}
+
+/** One heartbeat tick: countdown, expiry warning, renewal and takeover check */
+export function tickLockManager(now = Date.now()): void {
+	lockManager.update((s) => ({ ...s, now }));
+	const { ownLock, activeWork } = get(lockManager);
+	if (!ownLock) return;
+
+	const remaining = Date.parse(ownLock.expiresAt) - now;
+	if (remaining <= 0 && activeWork === 0) {
+		forgetHandoffLock();
+		if (get(appState).handoffLock?.id === ownLock.id) updateState({ handoffLock: null });
+		addToast('Your handoff lock expired.', 'warning');
+		return;
+	}
+
+	if (activeWork > 0) {
+		if (now - _lastRenewAt >= LOCK_RENEW_INTERVAL_MS) {
+			_lastRenewAt = now;
+			renewLock(ownLock);
+		}
+	} else if (remaining <= LOCK_WARNING_MS && _warnedExpiresAt !== ownLock.expiresAt) {
+		_warnedExpiresAt = ownLock.expiresAt;
+		addToast(
+			`Your handoff lock expires in ${formatLockCountdown(remaining)} – check out again to keep it.`,
+			'warning',
+			8000,
+		);
+	}
+
+	if (now - _lastPollAt >= LOCK_POLL_INTERVAL_MS) {
+		_lastPollAt = now;
+		pollLock(ownLock);
+	}
+}
+
+/**
+ * Start the heartbeat and release the held lock when the designer switches
+ * project or document (unless a publish still needs it).
+ * @returns stop function
+ */
+export function startLockManager(): () => void {
+	const interval = setInterval(() => tickLockManager(), 1000);
+
+	let documentId: string | null = null;
+	const unsubscribe = appState.subscribe((state) => {
+		const previousDocumentId = documentId;
+		documentId = state.documentData?.documentId || null;
+		const { ownLock, activeWork } = get(lockManager);
+		if (!ownLock || activeWork > 0) return;
+
+		const projectSwitched =
+			!!state.selectedProjectId && state.selectedProjectId !== ownLock.projectId;
+		const documentSwitched =
+			!!previousDocumentId && !!documentId && documentId !== previousDocumentId;
+		if (projectSwitched || documentSwitched) {
+			releaseHeldLock().then(() => addToast('Handoff lock released.', 'info'));
+		}
+	});
+
+	return () => {
+		clearInterval(interval);
+		unsubscribe();
+	};
+}
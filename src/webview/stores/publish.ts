@@ -3,19 +3,19 @@
  */
 import { writable, derived, get } from 'svelte/store';
 import type {
-	ArtboardMeta,
+	PublishJobItem,
 	PublishStats,
 	ArtboardStatus,
 	PublishStep,
 	DesignTokens,
+	ExclusionReportEntry,
+	RevisionCompareResult,
+	TokenChangelog,
 } from '../../types/index';
 
 // ─── Types ───────────────────────────────────────────────────────────
 
-export interface PublishQueueItem extends ArtboardMeta {
-	status: ArtboardStatus;
-	error?: string;
-}
+export type PublishQueueItem = PublishJobItem;
 
 export interface PublishState {
 	isPublishing: boolean;
@@ -25,6 +25,14 @@ export interface PublishState {
 	queue: PublishQueueItem[];
 	uploadedIds: Set<string>;
 	stats: PublishStats;
+	/** Artboards and layers the exclusion rules kept out of this publish */
+	exclusions: ExclusionReportEntry[];
+	/** Revision diff shown in the "Review changes" step */
+	review: RevisionCompareResult | null;
+	/** Why the revision diff could not be loaded – the review then offers to finalize without it */
+	reviewError: string | null;
+	/** Token changes since the previous revision, null without a previous token set */
+	tokenChanges: TokenChangelog | null;
 	percent: number;
 	detail: string;
 	startTime: number;
@@ -40,7 +48,19 @@ const defaultPublishState: PublishState = {
 	revisionId: null,
 	queue: [],
 	uploadedIds: new Set(),
-	stats: { screens: 0, flows: 0, tokens: 0 },
+	stats: {
+		screens: 0,
+		flows: 0,
+		tokens: 0,
+		assets: 0,
+		unchanged: 0,
+		rawValueLayers: 0,
+		components: 0,
+	},
+	exclusions: [],
+	review: null,
+	reviewError: null,
+	tokenChanges: null,
 	percent: 0,
 	detail: 'Preparing…',
 	startTime: 0,
@@ -5,17 +5,24 @@ import { writable, derived, get } from 'svelte/store';
 import type {
 	PluginSettings,
 	DocumentData,
+	OpenDocument,
+	PublishPreset,
+	FlowGraph,
 	Project,
 	Version,
 	HandoffLock,
 	VersionRevision,
 	PublishStats,
+	LintConfig,
+	LintResult,
 } from '../../types/index';
+import type { DocumentDrift } from '../lib/drift';
 import { pluginCall } from '../lib/bridge';
 
 // ─── View Management ─────────────────────────────────────────────────
 
-export type ViewName = 'connect' | 'projects' | 'publish' | 'progress' | 'success' | 'settings';
+export type ViewName =
+	'connect' | 'projects' | 'publish' | 'progress' | 'review' | 'history' | 'success' | 'settings';
 
 export const currentView = writable<ViewName>('connect');
 export const previousView = writable<ViewName>('connect');
@@ -40,6 +47,19 @@ export interface AppState {
 	selectedProjectId: string | null;
 	selectedProjectName: string;
 	documentData: DocumentData | null;
+	// Multi-document publishing – `documents` is the selected document plus the
+	// included ones, with publish IDs assigned
+	openDocuments: OpenDocument[];
+	includedDocumentIds: string[];
+	documents: DocumentData[];
+	includeLibraries: boolean;
+	includeTokens: boolean;
+	// Publish presets saved in the document
+	presets: PublishPreset[];
+	activePresetId: string | null;
+	// Prototype validation
+	flowGraph: FlowGraph | null;
+	includeLinkedArtboards: boolean;
 	// Version selection
 	projectVersions: Version[];
 	selectedVersionId: string | null;
@@ -48,7 +68,14 @@ export interface AppState {
 	handoffLock: HandoffLock | null;
 	versionRevisions: VersionRevision[];
 	selectedRevisionId: string | null;
+	/** Older revision the next check-in is based on (rollback from the history view) */
+	rollbackFromRevisionId: string | null;
 	checkinNote: string;
+	/** How the open document drifted from its last check-in, null when it did not */
+	documentDrift: DocumentDrift | null;
+	// Design lint – results are null until the lint has run
+	lintConfig: LintConfig | null;
+	lintResults: LintResult[] | null;
 }
 
 const defaultState: AppState = {
@@ -64,6 +91,15 @@ const defaultState: AppState = {
 	selectedProjectId: null,
 	selectedProjectName: '',
 	documentData: null,
+	openDocuments: [],
+	includedDocumentIds: [],
+	documents: [],
+	includeLibraries: false,
+	includeTokens: true,
+	presets: [],
+	activePresetId: null,
+	flowGraph: null,
+	includeLinkedArtboards: false,
 	projectVersions: [],
 	selectedVersionId: null,
 	alreadyUploadedIds: new Set(),
@@ -71,7 +107,11 @@ const defaultState: AppState = {
 	handoffLock: null,
 	versionRevisions: [],
 	selectedRevisionId: null,
+	rollbackFromRevisionId: null,
 	checkinNote: '',
+	documentDrift: null,
+	lintConfig: null,
+	lintResults: null,
 };
 
 export const appState = writable<AppState>({ ...defaultState });
@@ -142,6 +182,7 @@ export function clearVersionSelection(): void {
 		alreadyUploadedIds: new Set(),
 		versionRevisions: [],
 		selectedRevisionId: null,
+		rollbackFromRevisionId: null,
 	});
 }
 